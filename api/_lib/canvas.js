@@ -0,0 +1,215 @@
+/**
+ * Lienzo RGBA mínimo para dibujar las tarjetas OG
+ *
+ * Propósito: Rectángulos, círculos, imágenes escaladas y texto con una fuente
+ * de mapa de bits 5x7 (mayúsculas, números y puntuación básica), sin dependencias.
+ * Los colores son [r, g, b] o [r, g, b, a].
+ *
+ * Exports:
+ * - createCanvas(width, height, color): Lienzo nuevo
+ * - fillRect(canvas, x, y, w, h, color)
+ * - fillCircle(canvas, cx, cy, r, color)
+ * - drawImage(canvas, image, x, y, w, h): Imagen escalada (contain) dentro del rectángulo
+ * - measureText(text, size) / textHeight(size): Ancho / alto en px
+ * - drawText(canvas, text, x, y, options): Texto ({ size, color, align, maxWidth })
+ */
+
+// Fuente 5x7: 7 filas por glifo, 5 bits por fila (bit 4 = columna izquierda)
+const FONT = {
+    '0': [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+    '1': [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+    '2': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+    '3': [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+    '4': [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+    '5': [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+    '6': [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+    '7': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+    '9': [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+    'A': [0x0e, 0x11, 0x11, 0x11, 0x1f, 0x11, 0x11],
+    'B': [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+    'C': [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+    'D': [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+    'E': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+    'F': [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+    'G': [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+    'H': [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+    'I': [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+    'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+    'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+    'M': [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+    'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+    'P': [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+    'Q': [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+    'R': [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+    'S': [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+    'T': [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+    'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+    'X': [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04],
+    'Z': [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+    '-': [0x00, 0x00, 0x00, 0x1f, 0x00, 0x00, 0x00],
+    ':': [0x00, 0x0c, 0x0c, 0x00, 0x0c, 0x0c, 0x00],
+    "'": [0x0c, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0c, 0x0c],
+    ',': [0x00, 0x00, 0x00, 0x00, 0x0c, 0x04, 0x08],
+    '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+    ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '·': [0x00, 0x00, 0x00, 0x0c, 0x0c, 0x00, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1f, 0x04, 0x04, 0x00],
+    '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+    '?': [0x0e, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+    '&': [0x0c, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0d]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Texto en mayúsculas y sin acentos (lo que cubre la fuente)
+ */
+const normalizeText = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase();
+
+export const createCanvas = (width, height, color = [0, 0, 0]) => {
+    const canvas = { width, height, data: new Uint8Array(width * height * 4) };
+    fillRect(canvas, 0, 0, width, height, color);
+    return canvas;
+};
+
+/**
+ * Mezcla un pixel (alpha 0-255) sobre el lienzo
+ */
+const blendPixel = (canvas, x, y, r, g, b, a) => {
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height || a <= 0) return;
+    const o = (y * canvas.width + x) * 4;
+    const d = canvas.data;
+    if (a >= 255) {
+        d[o] = r; d[o + 1] = g; d[o + 2] = b; d[o + 3] = 255;
+        return;
+    }
+    const k = a / 255;
+    d[o] = Math.round(r * k + d[o] * (1 - k));
+    d[o + 1] = Math.round(g * k + d[o + 1] * (1 - k));
+    d[o + 2] = Math.round(b * k + d[o + 2] * (1 - k));
+    d[o + 3] = Math.max(d[o + 3], Math.round(a));
+};
+
+export const fillRect = (canvas, x, y, w, h, [r, g, b, a = 255]) => {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(canvas.width, Math.round(x + w));
+    const y1 = Math.min(canvas.height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+        for (let px = x0; px < x1; px++) blendPixel(canvas, px, py, r, g, b, a);
+    }
+};
+
+export const fillCircle = (canvas, cx, cy, radius, [r, g, b, a = 255]) => {
+    for (let py = Math.floor(cy - radius); py <= Math.ceil(cy + radius); py++) {
+        for (let px = Math.floor(cx - radius); px <= Math.ceil(cx + radius); px++) {
+            // Borde suavizado: cobertura según la distancia al borde
+            const distance = Math.hypot(px + 0.5 - cx, py + 0.5 - cy);
+            const coverage = Math.min(1, Math.max(0, radius - distance + 0.5));
+            blendPixel(canvas, px, py, r, g, b, a * coverage);
+        }
+    }
+};
+
+/**
+ * Dibuja una imagen RGBA escalada (manteniendo proporción) y centrada en el rectángulo
+ * Muestreo bilineal; alcanza para escudos y logos.
+ */
+export const drawImage = (canvas, image, x, y, w, h) => {
+    const scale = Math.min(w / image.width, h / image.height);
+    const dw = Math.round(image.width * scale);
+    const dh = Math.round(image.height * scale);
+    const ox = Math.round(x + (w - dw) / 2);
+    const oy = Math.round(y + (h - dh) / 2);
+    const src = image.data;
+
+    const at = (sx, sy, c) => src[(sy * image.width + sx) * 4 + c];
+
+    for (let py = 0; py < dh; py++) {
+        const fy = Math.min(image.height - 1, Math.max(0, (py + 0.5) / scale - 0.5));
+        const y0 = Math.floor(fy);
+        const y1 = Math.min(image.height - 1, y0 + 1);
+        const ty = fy - y0;
+        for (let px = 0; px < dw; px++) {
+            const fx = Math.min(image.width - 1, Math.max(0, (px + 0.5) / scale - 0.5));
+            const x0 = Math.floor(fx);
+            const x1 = Math.min(image.width - 1, x0 + 1);
+            const tx = fx - x0;
+
+            // Interpolación con alfa premultiplicado (sin halos en los bordes transparentes)
+            const weights = [(1 - tx) * (1 - ty), tx * (1 - ty), (1 - tx) * ty, tx * ty];
+            const points = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]];
+            let r = 0, g = 0, b = 0, a = 0;
+            points.forEach(([sx, sy], i) => {
+                const alpha = at(sx, sy, 3) * weights[i];
+                r += at(sx, sy, 0) * alpha;
+                g += at(sx, sy, 1) * alpha;
+                b += at(sx, sy, 2) * alpha;
+                a += alpha;
+            });
+            if (a > 0) blendPixel(canvas, ox + px, oy + py, r / a, g / a, b / a, a);
+        }
+    }
+};
+
+/**
+ * Alto de una línea de texto en px
+ * @param {number} size - Px por punto de la fuente
+ */
+export const textHeight = (size) => GLYPH_HEIGHT * size;
+
+/**
+ * Ancho de un texto en px
+ * @param {string} text
+ * @param {number} size - Px por punto de la fuente
+ */
+export const measureText = (text, size) => {
+    const length = normalizeText(text).length;
+    return length > 0 ? (length * (GLYPH_WIDTH + 1) - 1) * size : 0;
+};
+
+/**
+ * Dibuja texto con la fuente 5x7
+ * @param {Object} canvas
+ * @param {string} text
+ * @param {number} x - Según align: borde izquierdo, centro o borde derecho
+ * @param {number} y - Borde superior
+ * @param {Object} options - { size: px por punto, color, align: 'left'|'center'|'right', maxWidth }
+ */
+export const drawText = (canvas, text, x, y, { size = 4, color = [255, 255, 255], align = 'left', maxWidth = Infinity } = {}) => {
+    let value = normalizeText(text);
+
+    // Recortar con "..." si no entra
+    if (measureText(value, size) > maxWidth) {
+        while (value.length > 1 && measureText(`${value}...`, size) > maxWidth) value = value.slice(0, -1).trimEnd();
+        value = `${value}...`;
+    }
+
+    const width = measureText(value, size);
+    let cursor = align === 'center' ? x - width / 2 : (align === 'right' ? x - width : x);
+
+    for (const char of value) {
+        const glyph = FONT[char] || FONT['?'];
+        glyph.forEach((bits, row) => {
+            for (let col = 0; col < GLYPH_WIDTH; col++) {
+                if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+                    fillRect(canvas, cursor + col * size, y + row * size, size, size, color);
+                }
+            }
+        });
+        cursor += (GLYPH_WIDTH + 1) * size;
+    }
+};
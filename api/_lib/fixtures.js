@@ -0,0 +1,68 @@
+/**
+ * Datos de partidos para las funciones del servidor (render de páginas y tarjetas OG)
+ *
+ * Exports:
+ * - API_BASE, SITE_URL, TIMEZONE
+ * - LIVE_STATUSES, FINISHED_STATUSES
+ * - fetchAPI(endpoint): Pide un endpoint al proxy (mismos endpoints que el cliente)
+ * - statusLabel(fixture): "En vivo · 67'", "Entretiempo", "Final"...
+ * - formatKickoff(timestamp, options): Fecha y hora en horario argentino
+ * - hasScore(match): Si el partido ya tiene marcador
+ * - ogImageUrl(match): URL de la tarjeta OG del partido
+ */
+
+// Mismo proxy que API_BASE en src/core/api.js
+export const API_BASE = 'https://api-proxy.giannirodbol07.workers.dev/api';
+export const SITE_URL = 'https://realfutbol.app';
+export const TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+// Estados de partido (API-Football)
+export const LIVE_STATUSES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'LIVE', 'INT', 'SUSP'];
+export const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+/**
+ * Pide un endpoint al proxy
+ * @param {string} endpoint - Ej: /fixtures?id=123
+ * @returns {Promise<Object>} Respuesta de la API ({ response: [...] })
+ * @throws {Error} Si falla la request o la respuesta no tiene el formato esperado
+ */
+export const fetchAPI = async (endpoint) => {
+    const response = await fetch(`${API_BASE}${endpoint}`);
+    if (!response.ok) throw new Error(`API ${response.status} en ${endpoint}`);
+    const data = await response.json();
+    if (!Array.isArray(data.response)) throw new Error(`Respuesta inválida en ${endpoint}`);
+    return data;
+};
+
+export const statusLabel = (fixture) => {
+    const { short, elapsed } = fixture.status;
+    if (short === 'HT') return 'Entretiempo';
+    if (LIVE_STATUSES.includes(short)) return `En vivo${elapsed ? ` · ${elapsed}'` : ''}`;
+    if (FINISHED_STATUSES.includes(short)) return 'Final';
+    if (short === 'PST') return 'Postergado';
+    if (short === 'CANC') return 'Cancelado';
+    if (short === 'ABD') return 'Suspendido';
+    return 'Por jugarse';
+};
+
+/**
+ * Fecha y hora de un partido en horario argentino
+ * @param {number} timestamp - Segundos (fixture.timestamp)
+ * @param {Object} options - Opciones de toLocaleString (default: "domingo, 19 de octubre, 21:00")
+ */
+export const formatKickoff = (timestamp, options = { weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' }) =>
+    new Date(timestamp * 1000).toLocaleString('es-AR', { timeZone: TIMEZONE, ...options });
+
+export const hasScore = (m) => m.goals.home !== null && m.goals.away !== null;
+
+/**
+ * URL de la tarjeta OG de un partido
+ * Lleva el estado y el marcador para que WhatsApp / X no muestren una imagen vieja
+ * (cachean por URL).
+ * @param {Object} m - Partido de la API
+ * @returns {string}
+ */
+export const ogImageUrl = (m) => {
+    const version = `${m.fixture.status.short}${m.fixture.status.elapsed ?? ''}-${m.goals.home ?? ''}-${m.goals.away ?? ''}`;
+    return `${SITE_URL}/api/og?id=${m.fixture.id}&v=${encodeURIComponent(version)}`;
+};
@@ -0,0 +1,194 @@
+/**
+ * PNG mínimo (sin dependencias, solo zlib de Node)
+ *
+ * Propósito: Leer los escudos de la API y escribir las imágenes de las tarjetas OG.
+ * Las imágenes se manejan como { width, height, data } con data en RGBA (Uint8Array).
+ *
+ * Exports:
+ * - decodePNG(buffer): PNG → imagen RGBA (sin entrelazado; paleta, gris, RGB y RGBA)
+ * - encodePNG(image): Imagen RGBA → PNG
+ */
+
+import { inflateSync, deflateSync } from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Canales por tipo de color (0 gris, 2 RGB, 3 paleta, 4 gris+alfa, 6 RGBA)
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (buffer) => {
+    let c = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+};
+
+/**
+ * Deshace los filtros por fila del PNG
+ * @returns {Uint8Array} Filas crudas sin el byte de filtro
+ */
+const unfilter = (raw, height, stride, bpp) => {
+    const out = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        const prev = row - stride;
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? out[row + x - bpp] : 0;
+            const b = y > 0 ? out[prev + x] : 0;
+            const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+            let value = raw[src + x];
+            if (filter === 1) value += a;
+            else if (filter === 2) value += b;
+            else if (filter === 3) value += (a + b) >> 1;
+            else if (filter === 4) value += paeth(a, b, c);
+            else if (filter !== 0) throw new Error(`Filtro PNG inválido: ${filter}`);
+            out[row + x] = value & 0xff;
+        }
+    }
+    return out;
+};
+
+/**
+ * PNG → imagen RGBA
+ * @param {Buffer} buffer
+ * @returns {Object} { width, height, data }
+ * @throws {Error} Si no es un PNG soportado
+ */
+export const decodePNG = (buffer) => {
+    if (!buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('No es un PNG');
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                depth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('PNG sin IHDR');
+    const { width, height, depth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    if (!channels || interlace) throw new Error('PNG no soportado');
+
+    const bitsPerPixel = channels * depth;
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const pixels = unfilter(inflateSync(Buffer.concat(idat)), height, stride, Math.max(1, bitsPerPixel >> 3));
+
+    // Lee la muestra n de una fila (profundidades de 1 a 16 bits; 16 bits se queda con el byte alto)
+    const sample = (row, n) => {
+        if (depth === 8) return pixels[row + n];
+        if (depth === 16) return pixels[row + n * 2];
+        const bit = n * depth;
+        const byte = pixels[row + (bit >> 3)];
+        const value = (byte >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+        return colorType === 3 ? value : Math.round((value * 255) / ((1 << depth) - 1));
+    };
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const s = x * channels;
+            if (colorType === 3) {
+                const index = sample(row, s);
+                data[o] = palette[index * 3];
+                data[o + 1] = palette[index * 3 + 1];
+                data[o + 2] = palette[index * 3 + 2];
+                data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const gray = sample(row, s);
+                data[o] = data[o + 1] = data[o + 2] = gray;
+                data[o + 3] = colorType === 4 ? sample(row, s + 1) : 255;
+            } else {
+                data[o] = sample(row, s);
+                data[o + 1] = sample(row, s + 1);
+                data[o + 2] = sample(row, s + 2);
+                data[o + 3] = colorType === 6 ? sample(row, s + 3) : 255;
+            }
+        }
+    }
+
+    return { width, height, data };
+};
+
+const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typeAndBody = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndBody));
+    return Buffer.concat([length, typeAndBody, crc]);
+};
+
+/**
+ * Imagen RGBA → PNG (8 bits, RGBA, sin filtros)
+ * @param {Object} image - { width, height, data }
+ * @returns {Buffer}
+ */
+export const encodePNG = ({ width, height, data }) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // Profundidad
+    header[9] = 6;  // RGBA
+    header[10] = 0; // Compresión
+    header[11] = 0; // Filtros
+    header[12] = 0; // Sin entrelazado
+
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw, { level: 6 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+};
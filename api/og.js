@@ -0,0 +1,175 @@
+/**
+ * Tarjeta OG de un partido (PNG 1200x630)
+ *
+ * Propósito: Imagen para las previews de links de /partido/:id (WhatsApp, X...).
+ * Muestra lo mismo que la cabecera del detalle: liga (logo y nombre), escudos,
+ * marcador u horario, minuto / estado, estadio y árbitro.
+ *
+ * Uso: /api/og?id=<fixtureId> (el render de páginas agrega &v= con el marcador
+ * para que las redes no se queden con una imagen vieja).
+ * Si un escudo no se puede leer se dibuja un círculo con la inicial del equipo.
+ */
+
+import { decodePNG, encodePNG } from './_lib/png.js';
+import { createCanvas, fillRect, fillCircle, drawImage, drawText, measureText, textHeight } from './_lib/canvas.js';
+import { LIVE_STATUSES, FINISHED_STATUSES, fetchAPI, statusLabel, formatKickoff, hasScore } from './_lib/fixtures.js';
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+// Paleta de la app (fondo negro, bordes #222 / #333, grises de Tailwind)
+const COLORS = {
+    background: [0, 0, 0],
+    card: [15, 15, 15],
+    border: [34, 34, 34],
+    white: [255, 255, 255],
+    gray: [156, 163, 175],
+    darkGray: [107, 114, 128],
+    live: [239, 68, 68],
+    halfTime: [234, 179, 8]
+};
+
+// Cache del CDN (segundos): en vivo se refresca seguido, terminados casi nunca
+const CACHE_SECONDS = { live: 30, scheduled: 300, finished: 86400 };
+
+const LOGO_TIMEOUT_MS = 3000;
+
+/**
+ * Descarga y decodifica un escudo / logo (null si no se puede)
+ * @param {string} url
+ * @returns {Promise<Object|null>} Imagen RGBA
+ */
+const loadImage = async (url) => {
+    if (!url) return null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LOGO_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) return null;
+        return decodePNG(Buffer.from(await response.arrayBuffer()));
+    } catch (e) {
+        console.warn('OG: no se pudo leer la imagen', url, e.message);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Escudo de un equipo (o su inicial si no hay imagen)
+ */
+const drawTeam = (canvas, team, logo, cx) => {
+    const size = 200;
+    const top = 190;
+    if (logo) {
+        drawImage(canvas, logo, cx - size / 2, top, size, size);
+    } else {
+        fillCircle(canvas, cx, top + size / 2, size / 2, COLORS.border);
+        drawText(canvas, (team.name || '?').charAt(0), cx, top + size / 2 - textHeight(12) / 2, { size: 12, align: 'center' });
+    }
+    drawText(canvas, team.name, cx, top + size + 40, { size: 5, align: 'center', maxWidth: 380 });
+};
+
+/**
+ * Centro de la tarjeta: marcador y minuto, u horario si no empezó
+ */
+const drawCenter = (canvas, m) => {
+    const short = m.fixture.status.short;
+    const cx = WIDTH / 2;
+
+    if (hasScore(m)) {
+        drawText(canvas, `${m.goals.home}-${m.goals.away}`, cx, 215, { size: 20, align: 'center' });
+
+        const isLive = LIVE_STATUSES.includes(short);
+        const label = short === 'HT' ? 'Entretiempo'
+            : (isLive ? `${m.fixture.status.elapsed ?? ''}'` : statusLabel(m.fixture));
+        const color = short === 'HT' ? COLORS.halfTime : (isLive ? COLORS.live : COLORS.gray);
+        const labelWidth = measureText(label, 6);
+        if (isLive && short !== 'HT') fillCircle(canvas, cx - labelWidth / 2 - 24, 385 + textHeight(6) / 2, 9, COLORS.live);
+        drawText(canvas, label, cx, 385, { size: 6, color, align: 'center' });
+
+        // Penales
+        const penalty = m.score?.penalty;
+        if (FINISHED_STATUSES.includes(short) && penalty && penalty.home !== null && penalty.away !== null) {
+            drawText(canvas, `Penales ${penalty.home}-${penalty.away}`, cx, 450, { size: 4, color: COLORS.gray, align: 'center' });
+        }
+        return;
+    }
+
+    // Sin marcador: horario (o estado si se postergó / canceló)
+    const time = formatKickoff(m.fixture.timestamp, { hour: '2-digit', minute: '2-digit', hour12: false });
+    const day = formatKickoff(m.fixture.timestamp, { weekday: 'short', day: 'numeric', month: 'short' }).replace(/\./g, '');
+    drawText(canvas, ['PST', 'CANC', 'ABD'].includes(short) ? statusLabel(m.fixture) : time, cx, 240, { size: 11, align: 'center', maxWidth: 420 });
+    drawText(canvas, day, cx, 350, { size: 5, color: COLORS.gray, align: 'center' });
+};
+
+/**
+ * Dibuja la tarjeta completa
+ * @param {Object} m - Partido de la API
+ * @returns {Promise<Buffer>} PNG
+ */
+const renderCard = async (m) => {
+    const [homeLogo, awayLogo, leagueLogo] = await Promise.all([
+        loadImage(m.teams.home.logo),
+        loadImage(m.teams.away.logo),
+        loadImage(m.league.logo)
+    ]);
+
+    const canvas = createCanvas(WIDTH, HEIGHT, COLORS.background);
+
+    // Marco
+    fillRect(canvas, 24, 24, WIDTH - 48, HEIGHT - 48, COLORS.border);
+    fillRect(canvas, 26, 26, WIDTH - 52, HEIGHT - 52, COLORS.card);
+
+    // Liga
+    let leagueX = 70;
+    if (leagueLogo) {
+        drawImage(canvas, leagueLogo, leagueX, 62, 56, 56);
+        leagueX += 76;
+    }
+    drawText(canvas, m.league.name, leagueX, 76, { size: 4, color: COLORS.gray, maxWidth: WIDTH - leagueX - 70 });
+
+    drawTeam(canvas, m.teams.home, homeLogo, 250);
+    drawTeam(canvas, m.teams.away, awayLogo, WIDTH - 250);
+    drawCenter(canvas, m);
+
+    // Pie: estadio y árbitro (como la cabecera del detalle) + marca
+    fillRect(canvas, 26, HEIGHT - 110, WIDTH - 52, 2, COLORS.border);
+    const footer = [m.fixture.venue?.name || m.fixture.venue?.city, m.fixture.referee].filter(Boolean).join(' · ');
+    drawText(canvas, footer, 70, HEIGHT - 78, { size: 3, color: COLORS.darkGray, maxWidth: 760 });
+    drawText(canvas, 'RealFutbol', WIDTH - 70, HEIGHT - 82, { size: 4, align: 'right' });
+
+    return encodePNG(canvas);
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { id } = req.query;
+    if (!/^\d+$/.test(String(id || ''))) {
+        return res.status(400).json({ error: 'Missing or invalid id' });
+    }
+
+    try {
+        const data = await fetchAPI(`/fixtures?id=${id}`);
+        const m = data.response[0];
+        if (!m) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+
+        const png = await renderCard(m);
+        const short = m.fixture.status.short;
+        const seconds = LIVE_STATUSES.includes(short) ? CACHE_SECONDS.live
+            : (FINISHED_STATUSES.includes(short) ? CACHE_SECONDS.finished : CACHE_SECONDS.scheduled);
+
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Cache-Control', `public, s-maxage=${seconds}, stale-while-revalidate=${seconds * 5}`);
+        return res.status(200).send(png);
+    } catch (error) {
+        console.error('OG image error:', id, error);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(500).json({ error: 'Image generation failed' });
+    }
+}
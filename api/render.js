@@ -0,0 +1,345 @@
+/**
+ * Render del servidor para páginas de partido, liga y equipo
+ *
+ * Propósito: Que buscadores y previews de links (WhatsApp, X) vean el contenido real
+ * de /partido/:id, /liga/:id/:name y /equipo/:id en vez del placeholder estático.
+ * Toma index.html como plantilla y le agrega:
+ * - <title>, description y canonical de la página
+ * - Open Graph / Twitter card (partidos y equipos con la tarjeta de api/og.js)
+ * - JSON-LD (SportsEvent para partidos, SportsOrganization para ligas, SportsTeam para equipos)
+ * - Marcador / tabla / últimos resultados pre-renderizados en #seo-static-content
+ * - Las respuestas de la API usadas (#ssr-data) para que la SPA no las vuelva a pedir
+ *
+ * Las rutas llegan por las reescrituras de vercel.json (?type=match|league|team&id=).
+ * Si la API falla se devuelve index.html tal cual: la SPA se encarga como siempre.
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import {
+    SITE_URL,
+    TIMEZONE,
+    LIVE_STATUSES,
+    FINISHED_STATUSES,
+    fetchAPI as fetchFromProxy,
+    statusLabel,
+    formatKickoff,
+    hasScore,
+    ogImageUrl
+} from './_lib/fixtures.js';
+
+const SITE_NAME = 'RealFutbol';
+const DEFAULT_IMAGE = 'https://i.postimg.cc/1XhSs3Gv/RF-FUTURO.png';
+
+// Cache del CDN por tipo de página (segundos)
+const CACHE_SECONDS = { live: 30, scheduled: 300, finished: 3600, league: 600, team: 600 };
+
+// Plantilla (index.html) leída una sola vez por instancia
+let templatePromise = null;
+
+const loadTemplate = () => {
+    if (!templatePromise) {
+        templatePromise = readFile(join(process.cwd(), 'index.html'), 'utf8')
+            .catch(error => {
+                templatePromise = null;
+                throw error;
+            });
+    }
+    return templatePromise;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// JSON dentro de <script>: sin '<' para que no pueda cerrar la etiqueta
+const safeJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Mismo criterio que createSlug de src/core/router.js
+const createSlug = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Pide un endpoint al proxy y lo anota en las respuestas que viajan a la SPA
+ * @param {string} endpoint - Igual al que usa la vista del cliente (ej: /fixtures?id=123)
+ * @param {Object} responses - endpoint → data
+ */
+const fetchAPI = async (endpoint, responses) => {
+    const data = await fetchFromProxy(endpoint);
+    responses[endpoint] = data;
+    return data;
+};
+
+const eventStatus = (short) => {
+    if (short === 'PST') return 'https://schema.org/EventPostponed';
+    if (short === 'CANC' || short === 'ABD') return 'https://schema.org/EventCancelled';
+    return 'https://schema.org/EventScheduled';
+};
+
+/**
+ * Página de un partido
+ */
+const renderMatch = async (id, responses) => {
+    const data = await fetchAPI(`/fixtures?id=${id}`, responses);
+    const m = data.response[0];
+    if (!m) return null;
+
+    const home = m.teams.home;
+    const away = m.teams.away;
+    const short = m.fixture.status.short;
+    const score = hasScore(m) ? `${m.goals.home}-${m.goals.away}` : null;
+    const versus = score ? `${home.name} ${score} ${away.name}` : `${home.name} vs ${away.name}`;
+    const kickoff = formatKickoff(m.fixture.timestamp);
+    const venue = [m.fixture.venue?.name, m.fixture.venue?.city].filter(Boolean).join(', ');
+    const url = `${SITE_URL}/partido/${m.fixture.id}`;
+
+    const goals = (m.events || [])
+        .filter(e => e.type === 'Goal' && e.detail !== 'Missed Penalty' && e.comments !== 'Penalty Shootout')
+        .map(e => `<li>${escapeHtml(e.time.elapsed)}' ${escapeHtml(e.player?.name)} (${escapeHtml(e.team?.name)})</li>`)
+        .join('');
+
+    const teamLd = (t) => ({ '@type': 'SportsTeam', name: t.name, logo: t.logo });
+
+    return {
+        title: `${versus} - ${m.league.name} | ${SITE_NAME}`,
+        description: `${versus} (${statusLabel(m.fixture)}) por ${m.league.name}, ${m.league.round}. ${kickoff}${venue ? ` en ${venue}` : ''}. Cronología, alineaciones, estadísticas y foro del partido.`,
+        url,
+        image: ogImageUrl(m),
+        largeImage: true,
+        cacheSeconds: LIVE_STATUSES.includes(short) ? CACHE_SECONDS.live
+            : (FINISHED_STATUSES.includes(short) ? CACHE_SECONDS.finished : CACHE_SECONDS.scheduled),
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'SportsEvent',
+            name: `${home.name} vs ${away.name}`,
+            sport: 'Soccer',
+            url,
+            startDate: new Date(m.fixture.timestamp * 1000).toISOString(),
+            eventStatus: eventStatus(short),
+            eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+            location: { '@type': 'Place', name: m.fixture.venue?.name || venue || m.league.name, address: m.fixture.venue?.city || '' },
+            homeTeam: teamLd(home),
+            awayTeam: teamLd(away),
+            competitor: [teamLd(home), teamLd(away)],
+            superEvent: { '@type': 'SportsEvent', name: `${m.league.name} ${m.league.season}` },
+            image: [home.logo, away.logo].filter(Boolean)
+        },
+        content: `
+            <article class="match-card rounded-lg p-6">
+                <p class="text-xs uppercase tracking-widest text-gray-500 mb-4">${escapeHtml(m.league.name)} - ${escapeHtml(m.league.round)}</p>
+                <h1 class="text-2xl font-bold text-white font-sport mb-4 flex items-center justify-center gap-4 text-center">
+                    <img src="${escapeHtml(home.logo)}" alt="${escapeHtml(home.name)}" class="w-10 h-10 object-contain">
+                    <span>${escapeHtml(home.name)}</span>
+                    <span class="text-3xl">${escapeHtml(score || 'vs')}</span>
+                    <span>${escapeHtml(away.name)}</span>
+                    <img src="${escapeHtml(away.logo)}" alt="${escapeHtml(away.name)}" class="w-10 h-10 object-contain">
+                </h1>
+                <p class="text-gray-300 text-center mb-4">${escapeHtml(statusLabel(m.fixture))} · ${escapeHtml(kickoff)}${venue ? ` · ${escapeHtml(venue)}` : ''}</p>
+                ${goals ? `<h2 class="text-lg font-bold text-white font-sport mb-3">Goles</h2><ul class="text-gray-300 space-y-1 list-disc list-inside ml-4">${goals}</ul>` : ''}
+            </article>
+        `
+    };
+};
+
+/**
+ * Página de una liga (tabla de la temporada actual)
+ */
+const renderLeague = async (id, responses) => {
+    const leagueData = await fetchAPI(`/leagues?id=${id}&current=true`, responses);
+    const entry = leagueData.response[0];
+    if (!entry) return null;
+
+    const league = entry.league;
+    const current = (entry.seasons || []).find(s => s.current);
+    const url = `${SITE_URL}/liga/${league.id}/${createSlug(league.name)}`;
+
+    let groups = [];
+    if (current) {
+        try {
+            const standings = await fetchAPI(`/standings?league=${id}&season=${current.year}`, responses);
+            groups = standings.response[0]?.league?.standings || [];
+        } catch (e) {
+            console.warn('Render: tabla no disponible', id, e.message);
+        }
+    }
+
+    const tables = groups.map(group => `
+        <table class="w-full text-sm text-gray-300 mb-6">
+            <thead><tr class="text-xs uppercase text-gray-500"><th class="text-left">#</th><th class="text-left">Equipo</th><th>PJ</th><th>DG</th><th>PTS</th></tr></thead>
+            <tbody>
+                ${group.map(row => `<tr><td>${escapeHtml(row.rank)}</td><td><a href="/equipo/${escapeHtml(row.team.id)}">${escapeHtml(row.team.name)}</a></td><td class="text-center">${escapeHtml(row.all?.played)}</td><td class="text-center">${escapeHtml(row.goalsDiff)}</td><td class="text-center font-bold">${escapeHtml(row.points)}</td></tr>`).join('')}
+            </tbody>
+        </table>
+    `).join('');
+
+    const leader = groups[0] && groups[0][0];
+    const seasonText = current ? ` ${current.year}` : '';
+
+    return {
+        title: `${league.name}${seasonText}: tabla de posiciones y fixture | ${SITE_NAME}`,
+        description: `Tabla de posiciones, resultados y fixture de ${league.name}${seasonText}${leader ? `. Puntero: ${leader.team.name} con ${leader.points} puntos` : ''}.`,
+        url,
+        image: league.logo || DEFAULT_IMAGE,
+        cacheSeconds: CACHE_SECONDS.league,
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'SportsOrganization',
+            name: league.name,
+            sport: 'Soccer',
+            url,
+            logo: league.logo,
+            location: entry.country?.name ? { '@type': 'Country', name: entry.country.name } : undefined
+        },
+        content: `
+            <article class="match-card rounded-lg p-6">
+                <h1 class="text-2xl font-bold text-white font-sport mb-4">${escapeHtml(league.name)}${escapeHtml(seasonText)} - Tabla de posiciones</h1>
+                ${tables || '<p class="text-gray-300">Tabla no disponible.</p>'}
+            </article>
+        `
+    };
+};
+
+/**
+ * Página de un equipo (últimos resultados y próximos partidos)
+ */
+const renderTeam = async (id, responses) => {
+    const [teamData, lastData, nextData] = await Promise.all([
+        fetchAPI(`/teams?id=${id}`, responses),
+        fetchAPI(`/fixtures?team=${id}&last=5&timezone=${TIMEZONE}`, responses).catch(() => ({ response: [] })),
+        fetchAPI(`/fixtures?team=${id}&next=5&timezone=${TIMEZONE}`, responses).catch(() => ({ response: [] }))
+    ]);
+    const entry = teamData.response[0];
+    if (!entry) return null;
+
+    const team = entry.team;
+    const venue = entry.venue || {};
+    const url = `${SITE_URL}/equipo/${team.id}`;
+
+    const matchItem = (m) => {
+        const score = hasScore(m) ? `${m.goals.home}-${m.goals.away}` : 'vs';
+        return `<li><a href="/partido/${escapeHtml(m.fixture.id)}">${escapeHtml(m.teams.home.name)} ${escapeHtml(score)} ${escapeHtml(m.teams.away.name)}</a> <span class="text-gray-500">(${escapeHtml(m.league.name)}, ${escapeHtml(formatKickoff(m.fixture.timestamp))})</span></li>`;
+    };
+    const last = [...lastData.response].sort((a, b) => b.fixture.timestamp - a.fixture.timestamp);
+    const next = [...nextData.response].sort((a, b) => a.fixture.timestamp - b.fixture.timestamp);
+    const lastMatch = last[0];
+
+    // Tarjeta OG: el próximo partido si es dentro de las próximas 24 h, si no el último jugado
+    const soon = next[0] && next[0].fixture.timestamp * 1000 - Date.now() < 24 * 60 * 60 * 1000;
+    const cardMatch = soon ? next[0] : (lastMatch || next[0]);
+
+    return {
+        title: `${team.name}: resultados, fixture y plantel | ${SITE_NAME}`,
+        description: `${team.name}${team.country ? ` (${team.country})` : ''}: últimos resultados, próximos partidos y transferencias${lastMatch && hasScore(lastMatch) ? `. Último partido: ${lastMatch.teams.home.name} ${lastMatch.goals.home}-${lastMatch.goals.away} ${lastMatch.teams.away.name}` : ''}.`,
+        url,
+        image: cardMatch ? ogImageUrl(cardMatch) : (team.logo || DEFAULT_IMAGE),
+        largeImage: Boolean(cardMatch),
+        cacheSeconds: CACHE_SECONDS.team,
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'SportsTeam',
+            name: team.name,
+            sport: 'Soccer',
+            url,
+            logo: team.logo,
+            foundingDate: team.founded ? String(team.founded) : undefined,
+            location: venue.name ? { '@type': 'Place', name: venue.name, address: venue.city || '' } : undefined
+        },
+        content: `
+            <article class="match-card rounded-lg p-6">
+                <h1 class="text-2xl font-bold text-white font-sport mb-4 flex items-center gap-3">
+                    <img src="${escapeHtml(team.logo)}" alt="${escapeHtml(team.name)}" class="w-10 h-10 object-contain">
+                    ${escapeHtml(team.name)}
+                </h1>
+                <p class="text-gray-300 mb-4">${[team.country, team.founded ? `Fundado en ${team.founded}` : '', venue.name].filter(Boolean).map(escapeHtml).join(' · ')}</p>
+                ${last.length ? `<h2 class="text-lg font-bold text-white font-sport mb-3">Últimos resultados</h2><ul class="text-gray-300 space-y-1 mb-4">${last.map(matchItem).join('')}</ul>` : ''}
+                ${next.length ? `<h2 class="text-lg font-bold text-white font-sport mb-3">Próximos partidos</h2><ul class="text-gray-300 space-y-1">${next.map(matchItem).join('')}</ul>` : ''}
+            </article>
+        `
+    };
+};
+
+const RENDERERS = { match: renderMatch, league: renderLeague, team: renderTeam };
+
+/**
+ * Inserta la página en la plantilla
+ * @param {string} template - index.html
+ * @param {Object} page - { title, description, url, image, largeImage, jsonLd, content }
+ * @param {Object} payload - Datos para la SPA (#ssr-data)
+ */
+const buildHtml = (template, page, payload) => {
+    const head = `
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:locale" content="es_AR">
+    <meta property="og:title" content="${escapeHtml(page.title)}">
+    <meta property="og:description" content="${escapeHtml(page.description)}">
+    <meta property="og:url" content="${escapeHtml(page.url)}">
+    <meta property="og:image" content="${escapeHtml(page.image)}">${page.largeImage ? `
+    <meta property="og:image:width" content="1200">
+    <meta property="og:image:height" content="630">` : ''}
+    <meta name="twitter:card" content="${page.largeImage ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:site" content="@RealFutbolApp">
+    <meta name="twitter:title" content="${escapeHtml(page.title)}">
+    <meta name="twitter:description" content="${escapeHtml(page.description)}">
+    <meta name="twitter:image" content="${escapeHtml(page.image)}">
+    <script type="application/ld+json">${safeJson(page.jsonLd)}</script>
+    <script id="ssr-data" type="application/json">${safeJson(payload)}</script>
+    `;
+
+    // Reemplazos con función: los textos de la API pueden traer '$' (patrones de replace)
+    return template
+        .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(page.title)}</title>`)
+        .replace(/<meta name="description"\s+content="[^"]*">/, () => `<meta name="description" content="${escapeHtml(page.description)}">`)
+        .replace(/<link rel="canonical" href="[^"]*">/, () => `<link rel="canonical" href="${escapeHtml(page.url)}">`)
+        .replace('<!-- ssr:head -->', () => head)
+        .replace(/<!-- ssr:content -->[\s\S]*?<!-- \/ssr:content -->/, () => page.content);
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let template;
+    try {
+        template = await loadTemplate();
+    } catch (error) {
+        console.error('Render: no se pudo leer index.html', error);
+        return res.status(500).send('Server configuration error');
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    // El service worker no guarda estas páginas como shell (ver sw.js)
+    res.setHeader('X-RF-SSR', '1');
+
+    const { type, id } = req.query;
+    const render = RENDERERS[type];
+    if (!render || !/^\d+$/.test(String(id || ''))) {
+        return res.status(200).send(template);
+    }
+
+    try {
+        const responses = {};
+        const page = await render(parseInt(id), responses);
+        if (!page) {
+            // No existe: la SPA muestra su propio "no encontrado"
+            res.setHeader('Cache-Control', 's-maxage=60');
+            return res.status(200).send(template);
+        }
+
+        const payload = { fetchedAt: Date.now(), responses };
+        res.setHeader('Cache-Control', `s-maxage=${page.cacheSeconds}, stale-while-revalidate=${page.cacheSeconds * 5}`);
+        return res.status(200).send(buildHtml(template, page, payload));
+    } catch (error) {
+        console.error('Render error:', type, id, error);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(template);
+    }
+}
@@ -1,23 +1,212 @@
 /**
  * API Module
- * 
- * Propósito: Centralizar fetches con cache localStorage y TTL inteligente
- * 
+ *
+ * Propósito: Centralizar fetches con cache (IndexedDB/localStorage/memoria) y TTL inteligente
+ *
  * Exports:
- * - fetchAPI(endpoint): Función principal para fetch con cache
+ * - fetchAPI(endpoint): Función principal para fetch con cache (deduplicada y con límite de concurrencia)
+ * - fetchAPIWithMeta(endpoint, options): Igual pero con metadata de frescura y modo stale-while-revalidate
+ * - subscribeAPI(endpoint, callback): Notifica cuando llega un dato nuevo de red para un endpoint
+ * - primeCache(endpoint, data, fetchedAt): Guarda en caché una respuesta obtenida por otro medio (ej: render del servidor)
+ * - configureRetryPolicy(name, overrides): Ajusta las políticas de reintento ('interactive' / 'background')
+ * - configureProvider(name): Elige la fuente de datos ('live' = proxy, 'replay' = JSON grabados)
+ * - getProviderName(): Provider activo
+ * - configureCache(options): Cambia el backend o el presupuesto de la caché
+ * - getCacheStats(): Estadísticas de la caché (debug)
  * - API_BASE: Base URL del proxy API
  */
 
+import {
+    createCache,
+    createDefaultBackend,
+    createIndexedDBBackend,
+    createLocalStorageBackend,
+    createMemoryBackend
+} from './cache.js';
+import {
+    NetworkError,
+    RateLimitError,
+    UpstreamError,
+    MalformedResponseError,
+    classifyPayloadErrors,
+    parseRetryAfter
+} from './errors.js';
+import { createLiveProvider, createReplayProvider } from './providers.js';
+
 export const API_BASE = "https://api-proxy.giannirodbol07.workers.dev/api";
 
+// Prefijo histórico de las entradas en localStorage
+const LEGACY_PREFIX = 'bw_v3_';
+
+// Máximo de requests simultáneos al proxy (cuida la cuota de la API)
+const MAX_CONCURRENT_REQUESTS = 4;
+
+/**
+ * Políticas de reintento para GETs idempotentes al proxy
+ * - interactive: cargas iniciadas por el usuario (reintenta rápido, varias veces)
+ * - background: refrescos silenciosos (más conservador, no conviene gastar cuota)
+ */
+const RETRY_POLICIES = {
+    interactive: { retries: 3, baseDelayMs: 500, maxDelayMs: 8000, deadlineMs: 15000 },
+    background: { retries: 1, baseDelayMs: 3000, maxDelayMs: 30000, deadlineMs: 45000 }
+};
+
+let cache = null;
+let provider = null;
+
+// endpoint -> Promise de la request en curso (deduplicación)
+const inFlight = new Map();
+
+// endpoint -> Set de callbacks (stale-while-revalidate)
+const subscribers = new Map();
+
+// Semáforo simple para limitar la concurrencia
+let activeRequests = 0;
+const waitingQueue = [];
+
+const acquireSlot = () => new Promise(resolve => {
+    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        activeRequests++;
+        resolve();
+    } else {
+        waitingQueue.push(resolve);
+    }
+});
+
+const releaseSlot = () => {
+    const next = waitingQueue.shift();
+    if (next) {
+        // El slot pasa directo al siguiente en la cola
+        next();
+    } else {
+        activeRequests--;
+    }
+};
+
+/**
+ * Elimina las entradas viejas de localStorage cuando la caché vive en otro backend
+ */
+const clearLegacyLocalStorage = () => {
+    try {
+        Object.keys(localStorage).forEach(key => {
+            if (key.startsWith(LEGACY_PREFIX)) localStorage.removeItem(key);
+        });
+    } catch (e) { /* localStorage no disponible */ }
+};
+
+/**
+ * Configura la caché de fetchAPI
+ * @param {Object} options
+ * @param {string} options.backend - 'indexeddb' | 'localstorage' | 'memory' (default: el mejor disponible)
+ * @param {number} options.maxBytes - Presupuesto máximo de la caché
+ */
+export const configureCache = ({ backend, maxBytes } = {}) => {
+    let instance;
+    if (backend === 'indexeddb') instance = createIndexedDBBackend();
+    else if (backend === 'localstorage') instance = createLocalStorageBackend(LEGACY_PREFIX);
+    else if (backend === 'memory') instance = createMemoryBackend();
+    else instance = createDefaultBackend();
+
+    if (instance.name !== 'localstorage') clearLegacyLocalStorage();
+
+    cache = createCache({ backend: instance, maxBytes });
+};
+
+const getCache = () => {
+    if (!cache) configureCache();
+    return cache;
+};
+
+// El índice LRU se guarda con debounce: al ocultar o cerrar la pestaña se guarda ya
+const flushCache = () => {
+    if (cache) cache.flush();
+};
+window.addEventListener('pagehide', flushCache);
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) flushCache();
+});
+
+/**
+ * Estadísticas de la caché (debug)
+ * @returns {Object} { backend, entries, bytes, budget }
+ */
+export const getCacheStats = () => getCache().stats();
+
+/**
+ * Elige la fuente de datos de fetchAPI
+ * En modo replay la caché vive en memoria para no mezclar datos grabados con los reales.
+ * @param {string} name - 'live' | 'replay'
+ */
+export const configureProvider = (name = 'live') => {
+    if (name === 'replay') {
+        provider = createReplayProvider();
+        configureCache({ backend: 'memory' });
+        console.info('[api] Usando datos grabados (replay). Para volver: ?provider=live');
+    } else {
+        provider = createLiveProvider(API_BASE);
+    }
+};
+
+const getProvider = () => {
+    if (!provider) configureProvider('live');
+    return provider;
+};
+
+/**
+ * Provider activo
+ * @returns {string} 'live' | 'replay'
+ */
+export const getProviderName = () => getProvider().name;
+
+/**
+ * Ajusta una política de reintento
+ * @param {string} name - 'interactive' | 'background'
+ * @param {Object} overrides - { retries, baseDelayMs, maxDelayMs, deadlineMs }
+ */
+export const configureRetryPolicy = (name, overrides = {}) => {
+    RETRY_POLICIES[name] = { ...(RETRY_POLICIES[name] || RETRY_POLICIES.interactive), ...overrides };
+};
+
+/**
+ * Resuelve la política a usar (nombre o objeto)
+ * @param {string|Object} retry
+ * @returns {Object}
+ */
+const resolveRetryPolicy = (retry) => {
+    if (retry && typeof retry === 'object') return { ...RETRY_POLICIES.interactive, ...retry };
+    return RETRY_POLICIES[retry] || RETRY_POLICIES.interactive;
+};
+
+/**
+ * Espera exponencial con "full jitter": un valor aleatorio entre 0 y base * 2^intento
+ * @param {number} attempt - Número de reintento (0 = primero)
+ * @param {Object} policy
+ * @returns {number} ms
+ */
+const backoffDelay = (attempt, policy) => {
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Datos fijos de un jugador (los rankings /players/top* cambian con cada fecha)
+const PLAYER_INFO_ENDPOINTS = ['/players/profiles', '/players/seasons', '/players/teams'];
+
 /**
  * Determina el TTL de cache según el tipo de endpoint
  * @param {string} endpoint - Endpoint de la API
  * @returns {number} TTL en milisegundos
  */
 const getCacheTTL = (endpoint) => {
+    // Temporada actual de una liga → 12 h (cambia una vez por año)
+    if (endpoint.includes('/leagues?') && endpoint.includes('current=true')) return 12 * 60 * 60 * 1000;
+    // Búsquedas (equipos, ligas, jugadores) y datos fijos de jugadores (perfil, clubes, temporadas) → 24 h
+    if (endpoint.includes('search=') || PLAYER_INFO_ENDPOINTS.some(p => endpoint.startsWith(p))) return 24 * 60 * 60 * 1000;
     // Standings casi no cambian → 30 min
     if (endpoint.includes('/standings')) return 30 * 60 * 1000;
+    // Partidos terminados de una temporada y estadísticas de equipo (desempates de la tabla) → 30 min
+    if (endpoint.includes('status=FT') || endpoint.startsWith('/teams/statistics')) return 30 * 60 * 1000;
     // Detalle de un partido específico → 5 min
     if (endpoint.includes('/fixtures?id=')) return 5 * 60 * 1000;
     // Listado de partidos del día → 2 min
@@ -27,57 +216,233 @@ const getCacheTTL = (endpoint) => {
 };
 
 /**
- * Fetch API con sistema de caché localStorage e TTL inteligente
+ * Construye la metadata de frescura de una respuesta
+ * @param {number} ts - Timestamp en que se obtuvo el dato
+ * @param {number} ttl - TTL del endpoint
+ * @param {string} source - 'cache' | 'network' | 'fallback'
+ * @returns {Object} { fresh, stale, ageMs, fetchedAt, source }
+ */
+const buildMeta = (ts, ttl, source) => {
+    const ageMs = Math.max(0, Date.now() - ts);
+    return { fresh: ageMs < ttl, stale: ageMs >= ttl, ageMs, fetchedAt: ts, source };
+};
+
+/**
+ * Suscribe un callback a las actualizaciones de red de un endpoint
+ * (se llama con { data, meta } cada vez que llega un dato nuevo)
+ * @param {string} endpoint - Endpoint relativo
+ * @param {Function} callback - Recibe { data, meta }
+ * @returns {Function} - Función para desuscribirse
+ */
+export const subscribeAPI = (endpoint, callback) => {
+    if (!subscribers.has(endpoint)) subscribers.set(endpoint, new Set());
+    subscribers.get(endpoint).add(callback);
+
+    return () => {
+        const set = subscribers.get(endpoint);
+        if (!set) return;
+        set.delete(callback);
+        if (set.size === 0) subscribers.delete(endpoint);
+    };
+};
+
+const notifySubscribers = (endpoint, result) => {
+    const set = subscribers.get(endpoint);
+    if (!set) return;
+    set.forEach(callback => {
+        try {
+            callback(result);
+        } catch (e) {
+            console.error('API subscriber error:', e);
+        }
+    });
+};
+
+/**
+ * Fetch API que devuelve datos + metadata de caché
+ * Con staleWhileRevalidate, si hay caché vencida la devuelve al instante y
+ * la refresca en segundo plano (los suscriptores reciben el dato nuevo).
  * @param {string} endpoint - Endpoint relativo (ej: /fixtures?date=2024-01-15)
- * @param {boolean} force - Si es true, ignora la caché y fuerza nueva petición
- * @returns {Promise<Object>} - Datos de la API
+ * @param {Object} options
+ * @param {boolean} options.force - Ignora la caché y fuerza nueva petición
+ * @param {boolean} options.staleWhileRevalidate - Devuelve caché vencida y revalida en background
+ * @param {string|Object} options.retry - Política de reintento: 'interactive' (default), 'background' u objeto
+ * @returns {Promise<Object>} - { data, meta: { fresh, stale, ageMs, fetchedAt, source } }
  */
-export const fetchAPI = async (endpoint, force = false) => {
-    const cacheKey = "bw_v3_" + endpoint;
-    const cached = localStorage.getItem(cacheKey);
+export const fetchAPIWithMeta = async (endpoint, { force = false, staleWhileRevalidate = false, retry = 'interactive' } = {}) => {
+    const policy = resolveRetryPolicy(retry);
+    const cached = await getCache().get(endpoint);
+    const ttl = getCacheTTL(endpoint);
 
-    // Verificar si hay caché válido
     if (cached && !force) {
-        const { ts, data } = JSON.parse(cached);
-        if (Date.now() - ts < getCacheTTL(endpoint)) {
-            return data;
+        const meta = buildMeta(cached.ts, ttl, 'cache');
+
+        // Caché válida
+        if (meta.fresh) {
+            return { data: cached.data, meta };
+        }
+
+        // Caché vencida: devolverla ya y refrescar en segundo plano
+        if (staleWhileRevalidate) {
+            revalidate(endpoint, cached, resolveRetryPolicy('background')).catch(e => console.warn('Background revalidation failed:', endpoint, e));
+            return { data: cached.data, meta };
         }
     }
 
-    // Fetch desde API
-    let res = await fetch(`${API_BASE}${endpoint}`);
-    let data = await res.json();
+    return revalidate(endpoint, cached, policy);
+};
 
-    // Verificar errores de API
-    if (data.errors && Object.keys(data.errors).length > 0) {
-        console.error("API Error:", data.errors);
+/**
+ * Guarda en caché una respuesta que ya se obtuvo por otro medio (ej: el render del servidor)
+ * La frescura se calcula desde fetchedAt, como si hubiera llegado de la red en ese momento.
+ * @param {string} endpoint - Endpoint relativo
+ * @param {Object} data - Respuesta de la API
+ * @param {number} fetchedAt - Timestamp en que se obtuvo
+ */
+export const primeCache = async (endpoint, data, fetchedAt = Date.now()) => {
+    const cached = await getCache().get(endpoint);
+    if (cached && cached.ts >= fetchedAt) return; // Ya hay algo igual o más nuevo
+    await getCache().set(endpoint, { ts: fetchedAt, data });
+};
+
+/**
+ * Fetch API con sistema de caché LRU y TTL inteligente
+ * @param {string} endpoint - Endpoint relativo (ej: /fixtures?date=2024-01-15)
+ * @param {boolean} force - Si es true, ignora la caché y fuerza nueva petición
+ * @param {Object} options - { retry: 'interactive' | 'background' | política }
+ * @returns {Promise<Object>} - Datos de la API
+ * @throws {ApiError} - Error tipado (ver core/errors.js) si falla y no hay caché
+ */
+export const fetchAPI = async (endpoint, force = false, { retry = 'interactive' } = {}) => {
+    const { data } = await fetchAPIWithMeta(endpoint, { force, retry });
+    return data;
+};
+
+/**
+ * Pide el endpoint a la red, compartiendo la request si ya hay una en curso
+ * @param {string} endpoint - Endpoint relativo
+ * @param {Object|null} cached - Entrada de caché existente (para fallback)
+ * @param {Object} policy - Política de reintento
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const revalidate = (endpoint, cached, policy) => {
+    // Si ya hay una request en curso para este endpoint, compartirla
+    if (inFlight.has(endpoint)) {
+        return inFlight.get(endpoint);
+    }
+
+    const request = fetchFromNetwork(endpoint, cached, policy)
+        .finally(() => inFlight.delete(endpoint));
+    inFlight.set(endpoint, request);
+
+    return request;
+};
+
+/**
+ * Hace la request al proxy respetando el límite de concurrencia y guarda en caché
+ * @param {string} endpoint - Endpoint relativo
+ * @param {Object|null} cached - Entrada de caché existente (para fallback)
+ * @param {Object} policy - Política de reintento
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const fetchFromNetwork = async (endpoint, cached, policy) => {
+    const ttl = getCacheTTL(endpoint);
+
+    let data;
+    try {
+        data = await requestWithRetry(endpoint, policy);
+    } catch (error) {
+        console.error("API Error:", error);
 
         // Si falló y tenemos caché (aunque vieja), usarla como fallback
         if (cached) {
             console.warn("Usando caché fallback por error de API");
-            return JSON.parse(cached).data;
+            return { data: cached.data, meta: buildMeta(cached.ts, ttl, 'fallback') };
         }
 
-        throw new Error("API Limit Reached");
+        throw error;
+    }
+
+    // Guardar en cache (desaloja las entradas menos usadas si hace falta)
+    const ts = Date.now();
+    await getCache().set(endpoint, { ts, data });
+
+    const result = { data, meta: buildMeta(ts, ttl, 'network') };
+    notifySubscribers(endpoint, result);
+    return result;
+};
+
+/**
+ * Reintenta requestProxy ante fallas transitorias (red, 429, 5xx) con backoff
+ * exponencial y jitter, respetando Retry-After y el deadline de la política
+ * @param {string} endpoint - Endpoint relativo
+ * @param {Object} policy - { retries, baseDelayMs, maxDelayMs, deadlineMs }
+ * @returns {Promise<Object>} - Datos de la API
+ */
+const requestWithRetry = async (endpoint, policy) => {
+    const deadline = Date.now() + policy.deadlineMs;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await requestProxy(endpoint);
+        } catch (error) {
+            // Offline: no tiene sentido reintentar hasta que vuelva la conexión
+            const transient = error.retryable && !error.offline;
+            if (!transient || attempt >= policy.retries) throw error;
+
+            const delay = error.retryAfterMs ?? backoffDelay(attempt, policy);
+            if (Date.now() + delay > deadline) throw error;
+
+            console.warn(`Reintentando ${endpoint} en ${delay}ms (intento ${attempt + 1}/${policy.retries})`);
+            await sleep(delay);
+        }
     }
+};
 
-    // Guardar en cache
+/**
+ * Hace una request al provider (respetando el límite de concurrencia) y valida la respuesta
+ * @param {string} endpoint - Endpoint relativo
+ * @returns {Promise<Object>} - Datos de la API
+ * @throws {ApiError} - NetworkError, RateLimitError, UpstreamError, MalformedResponseError o QuotaExceededError
+ */
+const requestProxy = async (endpoint) => {
+    await acquireSlot();
+
+    let res, body;
     try {
-        localStorage.setItem(cacheKey, JSON.stringify({ ts: Date.now(), data }));
-    } catch (e) {
-        console.warn("Storage full, clearing old cache...");
         try {
-            // Limpiar cache antiguo
-            Object.keys(localStorage).forEach(key => {
-                if (key.startsWith('bw_v3_')) {
-                    localStorage.removeItem(key);
-                }
-            });
-            // Reintentar guardar
-            localStorage.setItem(cacheKey, JSON.stringify({ ts: Date.now(), data }));
-        } catch (retryErr) {
-            console.error("No se pudo liberar espacio, continuando sin caché.", retryErr);
+            res = await getProvider().request(endpoint);
+            body = await res.text();
+        } catch (e) {
+            throw new NetworkError(e);
         }
+    } finally {
+        releaseSlot();
+    }
+
+    const retryAfterMs = parseRetryAfter(res.headers?.get?.('Retry-After'));
+
+    if (res.status === 429) {
+        throw new RateLimitError({ retryAfterMs, details: body });
+    }
+    if (!res.ok) {
+        throw new UpstreamError({ status: res.status, retryAfterMs, details: body });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch {
+        throw new MalformedResponseError({ status: res.status, details: body.slice(0, 200) });
+    }
+
+    if (!data || typeof data !== 'object') {
+        throw new MalformedResponseError({ status: res.status, details: body.slice(0, 200) });
+    }
+
+    // Verificar errores de API (vienen con HTTP 200)
+    if (data.errors && Object.keys(data.errors).length > 0) {
+        throw classifyPayloadErrors(data.errors);
     }
 
     return data;
@@ -0,0 +1,383 @@
+/**
+ * Cache Module
+ *
+ * Propósito: Capa de caché con backends intercambiables, presupuesto de tamaño
+ * y desalojo LRU (el menos usado recientemente se borra primero)
+ *
+ * Exports:
+ * - createCache(options): Crea una instancia de caché sobre un backend
+ * - createMemoryBackend(): Backend en memoria (se pierde al recargar)
+ * - createLocalStorageBackend(prefix): Backend sobre localStorage
+ * - createIndexedDBBackend(dbName): Backend sobre IndexedDB
+ * - createFallbackBackend(primary, createFallback): Usa otro backend si el principal no abre
+ * - createDefaultBackend(): Elige el mejor backend disponible en el navegador
+ */
+
+// Clave reservada donde cada backend persiste el índice LRU
+const INDEX_KEY = '__lru_index__';
+
+// Presupuestos por defecto (en caracteres de JSON serializado)
+export const DEFAULT_BUDGETS = {
+    memory: 8 * 1024 * 1024,
+    localstorage: 4 * 1024 * 1024,
+    indexeddb: 25 * 1024 * 1024
+};
+
+/**
+ * Backend en memoria. Útil para tests o navegadores sin storage.
+ * @returns {Object} Backend { name, get, set, remove, keys }
+ */
+export const createMemoryBackend = () => {
+    const store = new Map();
+    return {
+        name: 'memory',
+        get: async (key) => store.has(key) ? store.get(key) : null,
+        set: async (key, value) => { store.set(key, value); },
+        remove: async (key) => { store.delete(key); },
+        keys: async () => Array.from(store.keys())
+    };
+};
+
+/**
+ * Backend sobre localStorage (valores serializados como JSON)
+ * @param {string} prefix - Prefijo de las claves (ej: 'bw_v3_')
+ * @returns {Object} Backend { name, get, set, remove, keys }
+ */
+export const createLocalStorageBackend = (prefix = 'bw_v3_') => ({
+    name: 'localstorage',
+    get: async (key) => {
+        const raw = localStorage.getItem(prefix + key);
+        if (raw === null) return null;
+        try {
+            return JSON.parse(raw);
+        } catch {
+            localStorage.removeItem(prefix + key);
+            return null;
+        }
+    },
+    // Puede lanzar QuotaExceededError: la caché lo maneja desalojando entradas
+    set: async (key, value) => { localStorage.setItem(prefix + key, JSON.stringify(value)); },
+    remove: async (key) => { localStorage.removeItem(prefix + key); },
+    keys: async () => Object.keys(localStorage)
+        .filter(k => k.startsWith(prefix))
+        .map(k => k.slice(prefix.length))
+});
+
+/**
+ * Backend sobre IndexedDB (mucho más espacio que localStorage)
+ * @param {string} dbName - Nombre de la base de datos
+ * @returns {Object} Backend { name, ready, get, set, remove, keys }
+ */
+export const createIndexedDBBackend = (dbName = 'realfutbol_cache') => {
+    const STORE = 'entries';
+    let dbPromise = null;
+
+    const openDB = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(dbName, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    // Ejecuta una operación dentro de una transacción y resuelve con su resultado
+    const run = async (mode, operation) => {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const req = operation(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    return {
+        name: 'indexeddb',
+        // Rechaza si la base no se puede abrir (ej: navegación privada en algunos navegadores)
+        ready: async () => { await openDB(); },
+        get: async (key) => (await run('readonly', store => store.get(key))) ?? null,
+        set: async (key, value) => { await run('readwrite', store => store.put(value, key)); },
+        remove: async (key) => { await run('readwrite', store => store.delete(key)); },
+        keys: async () => (await run('readonly', store => store.getAllKeys())).map(String)
+    };
+};
+
+/**
+ * Backend que usa `primary` si abre bien y si no pasa a otro
+ * El nombre es el del backend activo (cambia cuando se resuelve cuál se usa).
+ * @param {Object} primary - Backend con `ready()` (ver createIndexedDBBackend)
+ * @param {Function} createFallback - Crea el backend de reemplazo
+ * @returns {Object} Backend { name, get, set, remove, keys }
+ */
+export const createFallbackBackend = (primary, createFallback) => {
+    let current = primary;
+    let resolved = null;
+
+    const resolveBackend = () => {
+        if (!resolved) {
+            resolved = Promise.resolve(primary.ready ? primary.ready() : undefined)
+                .then(() => primary)
+                .catch(e => {
+                    current = createFallback();
+                    console.warn(`Cache backend ${primary.name} unavailable, using ${current.name}:`, e);
+                    return current;
+                });
+        }
+        return resolved;
+    };
+
+    return {
+        get name() { return current.name; },
+        get: async (key) => (await resolveBackend()).get(key),
+        set: async (key, value) => (await resolveBackend()).set(key, value),
+        remove: async (key) => (await resolveBackend()).remove(key),
+        keys: async () => (await resolveBackend()).keys()
+    };
+};
+
+/**
+ * Elige IndexedDB si existe (con localStorage o memoria de respaldo si no abre),
+ * si no localStorage, y como último recurso memoria
+ * @returns {Object} Backend
+ */
+export const createDefaultBackend = () => {
+    const hasLocalStorage = typeof localStorage !== 'undefined';
+    if (typeof indexedDB !== 'undefined') {
+        return createFallbackBackend(createIndexedDBBackend(),
+            () => hasLocalStorage ? createLocalStorageBackend() : createMemoryBackend());
+    }
+    if (hasLocalStorage) return createLocalStorageBackend();
+    return createMemoryBackend();
+};
+
+/**
+ * Estima el tamaño de un valor como largo de su JSON
+ * @param {*} value
+ * @returns {number}
+ */
+const estimateSize = (value) => {
+    try {
+        return JSON.stringify(value).length;
+    } catch {
+        return 0;
+    }
+};
+
+/**
+ * Crea una caché con desalojo LRU sobre el backend indicado
+ * @param {Object} options
+ * @param {Object} options.backend - Backend (ver createXBackend)
+ * @param {number} options.maxBytes - Presupuesto máximo (default según backend)
+ * @returns {Object} { get, set, remove, clear, flush, stats }
+ */
+export const createCache = ({ backend = createDefaultBackend(), maxBytes } = {}) => {
+    // Se calcula en cada uso: con createFallbackBackend el backend se conoce recién al abrir
+    const getBudget = () => maxBytes ?? DEFAULT_BUDGETS[backend.name] ?? DEFAULT_BUDGETS.memory;
+
+    // key -> { size, lastAccess }
+    let index = new Map();
+    let indexReady = null;
+    let persistTimer = null;
+
+    const totalSize = () => {
+        let total = 0;
+        index.forEach(meta => { total += meta.size; });
+        return total;
+    };
+
+    /**
+     * Carga el índice persistido y lo reconcilia con las claves reales del backend.
+     * Las entradas sin metadata (ej: caché vieja de otra versión) se descartan.
+     */
+    const loadIndex = () => {
+        if (!indexReady) {
+            indexReady = (async () => {
+                try {
+                    const saved = await backend.get(INDEX_KEY);
+                    const keys = (await backend.keys()).filter(k => k !== INDEX_KEY);
+                    const known = new Set(keys);
+
+                    if (saved && typeof saved === 'object') {
+                        Object.entries(saved).forEach(([key, meta]) => {
+                            if (known.has(key)) index.set(key, meta);
+                        });
+                    }
+
+                    await Promise.all(keys
+                        .filter(k => !index.has(k))
+                        .map(k => backend.remove(k).catch(() => { })));
+                } catch (e) {
+                    console.warn('Cache index unavailable, starting empty:', e);
+                    index = new Map();
+                }
+            })();
+        }
+        return indexReady;
+    };
+
+    const persistIndex = async () => {
+        try {
+            await backend.set(INDEX_KEY, Object.fromEntries(index));
+        } catch (e) {
+            console.warn('Could not persist cache index:', e);
+        }
+    };
+
+    // Persistir el índice con debounce para no escribir en cada lectura
+    const schedulePersist = () => {
+        if (persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            persistIndex();
+        }, 1000);
+    };
+
+    /**
+     * Guarda ya el índice si hay cambios pendientes (ej: antes de cerrar la pestaña)
+     * @returns {Promise<void>}
+     */
+    const flush = async () => {
+        if (!persistTimer) return;
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        await persistIndex();
+    };
+
+    /**
+     * Desaloja la entrada menos usada recientemente
+     * @param {string} exceptKey - Clave que no debe desalojarse
+     * @returns {Promise<boolean>} - false si no había nada para desalojar
+     */
+    const evictOne = async (exceptKey) => {
+        let oldestKey = null;
+        let oldestAccess = Infinity;
+        index.forEach((meta, key) => {
+            if (key !== exceptKey && meta.lastAccess < oldestAccess) {
+                oldestAccess = meta.lastAccess;
+                oldestKey = key;
+            }
+        });
+
+        if (oldestKey === null) return false;
+
+        index.delete(oldestKey);
+        try {
+            await backend.remove(oldestKey);
+        } catch (e) {
+            console.warn('Could not evict cache entry:', oldestKey, e);
+        }
+        return true;
+    };
+
+    /**
+     * Obtiene una entrada y la marca como usada recientemente
+     * @param {string} key
+     * @returns {Promise<*|null>}
+     */
+    const get = async (key) => {
+        await loadIndex();
+        if (!index.has(key)) return null;
+
+        let value = null;
+        try {
+            value = await backend.get(key);
+        } catch (e) {
+            console.warn('Cache read failed:', key, e);
+        }
+
+        if (value === null) {
+            index.delete(key);
+            schedulePersist();
+            return null;
+        }
+
+        index.get(key).lastAccess = Date.now();
+        schedulePersist();
+        return value;
+    };
+
+    /**
+     * Guarda una entrada, desalojando las menos usadas hasta entrar en el presupuesto
+     * @param {string} key
+     * @param {*} value
+     * @returns {Promise<boolean>} - true si se guardó
+     */
+    const set = async (key, value) => {
+        await loadIndex();
+        const size = estimateSize(value);
+        const budget = getBudget();
+
+        // Una sola entrada más grande que todo el presupuesto no se cachea
+        if (size > budget) {
+            console.warn(`Cache entry too large (${size} > ${budget}), skipping:`, key);
+            return false;
+        }
+
+        index.delete(key);
+        while (totalSize() + size > budget) {
+            if (!(await evictOne(key))) break;
+        }
+
+        // El backend puede quedarse sin espacio antes que nuestro presupuesto
+        // (ej: quota de localStorage compartida con Firebase): desalojar y reintentar
+        for (; ;) {
+            try {
+                await backend.set(key, value);
+                break;
+            } catch (e) {
+                if (!(await evictOne(key))) {
+                    console.error('No se pudo liberar espacio, continuando sin caché.', e);
+                    return false;
+                }
+            }
+        }
+
+        index.set(key, { size, lastAccess: Date.now() });
+        schedulePersist();
+        return true;
+    };
+
+    /**
+     * Elimina una entrada
+     * @param {string} key
+     */
+    const remove = async (key) => {
+        await loadIndex();
+        index.delete(key);
+        schedulePersist();
+        try {
+            await backend.remove(key);
+        } catch (e) {
+            console.warn('Cache remove failed:', key, e);
+        }
+    };
+
+    /**
+     * Vacía toda la caché
+     */
+    const clear = async () => {
+        await loadIndex();
+        const keys = Array.from(index.keys());
+        index.clear();
+        await Promise.all(keys.map(k => backend.remove(k).catch(() => { })));
+        schedulePersist();
+    };
+
+    /**
+     * Estadísticas de uso (debug)
+     * @returns {Object} { backend, entries, bytes, budget }
+     */
+    const stats = () => ({
+        backend: backend.name,
+        entries: index.size,
+        bytes: totalSize(),
+        budget: getBudget()
+    });
+
+    return { get, set, remove, clear, flush, stats };
+};
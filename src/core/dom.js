@@ -8,6 +8,9 @@
  * - hideAllViews(): Oculta todas las vistas principales
  * - showView(viewId): Muestra una vista específica
  * - hideView(viewId): Oculta una vista específica
+ * - applyLayout(viewId, layoutName): Muestra una vista con su layout (sidebars, date-nav, header)
+ * - formatUpdatedAgo(ageMs): Texto "actualizado hace X min" para datos cacheados
+ * - showToast(html, options): Aviso flotante temporal (ej: gol de un partido seguido)
  */
 
 const VIEW_IDS = [
@@ -15,9 +18,29 @@ const VIEW_IDS = [
     'view-forum',
     'view-standings',
     'view-match-detail',
-    'view-team'
+    'view-team',
+    'view-player',
+    'view-lineup-builder',
+    'view-not-found'
 ];
 
+// Breakpoint `lg` de Tailwind (debajo es mobile)
+const DESKTOP_MIN_WIDTH = 1024;
+
+/**
+ * Layouts de pantalla que usan las rutas
+ * - dateNav: barra de fechas visible
+ * - rightSidebar: sidebar de comunidad (solo desktop)
+ * - wideMain: el contenido ocupa el ancho libre (sin lg:w-auto)
+ * - mobileChrome: header y navegación inferior en mobile (false = pantalla completa)
+ */
+const LAYOUTS = {
+    list: { dateNav: true, rightSidebar: true, wideMain: false, mobileChrome: true },
+    community: { dateNav: false, rightSidebar: true, wideMain: false, mobileChrome: true },
+    wide: { dateNav: false, rightSidebar: false, wideMain: true, mobileChrome: true },
+    fullscreen: { dateNav: false, rightSidebar: false, wideMain: false, mobileChrome: false }
+};
+
 /**
  * Oculta todas las vistas principales
  */
@@ -60,3 +83,99 @@ export const showOnly = (viewId) => {
     hideAllViews();
     showView(viewId);
 };
+
+/**
+ * Muestra una vista con su layout: oculta el resto de las vistas y acomoda
+ * sidebars, date-nav, header y navegación inferior
+ * @param {string} viewId - Vista a mostrar
+ * @param {string} layoutName - 'list' | 'community' | 'wide' | 'fullscreen'
+ */
+export const applyLayout = (viewId, layoutName) => {
+    const layout = LAYOUTS[layoutName] || LAYOUTS.community;
+    const isMobile = window.innerWidth < DESKTOP_MIN_WIDTH;
+
+    showOnly(viewId);
+
+    const dateNav = document.getElementById('date-nav');
+    if (dateNav) {
+        dateNav.style.display = '';
+        dateNav.classList.toggle('hidden', !layout.dateNav);
+    }
+
+    // Sidebar de ligas: visible en desktop, cerrado en mobile
+    const sidebar = document.getElementById('sidebar');
+    if (sidebar) {
+        sidebar.classList.remove('hidden');
+        sidebar.classList.add('-translate-x-full');
+    }
+    hideView('mobile-backdrop');
+
+    const rightSidebar = document.getElementById('right-sidebar');
+    if (rightSidebar) {
+        rightSidebar.style.display = '';
+        rightSidebar.classList.add('hidden');
+        rightSidebar.classList.remove('lg:hidden');
+        rightSidebar.classList.toggle('lg:flex', layout.rightSidebar);
+    }
+
+    const main = document.querySelector('main');
+    if (main) main.classList.toggle('lg:w-auto', !layout.wideMain);
+
+    // Pantalla completa en mobile: sin header ni navegación inferior y sin scroll de fondo
+    const hideChrome = !layout.mobileChrome && isMobile;
+    const header = document.querySelector('header');
+    if (header) header.style.display = hideChrome ? 'none' : '';
+    const bottomNav = document.getElementById('bottom-nav');
+    if (bottomNav) bottomNav.style.display = layout.mobileChrome ? '' : 'none';
+    document.body.style.overflow = hideChrome ? 'hidden' : '';
+};
+
+/**
+ * Texto relativo para mostrar la antigüedad de un dato
+ * @param {number} ageMs - Antigüedad en milisegundos
+ * @returns {string} - Ej: "actualizado hace 3 min"
+ */
+export const formatUpdatedAgo = (ageMs) => {
+    const minutes = Math.floor(ageMs / 60000);
+    if (minutes < 1) return 'actualizado recién';
+    if (minutes < 60) return `actualizado hace ${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return `actualizado hace ${hours} h`;
+};
+
+// Máximo de avisos visibles a la vez (los más viejos se descartan)
+const MAX_TOASTS = 3;
+
+/**
+ * Muestra un aviso flotante que se cierra solo
+ * @param {string} html - Contenido del aviso
+ * @param {Object} options - { duration: ms (default 6000), onClick: callback al tocarlo }
+ */
+export const showToast = (html, { duration = 6000, onClick = null } = {}) => {
+    let container = document.getElementById('toast-container');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'toast-container';
+        container.className = 'fixed top-4 left-1/2 -translate-x-1/2 z-[80] flex flex-col gap-2 w-[92%] max-w-sm pointer-events-none';
+        document.body.appendChild(container);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'pointer-events-auto bg-[#111] border border-[#333] rounded-xl shadow-2xl px-4 py-3 text-sm text-white flex items-center gap-3 transition-opacity duration-300 cursor-pointer';
+    toast.innerHTML = html;
+
+    const dismiss = () => {
+        toast.classList.add('opacity-0');
+        setTimeout(() => toast.remove(), 300);
+    };
+    toast.addEventListener('click', () => {
+        if (onClick) onClick();
+        dismiss();
+    });
+
+    container.appendChild(toast);
+    while (container.children.length > MAX_TOASTS) {
+        container.firstElementChild.remove();
+    }
+    setTimeout(dismiss, duration);
+};
@@ -0,0 +1,137 @@
+/**
+ * API Errors Module
+ *
+ * Propósito: Modelo de errores tipados para las llamadas al proxy de la API,
+ * con pistas de reintento para que cada vista muestre el mensaje correcto
+ *
+ * Exports:
+ * - ApiError: Clase base (code, status, retryAfterMs, details)
+ * - QuotaExceededError: Se agotó la cuota diaria de la API
+ * - RateLimitError: Demasiadas requests por minuto (429)
+ * - NetworkError: Sin conexión o el proxy no respondió
+ * - UpstreamError: El proxy/API devolvió un error HTTP (5xx u otro)
+ * - MalformedResponseError: La respuesta no es JSON válido
+ * - classifyPayloadErrors(errors): Convierte el campo `errors` de la API en un error tipado
+ * - parseRetryAfter(header): Convierte el header Retry-After a milisegundos
+ */
+
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Mensaje técnico (para consola)
+     * @param {Object} options
+     * @param {string} options.code - Tipo de error ('quota', 'rate_limit', 'network', 'upstream', 'malformed')
+     * @param {number|null} options.status - HTTP status si aplica
+     * @param {number|null} options.retryAfterMs - Cuánto esperar antes de reintentar (null = desconocido)
+     * @param {*} options.details - Payload original del error
+     */
+    constructor(message, { code = 'unknown', status = null, retryAfterMs = null, details = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.details = details;
+    }
+
+    /**
+     * Si tiene sentido reintentar automáticamente
+     * @returns {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Milisegundos hasta la próxima medianoche UTC (cuando API-Football renueva la cuota)
+ * @returns {number}
+ */
+const msUntilQuotaReset = () => {
+    const now = new Date();
+    const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return reset - now.getTime();
+};
+
+export class QuotaExceededError extends ApiError {
+    constructor(details = null) {
+        super('API daily quota exhausted', { code: 'quota', retryAfterMs: msUntilQuotaReset(), details });
+        this.name = 'QuotaExceededError';
+    }
+}
+
+export class RateLimitError extends ApiError {
+    constructor({ retryAfterMs = null, status = 429, details = null } = {}) {
+        super('API rate limit reached', { code: 'rate_limit', status, retryAfterMs, details });
+        this.name = 'RateLimitError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+export class NetworkError extends ApiError {
+    constructor(cause = null) {
+        super('Network request failed', { code: 'network', details: cause });
+        this.name = 'NetworkError';
+        // Si el navegador sabe que está offline, conviene esperar al evento 'online'
+        this.offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+export class UpstreamError extends ApiError {
+    constructor({ status, retryAfterMs = null, details = null } = {}) {
+        super(`Upstream error (HTTP ${status})`, { code: 'upstream', status, retryAfterMs, details });
+        this.name = 'UpstreamError';
+    }
+
+    // Solo los 5xx son transitorios; un 4xx no se arregla reintentando
+    get retryable() {
+        return this.status >= 500;
+    }
+}
+
+export class MalformedResponseError extends ApiError {
+    constructor({ status = null, details = null } = {}) {
+        super('Malformed API response', { code: 'malformed', status, details });
+        this.name = 'MalformedResponseError';
+    }
+}
+
+/**
+ * Convierte el header Retry-After (segundos o fecha HTTP) a milisegundos
+ * @param {string|null} header - Valor del header
+ * @returns {number|null}
+ */
+export const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+};
+
+/**
+ * Convierte el campo `errors` de una respuesta de API-Football en un error tipado
+ * Ej: { requests: "You have reached the request limit for the day" }
+ *     { rateLimit: "Too many requests. You have exceeded the limit of requests per minute" }
+ * @param {Object|Array} errors - Campo errors de la respuesta
+ * @returns {ApiError}
+ */
+export const classifyPayloadErrors = (errors) => {
+    const keys = Object.keys(errors || {});
+    const text = Object.values(errors || {}).join(' ').toLowerCase();
+
+    if (keys.includes('rateLimit') || text.includes('per minute') || text.includes('too many requests')) {
+        return new RateLimitError({ status: null, details: errors });
+    }
+    if (keys.includes('requests') || text.includes('request limit') || text.includes('for the day')) {
+        return new QuotaExceededError(errors);
+    }
+    return new UpstreamError({ status: 200, details: errors });
+};
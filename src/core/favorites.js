@@ -0,0 +1,86 @@
+/**
+ * Favorite Teams Module
+ *
+ * Propósito: Equipos favoritos del usuario (cualquier equipo, no solo argentinos).
+ * Se guardan en las preferencias (`favoriteTeams`); si todavía no eligió ninguno,
+ * se usa el equipo del perfil (`teamId` elegido en el registro), que provee la app
+ * con configureFavorites (el perfil vive en views/auth.js).
+ *
+ * Exports:
+ * - configureFavorites(options): Define de dónde sale el equipo del perfil
+ * - loadFavoriteTeams(): Carga los favoritos del usuario actual
+ * - getFavoriteTeamIds(): IDs de los favoritos ya cargados
+ * - isFavoriteTeam(teamId): Si un equipo es favorito
+ * - toggleFavoriteTeam(team): Agrega / quita un equipo de favoritos
+ */
+
+import { getPreference, setPreference, onPreferencesChange } from './preferences.js';
+
+// Favoritos cargados [{ id, name, logo }] (null = sin cargar)
+let favoriteTeams = null;
+
+// async () => { id, name, logo } | null: equipo del perfil del usuario actual
+let getProfileTeam = async () => null;
+
+/**
+ * Configura el origen del equipo del perfil (favorito por defecto)
+ * @param {Object} options
+ * @param {Function} options.getProfileTeam - async () => { id, name, logo } | null
+ */
+export const configureFavorites = (options = {}) => {
+    if (options.getProfileTeam) getProfileTeam = options.getProfileTeam;
+};
+
+/**
+ * Carga los favoritos del usuario actual
+ * @returns {Promise<Array>} [{ id, name, logo }]
+ */
+export const loadFavoriteTeams = async () => {
+    const saved = await getPreference('favoriteTeams', null);
+    if (saved) {
+        favoriteTeams = saved;
+        return favoriteTeams;
+    }
+
+    // Sin favoritos guardados: arrancar con el equipo del perfil
+    const profileTeam = await getProfileTeam();
+    favoriteTeams = profileTeam ? [profileTeam] : [];
+    return favoriteTeams;
+};
+
+/**
+ * IDs de los equipos favoritos (los ya cargados con loadFavoriteTeams)
+ * @returns {number[]}
+ */
+export const getFavoriteTeamIds = () => (favoriteTeams || []).map(t => t.id);
+
+/**
+ * Si un equipo es favorito
+ * @param {number|string} teamId
+ * @returns {boolean}
+ */
+export const isFavoriteTeam = (teamId) => getFavoriteTeamIds().includes(parseInt(teamId));
+
+/**
+ * Agrega o quita un equipo de favoritos
+ * @param {Object} team - { id, name, logo }
+ * @returns {Promise<boolean>} true si quedó como favorito
+ */
+export const toggleFavoriteTeam = async (team) => {
+    const current = favoriteTeams || await loadFavoriteTeams();
+    const id = parseInt(team.id);
+    const isFavorite = current.some(t => t.id === id);
+
+    const updated = isFavorite
+        ? current.filter(t => t.id !== id)
+        : [...current, { id, name: team.name, logo: team.logo }];
+
+    favoriteTeams = updated;
+    await setPreference('favoriteTeams', updated);
+    return !isFavorite;
+};
+
+// Al cambiar de usuario hay que volver a cargar sus favoritos
+onPreferencesChange((key) => {
+    if (key === null) favoriteTeams = null;
+});
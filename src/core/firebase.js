@@ -32,7 +32,8 @@ import {
     setDoc,
     getDocs,
     deleteDoc,
-    updateDoc
+    updateDoc,
+    deleteField
 } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
 import {
     getAuth,
@@ -91,6 +92,7 @@ export {
     getDocs,
     deleteDoc,
     updateDoc,
+    deleteField,
     GoogleAuthProvider,
     signInWithPopup,
     signOut,
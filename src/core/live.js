@@ -0,0 +1,264 @@
+/**
+ * Live Updates Module
+ *
+ * Propósito: Mantener al día los partidos en juego sin recargar listas completas.
+ * Consulta solo `/fixtures?live=all` con un intervalo que se adapta a los partidos
+ * registrados por las vistas (en juego, próximos a empezar o nada), compara contra el
+ * último estado conocido de cada uno y publica únicamente los cambios.
+ * Los partidos de la respuesta que ninguna vista registró no cuentan para el intervalo
+ * (en algún lugar del mundo casi siempre hay partidos en juego).
+ * Los partidos registrados que dejan de aparecer en vivo (terminaron) se consultan una
+ * vez por `/fixtures?ids=` para obtener el resultado final.
+ *
+ * Exports:
+ * - LIVE_STATUSES: Estados de partido en juego
+ * - trackFixtures(matches): Registra partidos conocidos (estado base + horario de inicio)
+ * - subscribeLive(callback): Recibe { changes, liveFixtures } en cada cambio
+ * - getLiveFixtures(): Últimos partidos en vivo recibidos
+ * - applyLiveUpdate(target, fresh): Copia marcador/estado/eventos de un partido actualizado
+ * - eventKey(event): Identidad de un evento (para saber cuáles son nuevos)
+ */
+
+import { fetchAPI } from './api.js';
+
+// Estados de partido en juego (API-Football)
+export const LIVE_STATUSES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'LIVE', 'INT', 'SUSP'];
+
+// Estados previos al inicio
+const PRE_MATCH_STATUSES = ['NS', 'TBD'];
+
+// Intervalos de consulta
+const LIVE_INTERVAL_MS = 30 * 1000;        // Hay partidos en juego
+const SOON_INTERVAL_MS = 60 * 1000;        // Algún partido empieza en breve
+const IDLE_INTERVAL_MS = 10 * 60 * 1000;   // Nada en juego ni por empezar
+const SOON_WINDOW_MS = 10 * 60 * 1000;     // "En breve" = próximos 10 min
+const LATE_KICKOFF_WINDOW_MS = 2 * 60 * 60 * 1000; // Partidos demorados que siguen en NS
+const TRACK_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Máximo de IDs por request de /fixtures?ids=
+const IDS_PER_REQUEST = 20;
+
+// fixtureId → { status, elapsed, goals, penalties, events, kickoff }
+// (events: claves de eventKey, o null si todavía no llegó una respuesta con eventos)
+const tracked = new Map();
+const subscribers = new Set();
+
+let liveFixtures = [];
+let pollTimer = null;
+let pollDueAt = 0; // Cuándo dispara pollTimer
+let polling = false;
+
+/**
+ * Identidad de un evento (minuto, tipo, jugador y equipo)
+ * @param {Object} e - Evento de la API
+ * @returns {string}
+ */
+export const eventKey = (e) =>
+    `${e.time?.elapsed ?? ''}+${e.time?.extra ?? ''}|${e.type}|${e.player?.id ?? ''}|${e.team?.id ?? ''}`;
+
+/**
+ * Foto de los campos que interesan de un partido
+ * Las respuestas sin eventos (ej: el listado del día) conservan los eventos ya conocidos.
+ * @param {Object} m - Partido de la API
+ * @param {Object|null} previous - Foto anterior del mismo partido
+ */
+const snapshot = (m, previous = null) => ({
+    status: m.fixture.status.short,
+    elapsed: m.fixture.status.elapsed,
+    goals: `${m.goals.home ?? '-'}-${m.goals.away ?? '-'}`,
+    penalties: `${m.score?.penalty?.home ?? '-'}-${m.score?.penalty?.away ?? '-'}`,
+    events: Array.isArray(m.events) ? m.events.map(eventKey) : (previous ? previous.events : null),
+    kickoff: m.fixture.timestamp * 1000
+});
+
+/**
+ * Qué cambió entre dos fotos
+ * @returns {string[]} ['score', 'status', 'elapsed', 'events']
+ */
+const diffSnapshots = (prev, next) => {
+    if (!prev) return ['score', 'status', 'elapsed', 'events'];
+    const changed = [];
+    if (prev.goals !== next.goals || prev.penalties !== next.penalties) changed.push('score');
+    if (prev.status !== next.status) changed.push('status');
+    if (prev.elapsed !== next.elapsed) changed.push('elapsed');
+    if (next.events && (prev.events || []).join() !== next.events.join()) changed.push('events');
+    return changed;
+};
+
+/**
+ * Compara partidos recibidos contra el estado conocido y lo actualiza
+ * @param {Array} matches - Partidos de la API
+ * @returns {Array} [{ fixtureId, match, changed, previous }]
+ */
+const diffFixtures = (matches) => {
+    const changes = [];
+    matches.forEach(m => {
+        const id = m.fixture.id;
+        const previous = tracked.get(id) || null;
+        const next = snapshot(m, previous);
+        const changed = diffSnapshots(previous, next);
+        tracked.set(id, next);
+        if (changed.length > 0) {
+            changes.push({ fixtureId: id, match: m, changed, previous });
+        }
+    });
+    return changes;
+};
+
+/**
+ * Próximo intervalo de consulta según los partidos registrados
+ * @returns {number} ms
+ */
+const nextInterval = () => {
+    const states = [...tracked.values()];
+    if (states.some(t => LIVE_STATUSES.includes(t.status))) {
+        return LIVE_INTERVAL_MS;
+    }
+
+    const now = Date.now();
+    const kickoffs = states
+        .filter(t => PRE_MATCH_STATUSES.includes(t.status) && t.kickoff > now - LATE_KICKOFF_WINDOW_MS)
+        .map(t => t.kickoff);
+    if (kickoffs.length === 0) return IDLE_INTERVAL_MS;
+
+    const untilKickoff = Math.min(...kickoffs) - now;
+    if (untilKickoff <= SOON_WINDOW_MS) return SOON_INTERVAL_MS;
+    return Math.min(IDLE_INTERVAL_MS, untilKickoff - SOON_WINDOW_MS);
+};
+
+/**
+ * Programa la próxima consulta (no consulta con la pestaña oculta ni sin suscriptores)
+ */
+const scheduleNext = () => {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    if (subscribers.size === 0 || document.hidden) return;
+    const interval = nextInterval();
+    pollDueAt = Date.now() + interval;
+    pollTimer = setTimeout(poll, interval);
+};
+
+/**
+ * Adelanta la próxima consulta si con el estado actual toca antes
+ * (nunca la atrasa: cargas y refrescos frecuentes de una vista no frenan el polling)
+ */
+const scheduleSooner = () => {
+    if (polling) return; // Al terminar la consulta en curso se programa la siguiente
+    if (!pollTimer || Date.now() + nextInterval() < pollDueAt) scheduleNext();
+};
+
+/**
+ * Descarta partidos viejos ya terminados
+ */
+const pruneTracked = () => {
+    const cutoff = Date.now() - TRACK_RETENTION_MS;
+    tracked.forEach((t, id) => {
+        if (t.kickoff < cutoff && !LIVE_STATUSES.includes(t.status)) tracked.delete(id);
+    });
+};
+
+/**
+ * Notifica a los suscriptores
+ */
+const publish = (changes) => {
+    const payload = { changes, liveFixtures };
+    subscribers.forEach(cb => {
+        try {
+            cb(payload);
+        } catch (e) {
+            console.error('Error en suscriptor de vivo:', e);
+        }
+    });
+};
+
+/**
+ * Consulta los partidos en vivo y publica los cambios
+ */
+const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+        const data = await fetchAPI('/fixtures?live=all', true, { retry: 'background' });
+        const live = data.response || [];
+        const liveIds = new Set(live.map(m => m.fixture.id));
+        // Solo los partidos que alguna vista registró (el resto del mundo no se sigue)
+        const changes = diffFixtures(live.filter(m => tracked.has(m.fixture.id)));
+
+        // Partidos registrados que estaban en juego y ya no aparecen: buscar su estado final
+        const vanished = [...tracked.entries()]
+            .filter(([id, t]) => LIVE_STATUSES.includes(t.status) && !liveIds.has(id))
+            .map(([id]) => id);
+        for (let i = 0; i < vanished.length; i += IDS_PER_REQUEST) {
+            const chunk = vanished.slice(i, i + IDS_PER_REQUEST);
+            try {
+                const finals = await fetchAPI(`/fixtures?ids=${chunk.join('-')}`, true, { retry: 'background' });
+                changes.push(...diffFixtures(finals.response || []));
+            } catch (e) {
+                console.warn('No se pudo obtener el estado final de', chunk, e);
+            }
+        }
+
+        liveFixtures = live;
+        pruneTracked();
+        if (changes.length > 0) publish(changes);
+    } catch (e) {
+        console.warn('Error consultando partidos en vivo:', e);
+    } finally {
+        polling = false;
+        scheduleNext();
+    }
+};
+
+/**
+ * Registra partidos conocidos como estado base (ej: el listado del día)
+ * Los cambios se detectan contra este estado; no publica nada.
+ * @param {Array} matches - Partidos de la API
+ */
+export const trackFixtures = (matches) => {
+    (matches || []).forEach(m => tracked.set(m.fixture.id, snapshot(m, tracked.get(m.fixture.id) || null)));
+    scheduleSooner();
+};
+
+/**
+ * Se suscribe a los cambios de partidos en vivo (arranca el polling con el primer suscriptor)
+ * @param {Function} callback - Recibe { changes, liveFixtures }
+ * @returns {Function} unsubscribe
+ */
+export const subscribeLive = (callback) => {
+    subscribers.add(callback);
+    scheduleSooner();
+    return () => {
+        subscribers.delete(callback);
+        if (subscribers.size === 0) scheduleNext();
+    };
+};
+
+/**
+ * Últimos partidos en vivo recibidos
+ * @returns {Array}
+ */
+export const getLiveFixtures = () => liveFixtures;
+
+/**
+ * Copia marcador, estado y eventos de un partido actualizado sobre otro objeto del mismo partido
+ * @param {Object} target - Partido a actualizar (ej: el del state de una vista)
+ * @param {Object} fresh - Partido recibido en vivo
+ * @returns {Object} target
+ */
+export const applyLiveUpdate = (target, fresh) => {
+    target.fixture.status = fresh.fixture.status;
+    target.goals = fresh.goals;
+    target.score = fresh.score;
+    if (fresh.events) target.events = fresh.events;
+    return target;
+};
+
+// Pestaña oculta: no gastar requests. Al volver: consultar enseguida.
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+    } else if (subscribers.size > 0) {
+        poll();
+    }
+});
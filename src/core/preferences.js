@@ -0,0 +1,175 @@
+/**
+ * User Preferences Module
+ *
+ * Propósito: Guardar preferencias del usuario (ligas que sigue, etc.)
+ * - Usuario logueado: campo `preferences` de su documento en `user_profiles`
+ * - Anónimo: localStorage (el logueado también guarda una copia local, con su propia clave
+ *   para que no se mezcle con la de otro usuario del mismo navegador)
+ *
+ * Exports:
+ * - getPreference(key, fallback): Lee una preferencia
+ * - setPreference(key, value): Guarda una preferencia
+ * - onPreferencesChange(callback): Avisa cuando cambian (guardado o cambio de usuario)
+ */
+
+import { db, auth, doc, getDoc, setDoc, deleteField, onAuthStateChanged } from './firebase.js';
+
+// Clave de localStorage (anónimo; el logueado le suma su uid)
+const PREFERENCES_STORAGE_KEY = 'rf_preferences';
+
+// Preferencias cargadas y de qué usuario son (undefined = sin cargar, null = anónimo)
+let preferences = {};
+let loadedForUid;
+let loadingPromise = null;
+
+// Último usuario visto por onAuthStateChanged (undefined = todavía no disparó)
+let knownUid;
+const listeners = new Set();
+
+/**
+ * Clave de localStorage del usuario
+ * @param {string|null} uid - null = anónimo
+ * @returns {string}
+ */
+const storageKey = (uid) => uid ? `${PREFERENCES_STORAGE_KEY}:${uid}` : PREFERENCES_STORAGE_KEY;
+
+/**
+ * Lee las preferencias guardadas en localStorage
+ * @param {string|null} uid - null = anónimo
+ * @returns {Object}
+ */
+const readLocal = (uid) => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(uid))) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Guarda las preferencias en localStorage
+ * @param {string|null} uid - null = anónimo
+ * @param {Object} prefs
+ */
+const writeLocal = (uid, prefs) => {
+    try {
+        localStorage.setItem(storageKey(uid), JSON.stringify(prefs));
+    } catch (e) {
+        console.warn('No se pudieron guardar las preferencias locales:', e);
+    }
+};
+
+/**
+ * UID del usuario logueado (espera a que Firebase resuelva la sesión)
+ * @returns {Promise<string|null>}
+ */
+const resolveUid = async () => {
+    if (typeof auth.authStateReady === 'function') {
+        await auth.authStateReady();
+    }
+    return auth.currentUser ? auth.currentUser.uid : null;
+};
+
+/**
+ * Carga las preferencias del usuario actual (una vez por usuario)
+ * Las del perfil pisan a las locales.
+ * @returns {Promise<Object>}
+ */
+const loadPreferences = async () => {
+    const uid = await resolveUid();
+    if (loadedForUid === uid) return preferences;
+    if (loadingPromise) return loadingPromise;
+
+    loadingPromise = (async () => {
+        let prefs = readLocal(uid);
+        if (uid) {
+            try {
+                const snap = await getDoc(doc(db, 'user_profiles', uid));
+                if (snap.exists() && snap.data().preferences) {
+                    prefs = { ...prefs, ...snap.data().preferences };
+                }
+            } catch (e) {
+                console.warn('No se pudieron leer las preferencias del perfil:', e);
+            }
+        }
+        preferences = prefs;
+        loadedForUid = uid;
+        return preferences;
+    })();
+
+    try {
+        return await loadingPromise;
+    } finally {
+        loadingPromise = null;
+    }
+};
+
+/**
+ * Notifica a los suscriptores
+ * @param {string|null} key - Preferencia que cambió (null = todas, ej: cambio de usuario)
+ */
+const notify = (key) => {
+    listeners.forEach(cb => {
+        try {
+            cb(key);
+        } catch (e) {
+            console.error('Error en listener de preferencias:', e);
+        }
+    });
+};
+
+/**
+ * Lee una preferencia
+ * @param {string} key - Nombre de la preferencia
+ * @param {*} fallback - Valor si no está guardada
+ * @returns {Promise<*>}
+ */
+export const getPreference = async (key, fallback = null) => {
+    const prefs = await loadPreferences();
+    return prefs[key] ?? fallback;
+};
+
+/**
+ * Guarda una preferencia (en el perfil si hay sesión y siempre en localStorage)
+ * @param {string} key - Nombre de la preferencia
+ * @param {*} value - Valor serializable (null borra la preferencia)
+ */
+export const setPreference = async (key, value) => {
+    const prefs = await loadPreferences();
+    if (value === null) {
+        delete prefs[key];
+    } else {
+        prefs[key] = value;
+    }
+    const uid = loadedForUid;
+    writeLocal(uid, prefs);
+    notify(key);
+
+    if (!uid) return;
+    try {
+        // null no se guarda: se borra el campo (si no, vuelve a aparecer al recargar)
+        await setDoc(doc(db, 'user_profiles', uid), { preferences: { [key]: value === null ? deleteField() : value } }, { merge: true });
+    } catch (e) {
+        console.error('Error guardando preferencia en el perfil:', e);
+    }
+};
+
+/**
+ * Se suscribe a cambios de preferencias
+ * @param {Function} callback - Recibe la key que cambió (o null si cambió el usuario)
+ * @returns {Function} unsubscribe
+ */
+export const onPreferencesChange = (callback) => {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+};
+
+// Al loguearse/desloguearse, las preferencias pasan a ser las del nuevo usuario
+onAuthStateChanged(auth, (user) => {
+    const uid = user ? user.uid : null;
+    if (knownUid !== undefined && knownUid !== uid) {
+        loadedForUid = undefined;
+        notify(null);
+    }
+    knownUid = uid;
+});
@@ -0,0 +1,174 @@
+/**
+ * Promedios Module
+ *
+ * Propósito: Tabla de promedios del descenso de la Liga Profesional Argentina.
+ * Promedio = puntos / partidos jugados en Primera en la temporada actual y las dos anteriores.
+ * - Cuentan todos los torneos de Primera de cada año (Liga Profesional + Copa de la Liga)
+ * - Los ascendidos promedian solo las temporadas que jugaron en Primera
+ * - Solo aparecen los equipos de la temporada actual
+ *
+ * La temporada actual de la Liga Profesional sale de la tabla ya cargada (así los
+ * partidos en vivo y los refrescos de la tabla se reflejan sin volver a pedir nada);
+ * el resto se pide una vez por sesión.
+ *
+ * Exports:
+ * - PROMEDIOS_LEAGUE_ID, PROMEDIOS_SEASONS, RELEGATED_BY_PROMEDIOS
+ * - loadPromediosHistory(season): Puntos de las temporadas anteriores y torneos extra
+ * - buildPromediosTable(currentStandings, history): Filas de la tabla de promedios ordenadas
+ * - getPromedio(row): Promedio de una fila
+ * - sortPromedios(table): Ordena por promedio y recalcula los puestos
+ */
+
+import { fetchAPI } from './api.js';
+
+export const PROMEDIOS_LEAGUE_ID = 128;
+export const PROMEDIOS_SEASONS = 3;
+// Desciende el último de los promedios (el otro descenso es el último de la tabla anual)
+export const RELEGATED_BY_PROMEDIOS = 1;
+
+// Otros torneos de Primera que suman para el promedio (Copa de la Liga)
+const EXTRA_LEAGUE_IDS = [1032];
+
+// Historial ya pedido en esta sesión (season → Promise)
+const historyCache = new Map();
+
+const isPromediosGroup = (group) => !!group && (group.includes('Promedio') || group === 'PROMEDIOS');
+const isAnnualGroup = (group) => !!group && /Anual|Overall|Table/i.test(group);
+
+/**
+ * Totales de una temporada por equipo a partir de sus tablas
+ * Si hay tabla anual se usa esa; si no, se suman las zonas / fases (cada equipo
+ * aparece una vez por torneo).
+ * @param {Array} groups - standings de la API (array de tablas)
+ * @returns {Map<number, Object>} teamId → { team, points, played, win, draw, lose, goalsFor, goalsAgainst }
+ */
+const seasonTotals = (groups) => {
+    const tables = (groups || []).filter(g => g.length > 0 && !isPromediosGroup(g[0].group));
+    const annual = tables.find(g => isAnnualGroup(g[0].group));
+    const totals = new Map();
+
+    (annual ? [annual] : tables).forEach(table => table.forEach(t => {
+        const entry = totals.get(t.team.id) || { team: t.team, points: 0, played: 0, win: 0, draw: 0, lose: 0, goalsFor: 0, goalsAgainst: 0 };
+        entry.points += t.points;
+        entry.played += t.all.played ?? 0;
+        entry.win += t.all.win ?? 0;
+        entry.draw += t.all.draw ?? 0;
+        entry.lose += t.all.lose ?? 0;
+        entry.goalsFor += t.all.goals.for ?? 0;
+        entry.goalsAgainst += t.all.goals.against ?? 0;
+        totals.set(t.team.id, entry);
+    }));
+    return totals;
+};
+
+/**
+ * Suma los totales de b en a (mismo formato que seasonTotals)
+ */
+const mergeTotals = (a, b) => {
+    b.forEach((entry, teamId) => {
+        const current = a.get(teamId);
+        if (!current) {
+            a.set(teamId, { ...entry });
+            return;
+        }
+        ['points', 'played', 'win', 'draw', 'lose', 'goalsFor', 'goalsAgainst'].forEach(k => current[k] += entry[k]);
+    });
+    return a;
+};
+
+/**
+ * Totales de un torneo en una temporada (vacío si no se jugó)
+ */
+const fetchLeagueTotals = async (leagueId, season) => {
+    const data = await fetchAPI(`/standings?league=${leagueId}&season=${season}`);
+    return seasonTotals(data.response?.[0]?.league?.standings);
+};
+
+/**
+ * Pide lo que no está en la tabla cargada: temporadas anteriores de la Liga
+ * Profesional y los torneos extra de las tres temporadas
+ * @param {number} season - Temporada actual de la tabla
+ * @returns {Promise<Object>} { seasons: [año, ...], totals: Map año → Map teamId → totales }
+ * @throws {Error} Si falla alguna temporada de la Liga Profesional (no se guarda en caché)
+ */
+export const loadPromediosHistory = (season) => {
+    if (historyCache.has(season)) return historyCache.get(season);
+
+    const seasons = Array.from({ length: PROMEDIOS_SEASONS }, (_, i) => season - PROMEDIOS_SEASONS + 1 + i);
+    const promise = Promise.all(seasons.map(async (year) => {
+        // Los torneos extra no se juegan todos los años: si fallan se cuentan vacíos
+        const extra = EXTRA_LEAGUE_IDS.map(id => fetchLeagueTotals(id, year).catch(e => {
+            console.warn('Promedios: sin tabla de', id, year, e);
+            return new Map();
+        }));
+        const results = await Promise.all(year === season ? extra : [fetchLeagueTotals(PROMEDIOS_LEAGUE_ID, year), ...extra]);
+        return [year, results.reduce(mergeTotals, new Map())];
+    })).then(entries => ({ seasons, totals: new Map(entries) }));
+
+    promise.catch(() => historyCache.delete(season));
+    historyCache.set(season, promise);
+    return promise;
+};
+
+/**
+ * Promedio de una fila (puntos / partidos de las temporadas que cuentan)
+ * @param {Object} row - Fila de la tabla de promedios
+ * @returns {number}
+ */
+export const getPromedio = (row) => row.all.played > 0 ? row.points / row.all.played : 0;
+
+/**
+ * Ordena por promedio (los empates conservan el orden anterior) y recalcula los puestos
+ * @param {Object[]} table
+ * @returns {Object[]} La misma tabla ordenada
+ */
+export const sortPromedios = (table) => {
+    table.sort((a, b) => getPromedio(b) - getPromedio(a) || a.rank - b.rank);
+    table.forEach((t, i) => t.rank = i + 1);
+    return table;
+};
+
+/**
+ * Arma la tabla de promedios con el mismo formato que las filas de /standings
+ * (points y all.* son los totales de las temporadas que cuentan, para que los
+ * partidos en vivo se sumen igual que en las otras tablas)
+ * @param {Array} currentStandings - standings de la temporada actual de la Liga Profesional
+ * @param {Object} history - Resultado de loadPromediosHistory
+ * @returns {Object[]} Filas con group 'PROMEDIOS' y seasonPoints [{ season, points, played } | null]
+ */
+export const buildPromediosTable = (currentStandings, history) => {
+    const currentSeason = history.seasons[history.seasons.length - 1];
+    const current = seasonTotals(currentStandings);
+    const bySeason = history.seasons.map(year => {
+        const totals = new Map([...history.totals.get(year)].map(([id, entry]) => [id, { ...entry }]));
+        return year === currentSeason ? mergeTotals(totals, current) : totals;
+    });
+
+    // Forma de la tabla actual (la anual o la última zona donde aparece el equipo)
+    const formByTeam = new Map();
+    (currentStandings || []).forEach(g => g.forEach(t => { if (t.form) formByTeam.set(t.team.id, t.form); }));
+
+    const table = [...current.values()].map((entry, i) => {
+        const seasonPoints = bySeason.map((totals, index) => {
+            const s = totals.get(entry.team.id);
+            const isCurrent = index === bySeason.length - 1;
+            return s && (s.played > 0 || isCurrent) ? { season: history.seasons[index], points: s.points, played: s.played } : null;
+        });
+        const sum = (key) => bySeason.reduce((acc, totals) => acc + (totals.get(entry.team.id)?.[key] || 0), 0);
+        const goalsFor = sum('goalsFor');
+        const goalsAgainst = sum('goalsAgainst');
+        return {
+            rank: i + 1,
+            team: entry.team,
+            group: 'PROMEDIOS',
+            form: formByTeam.get(entry.team.id) || null,
+            description: null,
+            points: sum('points'),
+            goalsDiff: goalsFor - goalsAgainst,
+            all: { played: sum('played'), win: sum('win'), draw: sum('draw'), lose: sum('lose'), goals: { for: goalsFor, against: goalsAgainst } },
+            seasonPoints
+        };
+    });
+
+    return sortPromedios(table);
+};
@@ -0,0 +1,114 @@
+/**
+ * Data Providers Module
+ *
+ * Propósito: Abstraer de dónde salen los datos de fútbol que consume fetchAPI.
+ * - live: proxy de API-Football (Cloudflare worker)
+ * - replay: JSON grabados en disco (mocks/api/), para desarrollo offline sin gastar cuota
+ *
+ * Exports:
+ * - createLiveProvider(baseUrl): Provider contra el proxy real
+ * - createReplayProvider(basePath): Provider que sirve JSON grabados
+ * - endpointToFixturePath(endpoint): Ruta del archivo grabado para un endpoint
+ * - resolveStartupProviderName(): Lee el switch de arranque (?provider=replay / sessionStorage)
+ */
+
+// Clave de sessionStorage para recordar el provider elegido (solo dura la pestaña:
+// un link con ?provider=replay no deja a nadie con datos grabados para siempre)
+const PROVIDER_STORAGE_KEY = 'rf_provider';
+
+// Parámetros que no cambian la respuesta grabada
+const IGNORED_PARAMS = ['timezone'];
+
+/**
+ * Provider contra el proxy de API-Football
+ * @param {string} baseUrl - API_BASE
+ * @returns {Object} { name, request(endpoint) → Promise<Response> }
+ */
+export const createLiveProvider = (baseUrl) => ({
+    name: 'live',
+    request: (endpoint) => fetch(`${baseUrl}${endpoint}`)
+});
+
+/**
+ * Normaliza un valor de query para usarlo en un nombre de archivo
+ * @param {string} value
+ * @returns {string}
+ */
+const slugifyParam = (value) => value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Convierte un endpoint en la ruta de su JSON grabado
+ * Ej: /fixtures/headtohead?h2h=451-435&last=15&timezone=... → fixtures/headtohead/h2h-451-435__last-15.json
+ * @param {string} endpoint - Endpoint relativo
+ * @returns {{ dir: string, file: string }}
+ */
+export const endpointToFixturePath = (endpoint) => {
+    const [path, query = ''] = endpoint.split('?');
+    const dir = path.split('/').filter(Boolean).join('/');
+
+    const params = new URLSearchParams(query);
+    const parts = [];
+    params.forEach((value, key) => {
+        if (!IGNORED_PARAMS.includes(key)) parts.push(`${key}-${slugifyParam(value)}`);
+    });
+    parts.sort();
+
+    return { dir, file: parts.length > 0 ? `${parts.join('__')}.json` : 'default.json' };
+};
+
+/**
+ * Si la respuesta es un JSON grabado
+ * Las reglas de SPA (_redirects, .htaccess) devuelven index.html con 200 cuando el
+ * archivo no existe, así que no alcanza con `ok`.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+const isRecording = (response) =>
+    response.ok && (response.headers.get('Content-Type') || '').includes('json');
+
+/**
+ * Provider que sirve respuestas grabadas desde disco
+ * Busca primero el archivo exacto del endpoint y si no existe usa `default.json` del directorio.
+ * Sin grabación responde 404 (fetchAPI lo trata como error del upstream).
+ * @param {string} basePath - Carpeta pública con los JSON (default: /mocks/api)
+ * @returns {Object} { name, request(endpoint) → Promise<Response> }
+ */
+export const createReplayProvider = (basePath = '/mocks/api') => ({
+    name: 'replay',
+    request: async (endpoint) => {
+        const { dir, file } = endpointToFixturePath(endpoint);
+
+        const exact = await fetch(`${basePath}/${dir}/${file}`);
+        if (isRecording(exact)) return exact;
+
+        const fallback = await fetch(`${basePath}/${dir}/default.json`);
+        if (isRecording(fallback)) return fallback;
+
+        console.warn(`[replay] Sin grabación para ${endpoint} (buscado ${dir}/${file})`);
+        return new Response(`Sin grabación para ${endpoint}`, { status: 404, headers: { 'Content-Type': 'text/plain' } });
+    }
+});
+
+/**
+ * Lee el provider elegido al arrancar: ?provider=replay|live en la URL (se recuerda
+ * en sessionStorage mientras dure la pestaña) o el guardado. Default: live.
+ * @returns {string} 'live' | 'replay'
+ */
+export const resolveStartupProviderName = () => {
+    try {
+        // Versiones anteriores lo guardaban en localStorage: limpiarlo
+        localStorage.removeItem(PROVIDER_STORAGE_KEY);
+
+        const fromUrl = new URLSearchParams(window.location.search).get('provider');
+        if (fromUrl === 'live' || fromUrl === 'replay') {
+            sessionStorage.setItem(PROVIDER_STORAGE_KEY, fromUrl);
+            return fromUrl;
+        }
+        return sessionStorage.getItem(PROVIDER_STORAGE_KEY) === 'replay' ? 'replay' : 'live';
+    } catch {
+        return 'live';
+    }
+};
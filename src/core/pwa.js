@@ -0,0 +1,91 @@
+/**
+ * PWA Module
+ *
+ * Propósito: Registrar el service worker (/sw.js) y avisar cuando no hay conexión.
+ * Sin conexión la app sigue andando con lo último que se cargó (shell y datos
+ * cacheados por el service worker y por la caché de api.js).
+ * Cuando hay una versión nueva del worker se avisa y se activa recién cuando el
+ * usuario acepta recargar (no se cambia la versión a mitad de la sesión).
+ *
+ * Exports:
+ * - registerServiceWorker(): Registra /sw.js (solo en producción, no en localhost)
+ * - initOfflineBanner(): Muestra / oculta el banner "sin conexión"
+ * - applyUpdate(): Activa la versión nueva y recarga
+ */
+
+// Worker nuevo instalado que espera para tomar el control
+let waitingWorker = null;
+
+/**
+ * Muestra el aviso de versión nueva
+ * @param {ServiceWorker} worker - Worker en estado 'installed'
+ */
+const showUpdateBanner = (worker) => {
+    waitingWorker = worker;
+    const banner = document.getElementById('update-banner');
+    if (banner) banner.classList.remove('hidden');
+};
+
+/**
+ * Sigue las actualizaciones del worker registrado
+ * Sin controller es la primera instalación: no hay versión anterior que reemplazar.
+ * @param {ServiceWorkerRegistration} registration
+ */
+const watchForUpdates = (registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+        });
+    });
+};
+
+/**
+ * Registra el service worker cuando la página terminó de cargar
+ * En localhost no se registra para no servir archivos viejos mientras se desarrolla.
+ */
+export const registerServiceWorker = () => {
+    if (!('serviceWorker' in navigator)) return;
+    if (['localhost', '127.0.0.1'].includes(window.location.hostname)) return;
+
+    const register = () => {
+        navigator.serviceWorker.register('/sw.js').then(watchForUpdates).catch(e => {
+            console.warn('No se pudo registrar el service worker:', e);
+        });
+    };
+
+    if (document.readyState === 'complete') {
+        register();
+    } else {
+        window.addEventListener('load', register, { once: true });
+    }
+};
+
+/**
+ * Muestra el banner de "sin conexión" mientras el navegador esté offline
+ */
+export const initOfflineBanner = () => {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+
+    const update = () => banner.classList.toggle('hidden', navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+};
+
+/**
+ * Activa el worker que estaba esperando y recarga cuando toma el control
+ */
+export const applyUpdate = () => {
+    if (!waitingWorker) {
+        window.location.reload();
+        return;
+    }
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
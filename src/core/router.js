@@ -1,54 +1,92 @@
 /**
  * Router Module - Advanced
  * 
- * Propósito: Manejar navegación con history API y parámetros dinámicos
+ * Propósito: Manejar navegación con history API, parámetros dinámicos y el ciclo de vida de las vistas
+ * - Segmentos opcionales: '/partido/:id/:tab?'
+ * - Query string y hash: llegan al handler como params.query y params.hash
+ * - Rutas desconocidas: vista "no encontrada" (handler notFound)
+ * - Cada ruta declara su vista y su layout; el router los aplica antes de entrar
+ * - Handlers: función (enter) u objeto { enter, leave }. `leave` se llama al salir
+ *   de la ruta (cortar listeners, timers, suscripciones)
+ * - Scroll: arriba al navegar, restaurado al volver con back/forward
  * 
  * Exports:
  * - initRouter(config): Inicializa el router con configuración de rutas
- * - navigate(path): Navega a una ruta específica
- * - handleRoute(pathname): Maneja el routing según pathname
+ * - navigate(path, replace): Navega a una ruta específica (puede incluir ?query y #hash)
+ * - goBack(fallbackPath): Vuelve a la pantalla anterior de la app (o a fallbackPath)
+ * - handleRoute(url): Maneja el routing según la URL
+ * - getQueryParams(): Query string actual como objeto
+ * - updateQuery(changes): Cambia parámetros de la query sin volver a rutear
+ * - replacePath(path): Cambia el path actual sin volver a rutear (ej: tab de un partido)
  */
 
-import { showOnly, showView, hideView } from './dom.js';
+import { applyLayout } from './dom.js';
 
 let routeConfig = null;
 
-// Definición de rutas con patrones
+// Definición de rutas con patrones, vista y layout (ver LAYOUTS en dom.js)
 const routes = [
-    { pattern: '/', handler: 'navigateToMatches' },
-    { pattern: '/foro', handler: 'navigateToForum' },
-    { pattern: '/partido/:id', handler: 'openMatchDetail' },
-    { pattern: '/liga/:id', handler: 'showStandingsById' },
-    { pattern: '/liga/:id/:name', handler: 'showStandingsByIdAndName' },
-    { pattern: '/equipo/:id', handler: 'showTeamProfile' },
-    { pattern: '/lineup-builder', handler: 'openLineupBuilder' },
+    { pattern: '/', handler: 'navigateToMatches', view: 'view-match-list', layout: 'list' },
+    { pattern: '/fecha/:date', handler: 'navigateToMatches', view: 'view-match-list', layout: 'list' },
+    { pattern: '/foro', handler: 'navigateToForum', view: 'view-forum', layout: 'community' },
+    { pattern: '/partido/:id/:tab?', handler: 'openMatchDetail', view: 'view-match-detail', layout: 'fullscreen' },
+    { pattern: '/liga/:id/:name?', handler: 'showStandingsById', view: 'view-standings', layout: 'wide' },
+    { pattern: '/equipo/:id', handler: 'showTeamProfile', view: 'view-team', layout: 'wide' },
+    { pattern: '/jugador/:id', handler: 'showPlayer', view: 'view-player', layout: 'wide' },
+    { pattern: '/lineup-builder', handler: 'openLineupBuilder', view: 'view-lineup-builder', layout: 'community' },
 ];
 
+// Ruta para URLs desconocidas
+const notFoundRoute = { pattern: '*', handler: 'notFound', view: 'view-not-found', layout: 'community' };
+
+// Contenedores con scroll propio (listados / detalle de partido)
+const SCROLL_CONTAINER_IDS = ['main-content', 'view-match-detail'];
+
+// Ruta activa: { route, pathname, leave }
+let activeRoute = null;
+
+// Entrada actual del historial ({ key, depth } en history.state) y scroll guardado por entrada
+let currentEntry = null;
+let entrySequence = 0;
+const scrollPositions = new Map();
+
 /**
  * Extrae parámetros de una URL según un patrón
- * @param {string} pattern - Patrón de ruta (ej: '/partido/:id')
+ * Los segmentos terminados en '?' son opcionales (solo al final del patrón).
+ * @param {string} pattern - Patrón de ruta (ej: '/partido/:id/:tab?')
  * @param {string} pathname - URL real (ej: '/partido/12345')
  * @returns {Object|null} - Objeto con parámetros o null si no coincide
  */
 const extractParams = (pattern, pathname) => {
     const patternParts = pattern.split('/').filter(Boolean);
     const pathParts = pathname.split('/').filter(Boolean);
+    const requiredCount = patternParts.filter(p => !p.endsWith('?')).length;
 
-    // Si no tienen la misma cantidad de partes, no coincide
-    if (patternParts.length !== pathParts.length) {
+    // Tiene que tener al menos los segmentos obligatorios y no más que el patrón
+    if (pathParts.length < requiredCount || pathParts.length > patternParts.length) {
         return null;
     }
 
     const params = {};
 
     for (let i = 0; i < patternParts.length; i++) {
-        const patternPart = patternParts[i];
+        const optional = patternParts[i].endsWith('?');
+        const patternPart = optional ? patternParts[i].slice(0, -1) : patternParts[i];
         const pathPart = pathParts[i];
 
+        if (pathPart === undefined) {
+            // Segmento opcional ausente
+            continue;
+        }
+
         if (patternPart.startsWith(':')) {
             // Es un parámetro
             const paramName = patternPart.slice(1);
-            params[paramName] = decodeURIComponent(pathPart);
+            try {
+                params[paramName] = decodeURIComponent(pathPart);
+            } catch {
+                return null; // Escape inválido (ej: '%E0')
+            }
         } else if (patternPart !== pathPart) {
             // No coincide
             return null;
@@ -64,8 +102,8 @@ const extractParams = (pattern, pathname) => {
  * @returns {Object|null} - { route, params } o null
  */
 const matchRoute = (pathname) => {
-    // Limpiar pathname
-    const cleanPath = pathname === '' ? '/' : pathname;
+    // Limpiar pathname (sin barra final: '/foro/' == '/foro')
+    const cleanPath = pathname === '' ? '/' : (pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname);
 
     for (const route of routes) {
         const params = extractParams(route.pattern, cleanPath);
@@ -77,6 +115,60 @@ const matchRoute = (pathname) => {
     return null;
 };
 
+/**
+ * Separa una URL relativa en pathname, query y hash
+ * @param {string} url - Ej: '/partido/123?tab=stats#foro'
+ * @returns {Object} { pathname, query, hash }
+ */
+const parseUrl = (url) => {
+    const parsed = new URL(url, window.location.origin);
+    return {
+        pathname: parsed.pathname,
+        query: Object.fromEntries(parsed.searchParams.entries()),
+        hash: parsed.hash.replace(/^#/, '')
+    };
+};
+
+/**
+ * URL actual (path + query + hash)
+ * @returns {string}
+ */
+const currentUrl = () => window.location.pathname + window.location.search + window.location.hash;
+
+/**
+ * Query string actual como objeto
+ * @returns {Object} - Ej: { fecha: '2026-10-19', envivo: '1' }
+ */
+export const getQueryParams = () => parseUrl(currentUrl()).query;
+
+/**
+ * Cambia parámetros de la query de la URL actual sin volver a rutear
+ * (la vista ya está mostrando ese estado; solo se actualiza la URL para compartirla)
+ * @param {Object} changes - { clave: valor } (null / '' borra el parámetro)
+ */
+export const updateQuery = (changes) => {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') {
+            params.delete(key);
+        } else {
+            params.set(key, value);
+        }
+    });
+    const search = params.toString();
+    const url = window.location.pathname + (search ? `?${search}` : '') + window.location.hash;
+    if (url !== currentUrl()) window.history.replaceState(window.history.state, '', url);
+};
+
+/**
+ * Cambia el path de la URL actual sin volver a rutear (conserva la query)
+ * @param {string} path - Ej: '/partido/123/estadisticas'
+ */
+export const replacePath = (path) => {
+    const url = path + window.location.search;
+    if (url !== currentUrl()) window.history.replaceState(window.history.state, '', url);
+};
+
 /**
  * Crea un slug amigable para URLs
  * @param {string} text - Texto a convertir
@@ -91,61 +183,165 @@ export const createSlug = (text) => {
         .replace(/^-+|-+$/g, '');         // Eliminar - al inicio/fin
 };
 
-export const handleRoute = (pathname) => {
+/**
+ * Normaliza un handler: función (solo enter) u objeto { enter, leave }
+ * @param {Function|Object} handler
+ * @returns {Object|null} { enter, leave }
+ */
+const resolveHandler = (handler) => {
+    if (typeof handler === 'function') return { enter: handler, leave: null };
+    if (handler && typeof handler.enter === 'function') return handler;
+    return null;
+};
+
+/**
+ * Sale de la ruta activa (llama a su leave)
+ * @param {Object} next - { route, pathname } de la ruta a la que se va
+ */
+const leaveActiveRoute = (next) => {
+    if (!activeRoute) return;
+    const { leave } = activeRoute;
+    activeRoute = null;
+    if (typeof leave !== 'function') return;
+    try {
+        leave(next);
+    } catch (e) {
+        console.error('Error saliendo de la ruta:', e);
+    }
+};
+
+/**
+ * Guarda el scroll de la entrada actual del historial
+ */
+const saveScroll = () => {
+    if (!currentEntry) return;
+    scrollPositions.set(currentEntry.key, SCROLL_CONTAINER_IDS.map(id => {
+        const el = document.getElementById(id);
+        return el ? el.scrollTop : 0;
+    }));
+};
+
+/**
+ * Aplica un scroll a los contenedores (null = arriba de todo)
+ * @param {number[]|null} positions
+ */
+const applyScroll = (positions) => {
+    SCROLL_CONTAINER_IDS.forEach((id, i) => {
+        const el = document.getElementById(id);
+        if (el) el.scrollTop = positions ? positions[i] : 0;
+    });
+};
+
+/**
+ * Nueva entrada del historial
+ * @param {number} depth - Pantallas de la app que hay detrás
+ */
+const createEntry = (depth) => ({ key: `${Date.now().toString(36)}-${entrySequence++}`, depth });
+
+/**
+ * Maneja el routing según la URL
+ * Sale de la ruta anterior, aplica vista y layout de la nueva y entra con
+ * los parámetros del path + { query, hash }
+ * @param {string} url - Path con query y hash opcionales
+ * @param {Object} options - { restoreScroll: true al volver con back/forward }
+ */
+export const handleRoute = (url, { restoreScroll = false } = {}) => {
     if (!routeConfig) {
         console.error('Router not initialized');
         return;
     }
 
-    const match = matchRoute(pathname);
+    const { pathname, query, hash } = parseUrl(url);
+    let match = matchRoute(pathname);
 
     if (!match) {
         console.warn('Route not found:', pathname);
-        routeConfig.navigateToMatches();
-        return;
+        match = { route: notFoundRoute, params: {} };
     }
 
-    const { route, params } = match;
-    const handlerName = route.handler;
-    const handler = routeConfig[handlerName];
+    let { route, params } = match;
+    let handler = resolveHandler(routeConfig[route.handler]);
+    if (!handler) {
+        console.error('Handler not found:', route.handler);
+        route = notFoundRoute;
+        params = {};
+        handler = resolveHandler(routeConfig[notFoundRoute.handler]);
+    }
 
-    if (typeof handler === 'function') {
-        handler(params);
-    } else {
-        console.error('Handler not found:', handlerName);
-        routeConfig.navigateToMatches();
+    leaveActiveRoute({ route, pathname });
+    applyLayout(route.view, route.layout);
+    activeRoute = { route, pathname, leave: handler ? handler.leave : null };
+
+    // Volver atrás: esperar a que la vista cargue y restaurar el scroll. Si no, arriba de todo.
+    const saved = restoreScroll && currentEntry ? scrollPositions.get(currentEntry.key) : null;
+    applyScroll(null);
+
+    const result = handler ? handler.enter({ ...params, query, hash }) : undefined;
+    if (saved) {
+        Promise.resolve(result)
+            .then(() => requestAnimationFrame(() => applyScroll(saved)))
+            .catch(() => { /* la vista muestra su propio error */ });
     }
 };
 
 /**
  * Navega a una ruta específica
- * @param {string} path - Ruta a navegar
+ * @param {string} path - Ruta a navegar (ej: '/partido/123/estadisticas', '/fecha/2026-10-18')
  * @param {boolean} replace - Si es true, reemplaza en lugar de agregar al historial
  */
 export const navigate = (path, replace = false) => {
+    saveScroll();
+
     // Actualizar URL en el historial del navegador
     if (replace) {
-        window.history.replaceState(null, '', path);
+        window.history.replaceState(currentEntry, '', path);
     } else {
-        window.history.pushState(null, '', path);
+        currentEntry = createEntry(currentEntry ? currentEntry.depth + 1 : 1);
+        window.history.pushState(currentEntry, '', path);
     }
 
     // Manejar la ruta
     handleRoute(path);
 };
 
+/**
+ * Vuelve a la pantalla anterior si se llegó navegando dentro de la app;
+ * si se entró directo por link, va a fallbackPath
+ * @param {string} fallbackPath - Ej: '/'
+ */
+export const goBack = (fallbackPath = '/') => {
+    if (currentEntry && currentEntry.depth > 0) {
+        window.history.back();
+    } else {
+        navigate(fallbackPath, true);
+    }
+};
+
 /**
  * Inicializa el router y listeners
- * @param {Object} config - Objeto con funciones handlers
+ * @param {Object} config - Handlers por nombre: función (enter) u objeto { enter, leave }
  */
 export const initRouter = (config) => {
     routeConfig = config;
 
+    // El scroll lo restaura el router (cuando la vista terminó de cargar)
+    if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+    }
+
+    // Entrada inicial (al recargar se conserva la del historial)
+    const state = window.history.state;
+    currentEntry = state && state.key ? state : createEntry(0);
+    window.history.replaceState(currentEntry, '', currentUrl());
+
     // Listener para botón back/forward del navegador
-    window.addEventListener('popstate', () => {
-        handleRoute(window.location.pathname);
+    window.addEventListener('popstate', (event) => {
+        saveScroll();
+        const state = event.state;
+        currentEntry = state && state.key ? state : createEntry(0);
+        handleRoute(currentUrl(), { restoreScroll: true });
     });
 
     // Manejar ruta inicial
-    handleRoute(window.location.pathname);
+    handleRoute(currentUrl());
 };
@@ -0,0 +1,85 @@
+/**
+ * Seasons Module
+ *
+ * Propósito: Resolver la temporada activa de cada competición.
+ * Fuente principal: `/leagues?id=X&current=true` de la API (el año con `current: true`).
+ * Si la API falla o no informa temporada, se usa la regla de calendario según el
+ * formato de temporada del registro de competiciones.
+ *
+ * Exports:
+ * - getCalendarSeason(leagueId): Temporada según la regla de calendario (sincrónico)
+ * - getCurrentSeason(leagueId): Temporada activa según la API (con fallback)
+ * - formatSeasonLabel(seasonYear, leagueId): Label de temporada (ej: "2026" o "25/26")
+ */
+
+import { fetchAPI } from './api.js';
+import { isSplitSeason } from '../data/competitions.js';
+
+// Temporadas ya resueltas en esta sesión (leagueId → Promise<number>)
+const resolvedSeasons = new Map();
+
+/**
+ * Temporada según la regla de calendario
+ * - Anual (América): la temporada es el año actual
+ * - Europea (ago-may): desde julio es la que empieza este año, antes es la del año anterior
+ * @param {number|string} leagueId
+ * @returns {number}
+ */
+export const getCalendarSeason = (leagueId) => {
+    const now = new Date();
+    const currentYear = now.getFullYear();
+    const month = now.getMonth() + 1; // 1-12
+
+    if (isSplitSeason(leagueId)) {
+        return month >= 7 ? currentYear : currentYear - 1;
+    }
+    return currentYear;
+};
+
+/**
+ * Pide a la API la temporada marcada como actual
+ * @param {number} leagueId
+ * @returns {Promise<number>}
+ */
+const fetchCurrentSeason = async (leagueId) => {
+    try {
+        const data = await fetchAPI(`/leagues?id=${leagueId}&current=true`, false, { retry: 'background' });
+        const league = data.response && data.response[0];
+        const current = league && (league.seasons || []).find(s => s.current);
+        if (current && current.year) return current.year;
+    } catch (e) {
+        console.warn(`No se pudo resolver la temporada de la liga ${leagueId}, usando calendario`, e);
+    }
+    // No recordar el fallback: la próxima vez se vuelve a consultar a la API
+    resolvedSeasons.delete(leagueId);
+    return getCalendarSeason(leagueId);
+};
+
+/**
+ * Temporada activa de una competición
+ * @param {number|string} leagueId
+ * @returns {Promise<number>}
+ */
+export const getCurrentSeason = (leagueId) => {
+    const id = parseInt(leagueId);
+    if (!resolvedSeasons.has(id)) {
+        const promise = fetchCurrentSeason(id);
+        resolvedSeasons.set(id, promise);
+    }
+    return resolvedSeasons.get(id);
+};
+
+/**
+ * Formatea el label de la temporada
+ * @param {number} seasonYear
+ * @param {number|string} leagueId
+ * @returns {string}
+ */
+export const formatSeasonLabel = (seasonYear, leagueId) => {
+    if (isSplitSeason(leagueId)) {
+        const nextYear = (seasonYear + 1).toString().slice(-2);
+        const current = seasonYear.toString().slice(-2);
+        return `${current}/${nextYear}`;
+    }
+    return seasonYear.toString();
+};
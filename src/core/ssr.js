@@ -0,0 +1,54 @@
+/**
+ * SSR Module
+ *
+ * Propósito: Aprovechar lo que ya trajo el render del servidor (api/render.js).
+ * Las páginas de partido, liga y equipo llegan con las respuestas de la API usadas
+ * para armarlas (#ssr-data); se cargan en la caché de fetchAPI para que la vista
+ * se muestre sin volver a pedirlas.
+ *
+ * Exports:
+ * - hydrateFromServer(): Carga en caché las respuestas del render del servidor
+ * - wasServerRendered(endpoint): Si el endpoint vino del servidor (una sola vez)
+ */
+
+import { primeCache, getProviderName } from './api.js';
+
+// Endpoints que vinieron del servidor y todavía no se usaron
+const serverEndpoints = new Set();
+
+/**
+ * Carga en la caché de fetchAPI las respuestas que dejó el servidor en la página
+ * @returns {Promise<void>}
+ */
+export const hydrateFromServer = async () => {
+    const el = document.getElementById('ssr-data');
+    if (!el) return;
+
+    let payload = null;
+    try {
+        payload = JSON.parse(el.textContent);
+    } catch (e) {
+        console.warn('Datos del servidor inválidos:', e);
+    }
+    el.remove();
+
+    // En modo replay no se mezclan datos reales con los grabados
+    if (!payload || !payload.responses || getProviderName() !== 'live') return;
+
+    await Promise.all(Object.entries(payload.responses).map(async ([endpoint, data]) => {
+        try {
+            await primeCache(endpoint, data, payload.fetchedAt);
+            serverEndpoints.add(endpoint);
+        } catch (e) {
+            console.warn('No se pudo guardar', endpoint, e);
+        }
+    }));
+};
+
+/**
+ * Si un endpoint vino del servidor en esta carga de página
+ * Sirve para no forzar la red en la primera apertura; después se vuelve al comportamiento normal.
+ * @param {string} endpoint
+ * @returns {boolean}
+ */
+export const wasServerRendered = (endpoint) => serverEndpoints.delete(endpoint);
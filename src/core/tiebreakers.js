@@ -0,0 +1,177 @@
+/**
+ * Tiebreakers Module
+ *
+ * Propósito: Ordenar una tabla de posiciones con los criterios de desempate de
+ * cada competición (ver `tiebreakers` en data/competitions.js).
+ * Se usa para recalcular las posiciones provisorias con los partidos en vivo:
+ * la tabla oficial ya viene ordenada por la API.
+ *
+ * Criterios (en el orden que define cada competición, siempre después de los puntos):
+ * - goalDiff / goalsFor / wins / awayGoalsFor: Totales de la tabla
+ * - h2hPoints / h2hGoalDiff / h2hGoalsFor: Mini-tabla entre los equipos empatados
+ *   (partidos jugados entre ellos + los que se están jugando). Solo cuenta cuando
+ *   todos los cruces entre ellos están completos (ida y vuelta, salvo que la
+ *   competición juegue una sola rueda); antes se pasa al siguiente criterio.
+ * - fairPlay: Menos tarjetas (amarilla = 1, roja = 3)
+ *
+ * Los criterios que necesitan datos que todavía no se cargaron (partidos de la
+ * temporada o tarjetas) se saltean y se informan en `missing` para que la vista
+ * los pida y vuelva a ordenar.
+ *
+ * Exports:
+ * - fairPlayPoints(cards): Puntos de fair play a partir de las tarjetas de /teams/statistics
+ * - rankStandings(table, criteria, context): Tabla ordenada y con los puestos recalculados
+ */
+
+/**
+ * Puntos de fair play (más alto = menos tarjetas)
+ * @param {Object} cards - `cards` de /teams/statistics ({ yellow: { '0-15': { total } ... }, red: {...} })
+ * @returns {number}
+ */
+export const fairPlayPoints = (cards) => {
+    const total = (byMinute) => Object.values(byMinute || {}).reduce((sum, b) => sum + (b?.total || 0), 0);
+    return -(total(cards?.yellow) + total(cards?.red) * 3);
+};
+
+/**
+ * Mini-tabla de los partidos entre los equipos del grupo
+ * @param {number} legs - Partidos que juega cada cruce (la mini-tabla solo vale con todos jugados)
+ * @returns {Map<number, Object>|null} teamId → { points, goalDiff, goalsFor } (null si faltan partidos)
+ */
+const headToHeadTable = (group, fixtures, legs) => {
+    const ids = new Set(group.map(t => t.team.id));
+    const mini = new Map(group.map(t => [t.team.id, { points: 0, goalDiff: 0, goalsFor: 0 }]));
+    const pairLegs = new Map();
+
+    fixtures.forEach(m => {
+        const homeId = m.teams.home.id;
+        const awayId = m.teams.away.id;
+        if (!ids.has(homeId) || !ids.has(awayId)) return;
+        if (m.goals.home === null || m.goals.away === null) return;
+
+        const pair = Math.min(homeId, awayId) + '-' + Math.max(homeId, awayId);
+        pairLegs.set(pair, (pairLegs.get(pair) || 0) + 1);
+
+        const home = mini.get(homeId);
+        const away = mini.get(awayId);
+        home.goalsFor += m.goals.home;
+        away.goalsFor += m.goals.away;
+        home.goalDiff += m.goals.home - m.goals.away;
+        away.goalDiff += m.goals.away - m.goals.home;
+        if (m.goals.home > m.goals.away) home.points += 3;
+        else if (m.goals.home < m.goals.away) away.points += 3;
+        else { home.points += 1; away.points += 1; }
+    });
+
+    // Todos contra todos: n * (n - 1) / 2 cruces, cada uno con sus partidos completos
+    const pairs = group.length * (group.length - 1) / 2;
+    const complete = pairLegs.size === pairs && [...pairLegs.values()].every(n => n >= legs);
+    return complete ? mini : null;
+};
+
+/**
+ * Valor de cada criterio para los equipos de un grupo empatado
+ * Cada uno devuelve Map teamId → número (más alto = mejor), o null si faltan datos.
+ */
+const CRITERIA = {
+    goalDiff: (group) => new Map(group.map(t => [t.team.id, t.goalsDiff])),
+    goalsFor: (group) => new Map(group.map(t => [t.team.id, t.all.goals.for])),
+    wins: (group) => new Map(group.map(t => [t.team.id, t.all.win])),
+    awayGoalsFor: (group) => new Map(group.map(t => [t.team.id, t.away?.goals.for ?? 0])),
+    h2hPoints: (group, ctx) => headToHeadValues(group, ctx, 'points'),
+    h2hGoalDiff: (group, ctx) => headToHeadValues(group, ctx, 'goalDiff'),
+    h2hGoalsFor: (group, ctx) => headToHeadValues(group, ctx, 'goalsFor'),
+    fairPlay: (group, ctx) => {
+        const pending = group.filter(t => !ctx.fairPlay?.has(t.team.id));
+        if (pending.length > 0) {
+            pending.forEach(t => ctx.missing.fairPlayTeams.add(t.team.id));
+            return null;
+        }
+        return new Map(group.map(t => [t.team.id, ctx.fairPlay.get(t.team.id)]));
+    }
+};
+
+const headToHeadValues = (group, ctx, key) => {
+    if (!ctx.fixtures) {
+        ctx.missing.headToHead = true;
+        return null;
+    }
+    const mini = headToHeadTable(group, ctx.fixtures, ctx.h2hLegs);
+    if (!mini) return null;
+    return new Map([...mini.entries()].map(([id, row]) => [id, row[key]]));
+};
+
+/**
+ * Desempata un grupo aplicando los criterios en orden
+ * Cada criterio parte el grupo en sub-grupos con el mismo valor, y el siguiente
+ * criterio se aplica solo dentro de cada sub-grupo (la mini-tabla se recalcula
+ * entre los que siguen empatados).
+ */
+const resolveTies = (group, criteria, ctx) => {
+    if (group.length < 2 || criteria.length === 0) return group;
+
+    const [criterion, ...rest] = criteria;
+    const compute = CRITERIA[criterion];
+    const values = compute ? compute(group, ctx) : null;
+    // Criterio desconocido o sin datos: se pasa al siguiente
+    if (!values) return resolveTies(group, rest, ctx);
+
+    const sorted = [...group].sort((a, b) => values.get(b.team.id) - values.get(a.team.id));
+    const result = [];
+    let bucket = [];
+    sorted.forEach(t => {
+        if (bucket.length > 0 && values.get(bucket[0].team.id) !== values.get(t.team.id)) {
+            result.push(...resolveTies(bucket, rest, ctx));
+            bucket = [];
+        }
+        bucket.push(t);
+    });
+    result.push(...resolveTies(bucket, rest, ctx));
+    return result;
+};
+
+/**
+ * Ordena la tabla por puntos y desempata con los criterios de la competición
+ * Los empates que no se pueden resolver conservan el orden oficial (rank de la API).
+ * Con `changedTeams` solo se desempatan los grupos donde hay alguno de esos equipos:
+ * el resto mantiene el orden oficial.
+ * @param {Object[]} table - Filas de /standings (points, goalsDiff, all, home, away...)
+ * @param {string[]} criteria - Criterios de desempate en orden
+ * @param {Object} context - {
+ *   fixtures: partidos jugados + en vivo (o null si no se cargaron),
+ *   fairPlay: Map teamId → puntos,
+ *   h2hLegs: partidos por cruce para usar la mini-tabla (default 2),
+ *   changedTeams: Set de teamIds con resultados nuevos (default: todos)
+ * }
+ * @returns {Object} { table: filas ordenadas con rank recalculado, missing: { headToHead, fairPlayTeams: number[] } }
+ */
+export const rankStandings = (table, criteria, context = {}) => {
+    const ctx = {
+        fixtures: context.fixtures || null,
+        fairPlay: context.fairPlay || null,
+        h2hLegs: context.h2hLegs || 2,
+        missing: { headToHead: false, fairPlayTeams: new Set() }
+    };
+    const changed = context.changedTeams || null;
+    const resolveGroup = (group) => !changed || group.some(t => changed.has(t.team.id))
+        ? resolveTies(group, criteria, ctx)
+        : group;
+
+    const byPoints = [...table].sort((a, b) => b.points - a.points || a.rank - b.rank);
+    const ranked = [];
+    let group = [];
+    byPoints.forEach(t => {
+        if (group.length > 0 && group[0].points !== t.points) {
+            ranked.push(...resolveGroup(group));
+            group = [];
+        }
+        group.push(t);
+    });
+    ranked.push(...resolveGroup(group));
+
+    ranked.forEach((t, i) => t.rank = i + 1);
+    return {
+        table: ranked,
+        missing: { headToHead: ctx.missing.headToHead, fairPlayTeams: [...ctx.missing.fairPlayTeams] }
+    };
+};
@@ -0,0 +1,138 @@
+/**
+ * Competitions Registry
+ *
+ * Única fuente de verdad de las competiciones que sigue la app (IDs de API-Sports).
+ * Para agregar una liga alcanza con sumar una entrada acá.
+ *
+ * Campos:
+ * - id: ID de la liga en API-Sports
+ * - name: Nombre para mostrar
+ * - country: País o confederación
+ * - seasonFormat: 'calendar' (temporada = año, ej: 2026) o 'split' (ago-may, ej: 2025 = 25/26)
+ * - type: 'league' (tabla), 'cup' (cuadro eliminatorio) o 'groups_knockout' (grupos + eliminatorias)
+ * - priority: Orden en el listado de partidos (menor = más arriba)
+ * - matchList: Si sus partidos aparecen en el listado del día
+ * - playerSearch: Si se usa para la búsqueda de jugadores del Lineup Builder
+ * - tiebreakers: Criterios de desempate después de los puntos (ver core/tiebreakers.js).
+ *   Si no está, se usa diferencia de gol y goles a favor.
+ * - h2hLegs: Partidos entre cada par de equipos (1 si se juega una sola rueda). Default: 2
+ */
+
+// Criterios de desempate si la competición no define los suyos
+export const DEFAULT_TIEBREAKERS = ['goalDiff', 'goalsFor'];
+
+export const COMPETITIONS = [
+    // ── ARGENTINA ──
+    { id: 128, name: 'Liga Profesional Argentina', country: 'Argentina', seasonFormat: 'calendar', type: 'league', priority: 1, matchList: true, playerSearch: true, tiebreakers: ['goalDiff', 'goalsFor', 'h2hPoints', 'fairPlay'], h2hLegs: 1 },
+    { id: 1032, name: 'Copa de la Liga', country: 'Argentina', seasonFormat: 'calendar', type: 'league', priority: 1, matchList: true, tiebreakers: ['goalDiff', 'goalsFor', 'h2hPoints', 'fairPlay'], h2hLegs: 1 },
+    { id: 130, name: 'Copa Argentina', country: 'Argentina', seasonFormat: 'calendar', type: 'cup', priority: 1, matchList: true },
+    { id: 129, name: 'Primera Nacional', country: 'Argentina', seasonFormat: 'calendar', type: 'league', priority: 2, matchList: true, tiebreakers: ['goalDiff', 'goalsFor', 'h2hPoints', 'fairPlay'] },
+
+    // ── CONMEBOL ──
+    // Las copas continentales se muestran como tabla por grupos (el layout de grupos + llaves es solo del Mundial)
+    { id: 13, name: 'Copa Libertadores', country: 'CONMEBOL', seasonFormat: 'calendar', type: 'league', priority: 2, matchList: true, tiebreakers: ['goalDiff', 'goalsFor', 'fairPlay'] },
+    { id: 11, name: 'Copa Sudamericana', country: 'CONMEBOL', seasonFormat: 'calendar', type: 'league', priority: 2, matchList: true, tiebreakers: ['goalDiff', 'goalsFor', 'fairPlay'] },
+    { id: 541, name: 'Recopa Sudamericana', country: 'CONMEBOL', seasonFormat: 'calendar', type: 'cup', priority: 2, matchList: true },
+    { id: 71, name: 'Brasileirão Serie A', country: 'Brasil', seasonFormat: 'calendar', type: 'league', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['wins', 'goalDiff', 'goalsFor', 'h2hPoints', 'fairPlay'] },
+
+    // ── SELECCIONES ──
+    { id: 1, name: 'Mundial', country: 'FIFA', seasonFormat: 'calendar', type: 'groups_knockout', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['h2hPoints', 'h2hGoalDiff', 'h2hGoalsFor', 'goalDiff', 'goalsFor', 'fairPlay'], h2hLegs: 1 },
+
+    // ── EUROPA ──
+    { id: 39, name: 'Premier League', country: 'Inglaterra', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['goalDiff', 'goalsFor', 'h2hPoints'] },
+    { id: 140, name: 'La Liga', country: 'España', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['h2hPoints', 'h2hGoalDiff', 'goalDiff', 'goalsFor', 'fairPlay'] },
+    { id: 135, name: 'Serie A', country: 'Italia', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['h2hPoints', 'h2hGoalDiff', 'goalDiff', 'goalsFor'] },
+    { id: 78, name: 'Bundesliga', country: 'Alemania', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['goalDiff', 'goalsFor', 'h2hPoints', 'h2hGoalDiff', 'awayGoalsFor'] },
+    { id: 61, name: 'Ligue 1', country: 'Francia', seasonFormat: 'split', type: 'league', priority: 2, matchList: false, playerSearch: true },
+    { id: 143, name: 'Copa del Rey', country: 'España', seasonFormat: 'split', type: 'cup', priority: 2, matchList: true },
+    { id: 137, name: 'Coppa Italia', country: 'Italia', seasonFormat: 'split', type: 'cup', priority: 2, matchList: true },
+    { id: 2, name: 'UEFA Champions League', country: 'UEFA', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, playerSearch: true, tiebreakers: ['goalDiff', 'goalsFor', 'awayGoalsFor', 'wins'] },
+    { id: 3, name: 'UEFA Europa League', country: 'UEFA', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, tiebreakers: ['goalDiff', 'goalsFor', 'awayGoalsFor', 'wins'] },
+    { id: 848, name: 'UEFA Conference League', country: 'UEFA', seasonFormat: 'split', type: 'league', priority: 2, matchList: true, tiebreakers: ['goalDiff', 'goalsFor', 'awayGoalsFor', 'wins'] },
+
+    // ── RESTO ──
+    { id: 253, name: 'MLS', country: 'Estados Unidos', seasonFormat: 'calendar', type: 'league', priority: 3, matchList: false, playerSearch: true }
+];
+
+const byId = new Map(COMPETITIONS.map(c => [c.id, c]));
+
+/**
+ * Busca una competición por ID
+ * @param {number|string} id
+ * @returns {Object|null}
+ */
+export const getCompetition = (id) => byId.get(parseInt(id)) || null;
+
+/**
+ * Si la temporada cruza dos años (formato europeo 25/26)
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export const isSplitSeason = (id) => getCompetition(id)?.seasonFormat === 'split';
+
+/**
+ * Si la competición se muestra como cuadro eliminatorio
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export const isCup = (id) => getCompetition(id)?.type === 'cup';
+
+/**
+ * Si la competición tiene fase de grupos + eliminatorias
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export const isGroupsKnockout = (id) => getCompetition(id)?.type === 'groups_knockout';
+
+/**
+ * Si la competición es una liga con tabla (no copa)
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export const isLeague = (id) => getCompetition(id)?.type === 'league';
+
+// Organizadores de torneos internacionales (no son ligas locales)
+const INTERNATIONAL_BODIES = ['FIFA', 'CONMEBOL', 'UEFA'];
+
+/**
+ * Si es una liga local (ej: para elegir la tabla de un equipo)
+ * @param {number|string} id
+ * @returns {boolean}
+ */
+export const isDomesticLeague = (id) => {
+    const c = getCompetition(id);
+    return !!c && c.type === 'league' && !INTERNATIONAL_BODIES.includes(c.country);
+};
+
+/**
+ * Prioridad de orden en el listado (las desconocidas van al final)
+ * @param {number|string} id
+ * @returns {number}
+ */
+export const getPriority = (id) => getCompetition(id)?.priority ?? 99;
+
+/**
+ * Criterios de desempate de la competición (después de los puntos)
+ * @param {number|string} id
+ * @returns {string[]}
+ */
+export const getTiebreakers = (id) => getCompetition(id)?.tiebreakers || DEFAULT_TIEBREAKERS;
+
+/**
+ * Partidos entre cada par de equipos en la fase de tabla (para el desempate entre sí)
+ * @param {number|string} id
+ * @returns {number}
+ */
+export const getHeadToHeadLegs = (id) => getCompetition(id)?.h2hLegs || 2;
+
+/**
+ * IDs de las competiciones que aparecen en el listado de partidos
+ * @returns {number[]}
+ */
+export const getMatchListIds = () => COMPETITIONS.filter(c => c.matchList).map(c => c.id);
+
+/**
+ * Competiciones usadas para buscar jugadores
+ * @returns {Object[]}
+ */
+export const getPlayerSearchCompetitions = () => COMPETITIONS.filter(c => c.playerSearch);
@@ -8,8 +8,12 @@
  */
 
 // Core imports
-import { initRouter, navigate, createSlug } from './core/router.js';
-import { showOnly, hideView } from './core/dom.js';
+import { initRouter, navigate, goBack, createSlug } from './core/router.js';
+import { configureProvider } from './core/api.js';
+import { resolveStartupProviderName } from './core/providers.js';
+import { registerServiceWorker, initOfflineBanner, applyUpdate } from './core/pwa.js';
+import { hydrateFromServer } from './core/ssr.js';
+import { configureFavorites } from './core/favorites.js';
 
 // View imports
 import {
@@ -20,10 +24,22 @@ import {
     resetDate,
     renderCalendar,
     toggleLiveFilter,
+    toggleFavoritesFilter,
     loadMessageCounts,
     toggleCalendar,
     changeMonth,
-    moveLeague
+    moveLeague,
+    toggleAllLeagues,
+    toggleFollowCompetition,
+    moveFollowedCompetition,
+    resetFollowedCompetitions,
+    openCompetitionPicker,
+    closeCompetitionPicker,
+    applyListRoute,
+    listPath,
+    getMatchesState,
+    resumeMatches,
+    pauseMatches
 } from './views/matches.js';
 
 import {
@@ -32,11 +48,18 @@ import {
     renderTable,
     changeRound,
     toggleSidebarInLeague,
-    switchWorldCupTab
+    switchWorldCupTab,
+    switchLeagueTab,
+    setTableMode,
+    setTableSplit,
+    sortTable,
+    leaveStandings
 } from './views/standings.js';
+import { toggleEvolutionTeam, setEvolutionGroup } from './views/standingsEvolution.js';
 
 import {
     navigateToForum,
+    stopForum,
     initForum,
     sendMessage,
     deleteMessage,
@@ -47,9 +70,17 @@ import {
 import {
     openDetail,
     closeDetail,
+    leaveDetail,
     switchTab
 } from './views/matchDetail.js';
 
+import {
+    toggleFollowMatch,
+    setMatchAlertPref,
+    openMatchAlertSettings,
+    closeMatchAlertSettings
+} from './views/matchAlerts.js';
+
 import {
     initAuth,
     loginWithGoogle,
@@ -79,7 +110,8 @@ import {
     closeRankingModal,
     enterDemoMode,
     exitDemoMode,
-    isInDemoMode
+    isInDemoMode,
+    whenRoleReady
 } from './views/auth.js';
 
 import {
@@ -136,95 +168,75 @@ import {
     showHistory,
     closeHistory,
     filterRivals,
-    loadHeadToHead
+    loadHeadToHead,
+    toggleFavoriteCurrentTeam
 } from './views/teamProfile.js';
 
+import { showPlayer, loadRecentRatings } from './views/player.js';
+
+import {
+    initSearch,
+    openSearch,
+    closeSearch,
+    selectSearchResult
+} from './views/search.js';
+
 /**
- * Navega a la vista de partidos
+ * Navega a la vista de partidos (botones de la app)
  */
 const navigateToMatches = () => {
-    // Si no estamos en la ruta raíz, navegar allí
-    if (window.location.pathname !== '/') {
-        navigate('/');
-        return;
-    }
-
-    document.title = 'Real Futbol';
-
-    // Cambiar vistas
-    document.getElementById('view-standings').classList.add('hidden');
-    document.getElementById('view-forum').classList.add('hidden');
-    document.getElementById('view-match-detail').classList.add('hidden');
-    const viewTeam = document.getElementById('view-team');
-    if (viewTeam) viewTeam.classList.add('hidden');
-    const viewLineup = document.getElementById('view-lineup-builder');
-    if (viewLineup) viewLineup.classList.add('hidden');
-    document.getElementById('view-match-list').classList.remove('hidden');
-    document.getElementById('date-nav').classList.remove('hidden');
-    document.getElementById('sidebar').classList.remove('hidden'); // Restore if it was hidden by league view
-    document.getElementById('sidebar').classList.add('-translate-x-full'); // Default mobile state
-    // Restore right sidebar responsive state (hidden mobile, flex desktop)
-    const rightSidebar = document.getElementById('right-sidebar');
-    rightSidebar.classList.add('hidden', 'lg:flex');
-    rightSidebar.classList.remove('lg:hidden'); // Ensure it's not hidden on desktop
-    document.querySelector('main').classList.add('lg:w-auto'); // Restore main width constraint
-    document.getElementById('mobile-backdrop').classList.add('hidden');
-
-    // Desactivar filtro EN VIVO si estaba activo
-    const toggle = document.getElementById('live-toggle');
-    if (toggle && toggle.checked) {
-        toggle.checked = false;
-        toggleLiveFilter();
-    }
-
-    // Resetear color del botón EN VIVO a gris
-    const liveBtn = document.getElementById('btn-nav-live');
-    if (liveBtn) {
-        liveBtn.classList.remove('text-red-500');
-        liveBtn.classList.add('text-gray-400');
-    }
-
-    updateMobileNav('btn-nav-results');
+    // Vuelve al día que se estaba mirando (/fecha/YYYY-MM-DD o '/' si es hoy)
+    const path = listPath(getMatchesState().date);
+    navigate(path, window.location.pathname === path);
 };
 
 /**
- * Handler para mostrar standings desde router (con params)
+ * Entrada a la ruta del listado (vista y layout los aplica el router)
+ * @param {Object} params - { date, query: { envivo } } desde '/' o '/fecha/:date'
  */
-const showStandingsById = (params) => {
-    showStandings(params);
+const enterMatches = (params = {}) => {
+    document.title = 'Real Futbol';
+    resumeMatches();
+
+    // Fecha y filtro EN VIVO salen de la URL (/fecha/2026-10-18?envivo=1)
+    applyListRoute({ date: params && params.date, query: (params && params.query) || {} });
+    updateMobileNav(getMatchesState().liveOnly ? 'btn-nav-live' : 'btn-nav-results');
 };
 
 /**
- * Handler para mostrar standings desde router (con params y name)
+ * Handler para mostrar standings desde router (/liga/:id/:name?)
  */
-const showStandingsByIdAndName = (params) => {
-    showStandings(params);
+const showStandingsById = (params) => {
+    return showStandings(params);
 };
 
 /**
  * Handler para abrir match detail desde router
  */
 const openMatchDetail = (params) => {
-    openDetail(params);
+    return openDetail(params);
 };
 
 /**
  * Handler para mostrar perfil de equipo desde router
  */
 const showTeamProfileHandler = (params) => {
-    showTeamProfile(params);
+    return showTeamProfile(params);
 };
 
 /**
- * Abre match detail con un tab específico sin modificar URL
- * @param {number} id - ID del partido
- * @param {string} tab - Tab a abrir
+ * Handler para mostrar la ficha de un jugador desde router (/jugador/:id)
  */
-const openDetailWithTab = (id, tab) => {
-    // Navegar a la URL limpia sin tab
-    navigate(`/partido/${id}`);
-    // Abrir con el tab específico (lo maneja openDetail internamente)
-    openDetail({ id, tab });
+const showPlayerHandler = (params) => {
+    return showPlayer(params);
+};
+
+/**
+ * Vista "página no encontrada" para rutas desconocidas
+ */
+const showNotFound = () => {
+    document.title = 'Página no encontrada - Real Futbol';
+    updateMobileNav(null);
 };
 
 /**
@@ -252,15 +264,16 @@ const selectFeaturedMatch = async (fixtureId) => {
 };
 
 /**
- * Navega al foro global (Wrapper para manejar estado de navegación)
+ * Navega al foro global (botones de la app)
  */
 const navigateToForumWrapper = () => {
-    // Si no estamos en la ruta del foro, navegar allí
-    if (window.location.pathname !== '/foro') {
-        navigate('/foro');
-        return;
-    }
+    navigate('/foro', window.location.pathname === '/foro');
+};
 
+/**
+ * Entrada a la ruta del foro global
+ */
+const enterForum = () => {
     // Desactivar filtro EN VIVO si estaba activo
     const toggle = document.getElementById('live-toggle');
     if (toggle && toggle.checked) {
@@ -271,13 +284,6 @@ const navigateToForumWrapper = () => {
     // Renderizar foro
     navigateToForum();
 
-    // Restaurar layout (si venimos de League View)
-    document.getElementById('sidebar').classList.remove('hidden');
-    const rightSidebar = document.getElementById('right-sidebar');
-    rightSidebar.classList.add('hidden', 'lg:flex');
-    rightSidebar.classList.remove('lg:hidden');
-    document.querySelector('main').classList.add('lg:w-auto');
-
     // Asegurar estado visual de los botones
     updateMobileNav('btn-nav-forum');
 };
@@ -321,7 +327,8 @@ const updateMobileNav = (activeId) => {
 
         if (id === activeId) {
             btn.classList.remove('text-gray-400');
-            btn.classList.add('text-white');
+            // EN VIVO activo se marca en rojo
+            btn.classList.add(id === 'btn-nav-live' ? 'text-red-500' : 'text-white');
         }
     });
 };
@@ -687,6 +694,24 @@ const switchModTab = (tabName) => {
  * Inicializa la aplicación
  */
 const init = () => {
+    // Fuente de datos: proxy real o JSON grabados (?provider=replay)
+    configureProvider(resolveStartupProviderName());
+
+    // App instalable + uso sin conexión
+    registerServiceWorker();
+    initOfflineBanner();
+
+    // Favorito por defecto: el equipo elegido en el perfil
+    configureFavorites({
+        getProfileTeam: async () => {
+            await whenRoleReady();
+            const profile = getCurrentUserProfile();
+            return profile && profile.teamId
+                ? { id: profile.teamId, name: profile.teamName, logo: profile.teamLogo }
+                : null;
+        }
+    });
+
     // Inicializar autenticación
     initAuth();
 
@@ -699,6 +724,9 @@ const init = () => {
     // Cargar partido destacado en sidebar
     loadFeaturedMatch();
 
+    // Búsqueda global del header
+    initSearch();
+
     // Setup del sidebar mobile
     const sidebar = document.getElementById('sidebar');
     const backdrop = document.getElementById('mobile-backdrop');
@@ -719,15 +747,17 @@ const init = () => {
     }
 
     // Inicializar router con todos los handlers
-    initRouter({
-        navigateToMatches,
-        navigateToForum: navigateToForumWrapper,
-        openMatchDetail,
-        showStandingsById,
-        showStandingsByIdAndName,
+    // (antes, cargar en caché lo que ya trajo el render del servidor para esta página)
+    hydrateFromServer().finally(() => initRouter({
+        navigateToMatches: { enter: enterMatches, leave: pauseMatches },
+        navigateToForum: { enter: enterForum, leave: stopForum },
+        openMatchDetail: { enter: openMatchDetail, leave: leaveDetail },
+        showStandingsById: { enter: showStandingsById, leave: leaveStandings },
         showTeamProfile: showTeamProfileHandler,
-        openLineupBuilder // Registered handler
-    });
+        showPlayer: showPlayerHandler,
+        openLineupBuilder,
+        notFound: showNotFound
+    }));
 };
 
 /**
@@ -736,19 +766,6 @@ const init = () => {
 const openLineupBuilder = async () => {
     const { initLineupBuilder } = await import('./views/lineupBuilder.js');
 
-    // Logic to switch view
-    document.getElementById('view-match-list').classList.add('hidden');
-    document.getElementById('view-standings').classList.add('hidden');
-    document.getElementById('view-match-detail').classList.add('hidden');
-    document.getElementById('view-forum').classList.add('hidden');
-    document.getElementById('view-team').classList.add('hidden');
-    document.getElementById('date-nav').classList.add('hidden');
-    document.getElementById('view-lineup-builder').classList.remove('hidden');
-
-    // Hide sidebar on mobile
-    document.getElementById('sidebar').classList.add('-translate-x-full');
-    document.getElementById('mobile-backdrop').classList.add('hidden');
-
     // Update Title for SEO
     document.title = 'Arma tu 11 - Real Futbol';
 
@@ -764,17 +781,29 @@ window.app = {
     resetDate,
     renderCalendar,
     toggleLiveFilter,
+    toggleFavoritesFilter,
     loadMessageCounts,
     toggleCalendar,
     changeMonth,
     moveLeague,
+    toggleAllLeagues,
+    toggleFollowCompetition,
+    moveFollowedCompetition,
+    resetFollowedCompetitions,
+    openCompetitionPicker,
+    closeCompetitionPicker,
 
     // Match Detail
     openDetail,
-    openDetailWithTab,  // Nueva función para abrir con tab específico
     closeDetail,
     switchTab,
 
+    // Match Alerts
+    toggleFollowMatch,
+    setMatchAlertPref,
+    openMatchAlertSettings,
+    closeMatchAlertSettings,
+
     // Featured Match
     selectFeaturedMatch,
     clearFeaturedMatch,
@@ -788,9 +817,25 @@ window.app = {
     changeRound,
     toggleSidebarInLeague,
     switchWorldCupTab,
+    switchLeagueTab,
+    setTableMode,
+    setTableSplit,
+    sortTable,
+    toggleEvolutionTeam,
+    setEvolutionGroup,
 
     // Team Profile
     showTeamProfile,
+    toggleFavoriteCurrentTeam,
+
+    // Player
+    showPlayer,
+    loadRecentRatings,
+
+    // Search
+    openSearch,
+    closeSearch,
+    selectSearchResult,
 
     // Forum
     navigateToForum: navigateToForumWrapper,
@@ -923,8 +968,12 @@ window.app = {
     updateMobileNav,
     toggleLiveFromMobile,
     navigate,
+    goBack,
     createSlug,
 
+    // PWA
+    applyUpdate,
+
     // Init
     init
 };
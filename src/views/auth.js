@@ -139,6 +139,11 @@ export const setUserUsername = async (uid, email, username, photoURL = '', team
             profileData.teamLogo = existingProfile.teamLogo;
         }
 
+        // Conservar preferencias (ligas seguidas, etc.)
+        if (existingProfile?.preferences) {
+            profileData.preferences = existingProfile.preferences;
+        }
+
         const docRef = doc(db, "user_profiles", uid);
         await setDoc(docRef, profileData);
 
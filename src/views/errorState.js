@@ -0,0 +1,140 @@
+/**
+ * Error State Module
+ *
+ * Propósito: Pantallas de error de API según el tipo de falla
+ * (cuota agotada, rate limit, sin conexión, proveedor caído, respuesta inválida)
+ *
+ * Exports:
+ * - renderApiError(container, error, retryAction, onRetry): Renderiza el mensaje correcto en un container
+ */
+
+/**
+ * Botón de reintento (usa window.app vía onclick como el resto de la app)
+ * @param {string} retryAction - Código onclick (ej: "app.loadMatches()")
+ */
+const retryButton = (retryAction) => retryAction ? `
+    <button onclick="${retryAction}"
+        class="w-full bg-white hover:bg-gray-200 text-black font-bold py-3 px-6 uppercase tracking-widest text-sm transition-all duration-200">
+        Reintentar
+    </button>
+` : '';
+
+/**
+ * Hora local (Argentina) en la que se renueva la cuota
+ * @param {number} retryAfterMs
+ */
+const formatResetTime = (retryAfterMs) => {
+    const resetAt = new Date(Date.now() + retryAfterMs);
+    return resetAt.toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false });
+};
+
+/**
+ * Pantalla de cuota agotada (con invitación a donar)
+ */
+const quotaHtml = (error) => `
+    <div class="mb-6">
+        <h2 class="text-2xl font-black text-white mb-2">¡Estamos a tope! 🚀</h2>
+    </div>
+    <p class="text-gray-300 text-sm leading-relaxed mb-6">
+        Nuestros servidores han alcanzado su límite por hoy debido a la gran cantidad de usuarios.
+        Estamos trabajando para ampliar nuestra capacidad.
+    </p>
+    ${error.retryAfterMs ? `<p class="text-gray-500 text-xs uppercase tracking-widest mb-6">Volvemos a las ${formatResetTime(error.retryAfterMs)}</p>` : ''}
+    <div class="border-t border-[#222] my-6"></div>
+    <p class="text-gray-400 text-xs mb-4">
+        Si te gustaría ayudarnos para que esto no vuelva a suceder, podrías considerar realizar un aporte en la sección donar.
+    </p>
+    <button
+        onclick="document.getElementById('donation-modal').classList.remove('hidden')"
+        class="w-full bg-yellow-500 hover:bg-yellow-400 text-black font-bold py-3 px-6 uppercase tracking-widest text-sm transition-all duration-200 flex items-center justify-center gap-2 shadow-lg hover:shadow-yellow-500/50">
+        <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <circle cx="12" cy="12" r="10"></circle>
+            <path d="M16 8h-6a2 2 0 1 0 0 4h4a2 2 0 1 1 0 4H8"></path>
+            <path d="M12 18V6"></path>
+        </svg>
+        Donar
+    </button>
+`;
+
+// Reintento pendiente al volver la conexión, uno por container
+const onlineRetries = new WeakMap();
+
+/**
+ * Pantalla genérica con título, texto y botón de reintento
+ */
+const simpleHtml = (title, text, retryAction) => `
+    <div class="mb-6">
+        <h2 class="text-2xl font-black text-white mb-2">${title}</h2>
+    </div>
+    <p class="text-gray-300 text-sm leading-relaxed mb-6">${text}</p>
+    ${retryButton(retryAction)}
+`;
+
+/**
+ * Renderiza el mensaje de error adecuado según el tipo de error de API
+ * @param {HTMLElement} container - Donde renderizar
+ * @param {Error} error - Error lanzado por fetchAPI (ApiError u otro)
+ * @param {string} retryAction - Código onclick para reintentar (opcional)
+ * @param {Function} onRetry - Reintento automático al volver la conexión (opcional)
+ */
+export const renderApiError = (container, error, retryAction = '', onRetry = null) => {
+    if (!container) return;
+
+    // Un render nuevo reemplaza al anterior: su reintento pendiente ya no aplica
+    const pending = onlineRetries.get(container);
+    if (pending) {
+        window.removeEventListener('online', pending);
+        onlineRetries.delete(container);
+    }
+
+    let inner;
+    switch (error && error.code) {
+        case 'quota':
+            inner = quotaHtml(error);
+            break;
+        case 'rate_limit': {
+            const seconds = error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : null;
+            inner = simpleHtml('Mucho tráfico ⏳',
+                `Estamos recibiendo demasiadas consultas en este momento. ${seconds ? `Probá de nuevo en ${seconds} segundos.` : 'Probá de nuevo en unos segundos.'}`,
+                retryAction);
+            break;
+        }
+        case 'network':
+            inner = simpleHtml('Sin conexión 📡',
+                'No pudimos conectarnos. Revisá tu conexión a internet; vamos a reintentar automáticamente cuando vuelva.',
+                retryAction);
+            break;
+        case 'upstream':
+            inner = simpleHtml('El proveedor de datos no responde',
+                'Nuestro proveedor de resultados está teniendo problemas. Volvé a intentar en unos minutos.',
+                retryAction);
+            break;
+        case 'malformed':
+            inner = simpleHtml('Datos inválidos',
+                'Recibimos una respuesta inesperada del servidor. Volvé a intentar en unos minutos.',
+                retryAction);
+            break;
+        default:
+            inner = simpleHtml('Algo salió mal',
+                'No pudimos cargar los datos.',
+                retryAction);
+    }
+
+    container.innerHTML = `
+        <div class="flex justify-center items-start pt-4 px-4 h-full">
+            <div class="max-w-md w-full bg-black p-8 text-center">
+                ${inner}
+            </div>
+        </div>
+    `;
+
+    // Sin conexión: reintentar solo cuando el navegador vuelva a estar online
+    if (error && error.code === 'network' && typeof onRetry === 'function') {
+        const retry = () => {
+            onlineRetries.delete(container);
+            if (document.body.contains(container)) onRetry();
+        };
+        onlineRetries.set(container, retry);
+        window.addEventListener('online', retry, { once: true });
+    }
+};
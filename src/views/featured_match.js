@@ -14,8 +14,29 @@
 
 import { db, doc, getDoc, setDoc, deleteDoc } from '../core/firebase.js';
 import { fetchAPI } from '../core/api.js';
+import { subscribeLive, trackFixtures, applyLiveUpdate } from '../core/live.js';
 import { getMatches } from './matches.js';
 
+// Partido destacado mostrado (para aplicarle las actualizaciones en vivo)
+let featuredMatch = null;
+let unsubscribeLiveFeatured = null;
+
+/**
+ * Re-renderiza el widget cuando cambia el partido destacado en vivo
+ * @param {Object} payload - { changes } publicado por el módulo de vivo
+ */
+const handleFeaturedLiveChanges = ({ changes }) => {
+    if (!featuredMatch) return;
+    const change = changes.find(c => c.fixtureId === featuredMatch.fixture.id);
+    if (!change) return;
+
+    applyLiveUpdate(featuredMatch, change.match);
+    const desktopContainer = document.getElementById('featured-match-container');
+    const mobileContainer = document.getElementById('featured-match-mobile-container');
+    if (desktopContainer) renderFeaturedWidget(desktopContainer, featuredMatch);
+    if (mobileContainer) renderFeaturedWidget(mobileContainer, featuredMatch);
+};
+
 /**
  * Guarda un partido como destacado en Firestore
  * @param {number} fixtureId - ID del partido
@@ -62,6 +83,7 @@ export const clearFeaturedMatch = async () => {
         const desktopContainer = document.getElementById('featured-match-container');
         const mobileContainer = document.getElementById('featured-match-mobile-container');
 
+        featuredMatch = null;
         if (desktopContainer) desktopContainer.innerHTML = '';
         if (mobileContainer) mobileContainer.innerHTML = '';
 
@@ -86,6 +108,7 @@ export const loadFeaturedMatch = async () => {
         const docSnap = await getDoc(docRef);
 
         if (!docSnap.exists()) {
+            featuredMatch = null;
             if (desktopContainer) desktopContainer.innerHTML = '';
             if (mobileContainer) mobileContainer.innerHTML = '';
             return;
@@ -103,6 +126,7 @@ export const loadFeaturedMatch = async () => {
         if (!isSameDay) {
             console.log('Featured match is from a different day, auto-clearing.');
             await deleteDoc(docRef);
+            featuredMatch = null;
             if (desktopContainer) desktopContainer.innerHTML = '';
             if (mobileContainer) mobileContainer.innerHTML = '';
             return;
@@ -113,6 +137,9 @@ export const loadFeaturedMatch = async () => {
             const data = await fetchAPI(`/fixtures?id=${featured.fixtureId}`);
             if (data.response && data.response.length > 0) {
                 const match = data.response[0];
+                featuredMatch = match;
+                trackFixtures([match]);
+                if (!unsubscribeLiveFeatured) unsubscribeLiveFeatured = subscribeLive(handleFeaturedLiveChanges);
                 if (desktopContainer) renderFeaturedWidget(desktopContainer, match);
                 if (mobileContainer) renderFeaturedWidget(mobileContainer, match);
                 return;
@@ -126,6 +153,7 @@ export const loadFeaturedMatch = async () => {
         if (mobileContainer) renderFeaturedWidgetFallback(mobileContainer, featured);
     } catch (error) {
         console.error('Error loading featured match:', error);
+        featuredMatch = null;
         if (desktopContainer) desktopContainer.innerHTML = '';
         if (mobileContainer) mobileContainer.innerHTML = '';
     }
@@ -288,7 +316,7 @@ const renderFeaturedWidget = (container, m) => {
             <!-- Forum button -->
             <div class="mt-2 flex justify-center">
                 <div class="px-2 py-1 bg-[#111] hover:bg-[#222] border border-[#222] rounded flex items-center gap-1 transition-colors cursor-pointer"
-                     onclick="app.openDetailWithTab(${m.fixture.id}, 'forum'); event.stopPropagation(); event.preventDefault();">
+                     onclick="app.navigate('/partido/${m.fixture.id}/foro'); event.stopPropagation(); event.preventDefault();">
                     <svg xmlns="http://www.w3.org/2000/svg" class="w-3 h-3 text-gray-400" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path></svg>
                     <span class="text-[8px] font-bold text-gray-500 uppercase tracking-wider">Foro</span>
                 </div>
@@ -327,7 +355,7 @@ const renderFeaturedWidgetFallback = (container, featured) => {
 
             <div class="mt-2 flex justify-center">
                 <div class="px-2 py-1 bg-[#111] hover:bg-[#222] border border-[#222] rounded flex items-center gap-1 transition-colors cursor-pointer"
-                     onclick="app.openDetailWithTab(${featured.fixtureId}, 'forum'); event.stopPropagation(); event.preventDefault();">
+                     onclick="app.navigate('/partido/${featured.fixtureId}/foro'); event.stopPropagation(); event.preventDefault();">
                     <svg xmlns="http://www.w3.org/2000/svg" class="w-3 h-3 text-gray-400" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path></svg>
                     <span class="text-[8px] font-bold text-gray-500 uppercase tracking-wider">Foro</span>
                 </div>
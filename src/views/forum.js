@@ -5,6 +5,7 @@
  * 
  * Exports:
  * - navigateToForum(): Navega al foro global
+ * - stopForum(): Deja de escuchar el foro activo
  * - initForum(context, containerId, usernameInputId): Inicializa un foro
  * - sendMessage(userFieldId, textFieldId): Envía un mensaje
  */
@@ -404,20 +405,19 @@ export const navigateToForum = () => {
     // Actualizar título de la página
     document.title = 'Foro Global - RealFutbol';
 
-    document.getElementById('view-match-list').classList.add('hidden');
-    document.getElementById('view-standings').classList.add('hidden');
-    document.getElementById('view-match-detail').classList.add('hidden');
-    const viewLineup = document.getElementById('view-lineup-builder');
-    if (viewLineup) viewLineup.classList.add('hidden');
-    document.getElementById('date-nav').classList.add('hidden');
-    document.getElementById('view-forum').classList.remove('hidden');
-
-    document.getElementById('sidebar').classList.add('-translate-x-full');
-    document.getElementById('mobile-backdrop').classList.add('hidden');
-
     initForum('global', 'forum-messages', 'forum-username');
 };
 
+/**
+ * Deja de escuchar el foro activo (al salir de la vista que lo muestra)
+ */
+export const stopForum = () => {
+    if (activeForumUnsubscribe) {
+        activeForumUnsubscribe();
+        activeForumUnsubscribe = null;
+    }
+};
+
 /**
  * Borra un mensaje del foro
  * @param {string} messageId - ID del mensaje a borrar
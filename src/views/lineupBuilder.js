@@ -11,6 +11,8 @@
  */
 
 import { fetchAPI } from '../core/api.js';
+import { getCurrentSeason } from '../core/seasons.js';
+import { getPlayerSearchCompetitions } from '../data/competitions.js';
 
 // State
 let currentFormation = '4-3-3';
@@ -270,20 +272,11 @@ export const handleBuilderSearch = (query) => {
             // "Global" Search Strategy:
             // API-Football often requires 'league' + 'season' for player search.
             // To support "no competition selection", we search across major leagues in parallel.
-            // UPDATED: Using 2025/2026 seasons as current date is Feb 2026.
-
-            const leaguesToSearch = [
-                { id: 1, season: 2022 },   // World Cup (Keep 2022 until 2026 squad lists are out/populated)
-                { id: 39, season: 2025 },  // Premier League (25/26)
-                { id: 140, season: 2025 }, // La Liga (25/26)
-                { id: 135, season: 2025 }, // Serie A (25/26)
-                { id: 78, season: 2025 },  // Bundesliga (25/26)
-                { id: 61, season: 2025 },  // Ligue 1 (25/26)
-                { id: 2, season: 2025 },   // UCL (25/26)
-                { id: 128, season: 2026 }, // Liga Profesional ARG (2026 active)
-                { id: 71, season: 2025 },  // Brasileirao (2025)
-                { id: 253, season: 2025 }  // MLS (2025)
-            ];
+            // Temporada activa de cada liga según la API (queda en caché después de la primera búsqueda)
+            const leaguesToSearch = await Promise.all(getPlayerSearchCompetitions().map(async c => ({
+                id: c.id,
+                season: await getCurrentSeason(c.id)
+            })));
 
             // Trigger all fetches in parallel
             const promises = leaguesToSearch.map(l =>
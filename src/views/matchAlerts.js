@@ -0,0 +1,321 @@
+/**
+ * Match Alerts Module
+ *
+ * Propósito: Seguir partidos y avisar goles, rojas, entretiempo y final.
+ * Escucha los cambios del módulo de vivo; para los partidos seguidos compara los
+ * eventos nuevos (`events`) y el estado, y muestra un aviso en la app y, si el
+ * navegador lo permite, una notificación del sistema.
+ * Los partidos seguidos (`followedMatches`) y qué avisar (`matchAlertPrefs`) se
+ * guardan en las preferencias del usuario.
+ *
+ * Exports:
+ * - loadFollowedMatches(): Carga los partidos seguidos del usuario actual
+ * - isFollowedMatch(fixtureId): Si un partido está seguido
+ * - followButtonIcon(isFollowed, size): Ícono de campana para los botones de seguir
+ * - toggleFollowMatch(fixtureId, kickoff): Sigue / deja de seguir un partido
+ * - setMatchAlertPref(key, enabled): Activa / desactiva un tipo de aviso
+ * - openMatchAlertSettings() / closeMatchAlertSettings(): Modal de avisos
+ */
+
+import { getPreference, setPreference, onPreferencesChange } from '../core/preferences.js';
+import { subscribeLive, trackFixtures, eventKey } from '../core/live.js';
+import { fetchAPI } from '../core/api.js';
+import { navigate } from '../core/router.js';
+import { showToast } from '../core/dom.js';
+
+// Qué avisar por defecto
+const DEFAULT_ALERT_PREFS = {
+    goals: true,
+    redCards: true,
+    halfTime: true,
+    fullTime: true,
+    browser: true
+};
+
+// Estados de partido terminado
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+// Los partidos seguidos se descartan un día después de empezar
+const FOLLOW_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Partidos seguidos [{ id, kickoff }] y avisos (null = sin cargar)
+let followedMatches = null;
+let alertPrefs = null;
+let unsubscribeLive = null;
+
+/**
+ * Carga los partidos seguidos del usuario actual (descarta los viejos)
+ * @returns {Promise<Array>} [{ id, kickoff }]
+ */
+export const loadFollowedMatches = async () => {
+    const saved = await getPreference('followedMatches', []);
+    const cutoff = Date.now() - FOLLOW_RETENTION_MS;
+    followedMatches = saved.filter(f => !f.kickoff || f.kickoff > cutoff);
+    alertPrefs = { ...DEFAULT_ALERT_PREFS, ...(await getPreference('matchAlertPrefs', {})) };
+
+    if (followedMatches.length !== saved.length) {
+        setPreference('followedMatches', followedMatches);
+    }
+    syncLiveSubscription();
+    return followedMatches;
+};
+
+/**
+ * Si un partido está seguido (según lo ya cargado con loadFollowedMatches)
+ * @param {number|string} fixtureId
+ * @returns {boolean}
+ */
+export const isFollowedMatch = (fixtureId) =>
+    (followedMatches || []).some(f => f.id === parseInt(fixtureId));
+
+/**
+ * Ícono de campana de los botones de seguir
+ * @param {boolean} isFollowed
+ * @param {string} size - Clases de tamaño (ej: 'w-4 h-4')
+ */
+export const followButtonIcon = (isFollowed, size = 'w-4 h-4') => `
+    <svg xmlns="http://www.w3.org/2000/svg" class="${size} ${isFollowed ? 'text-yellow-500' : 'text-gray-500'}" viewBox="0 0 24 24" fill="${isFollowed ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path>
+        <path d="M13.73 21a2 2 0 0 1-3.46 0"></path>
+    </svg>
+`;
+
+/**
+ * Actualiza todos los botones de seguir de un partido (listado y detalle)
+ * @param {number} fixtureId
+ */
+const refreshFollowButtons = (fixtureId) => {
+    const isFollowed = isFollowedMatch(fixtureId);
+    document.querySelectorAll(`[data-follow-match="${fixtureId}"]`).forEach(btn => {
+        btn.innerHTML = followButtonIcon(isFollowed, btn.dataset.iconSize || 'w-4 h-4');
+        btn.title = isFollowed ? 'Dejar de seguir' : 'Seguir partido';
+    });
+};
+
+/**
+ * Pide permiso de notificaciones del navegador (solo si nunca se pidió)
+ */
+const requestNotificationPermission = async () => {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    try {
+        await Notification.requestPermission();
+    } catch (e) {
+        console.warn('No se pudo pedir permiso de notificaciones:', e);
+    }
+};
+
+/**
+ * Sigue / deja de seguir un partido
+ * @param {number|string} fixtureId
+ * @param {number} kickoff - Horario de inicio en ms (opcional, para descartarlo después)
+ * @returns {Promise<boolean>} true si quedó seguido
+ */
+export const toggleFollowMatch = async (fixtureId, kickoff = null) => {
+    const current = followedMatches || await loadFollowedMatches();
+    const id = parseInt(fixtureId);
+    const isFollowed = current.some(f => f.id === id);
+
+    followedMatches = isFollowed
+        ? current.filter(f => f.id !== id)
+        : [...current, { id, kickoff }];
+
+    refreshFollowButtons(id);
+    syncLiveSubscription();
+    if (!isFollowed) {
+        showToast('<span class="font-bold">Partido seguido</span><span class="text-gray-400 text-xs">Te avisamos goles, rojas y resultado</span>', { duration: 3000 });
+        if (alertPrefs.browser) requestNotificationPermission();
+        trackFollowedMatch(id);
+    }
+
+    await setPreference('followedMatches', followedMatches);
+    return !isFollowed;
+};
+
+/**
+ * Registra el partido en el módulo de vivo si todavía no se conoce su estado
+ * (ej: se siguió desde un link directo) para que los cambios se detecten contra él
+ * @param {number} fixtureId
+ */
+const trackFollowedMatch = async (fixtureId) => {
+    try {
+        const data = await fetchAPI(`/fixtures?id=${fixtureId}`, true, { retry: 'background' });
+        trackFixtures(data.response || []);
+    } catch (e) {
+        console.warn('No se pudo registrar el partido seguido:', fixtureId, e);
+    }
+};
+
+/**
+ * Activa / desactiva un tipo de aviso
+ * @param {string} key - 'goals' | 'redCards' | 'halfTime' | 'fullTime' | 'browser'
+ * @param {boolean} enabled
+ */
+export const setMatchAlertPref = async (key, enabled) => {
+    if (!(key in DEFAULT_ALERT_PREFS)) return;
+    if (!alertPrefs) await loadFollowedMatches();
+    alertPrefs = { ...alertPrefs, [key]: !!enabled };
+    if (key === 'browser' && enabled) requestNotificationPermission();
+    await setPreference('matchAlertPrefs', alertPrefs);
+    renderAlertSettings();
+};
+
+/**
+ * Renderiza el estado de los checkboxes del modal de avisos
+ */
+const renderAlertSettings = () => {
+    Object.keys(DEFAULT_ALERT_PREFS).forEach(key => {
+        const input = document.getElementById(`match-alert-${key}`);
+        if (input) input.checked = !!alertPrefs[key];
+    });
+
+    const note = document.getElementById('match-alert-permission-note');
+    if (!note) return;
+    if (!('Notification' in window)) {
+        note.textContent = 'Este navegador no soporta notificaciones.';
+    } else if (Notification.permission === 'denied') {
+        note.textContent = 'Las notificaciones están bloqueadas en la configuración del navegador.';
+    } else {
+        note.textContent = '';
+    }
+};
+
+/**
+ * Abre el modal de avisos
+ */
+export const openMatchAlertSettings = async () => {
+    if (!alertPrefs) await loadFollowedMatches();
+    renderAlertSettings();
+    document.getElementById('match-alerts-modal').classList.remove('hidden');
+};
+
+/**
+ * Cierra el modal de avisos
+ */
+export const closeMatchAlertSettings = () => {
+    document.getElementById('match-alerts-modal').classList.add('hidden');
+};
+
+/**
+ * Muestra un aviso en la app y, si corresponde, una notificación del navegador
+ * @param {Object} match - Partido de la API
+ * @param {string} title - Ej: "¡GOL de Boca!"
+ * @param {string} body - Ej: "Boca 1 - 0 River (23')"
+ */
+const raiseAlert = (match, title, body) => {
+    const id = match.fixture.id;
+    const open = () => navigate(`/partido/${id}`);
+
+    showToast(`
+        <img src="${match.league.logo}" class="w-6 h-6 object-contain shrink-0">
+        <div class="flex flex-col min-w-0">
+            <span class="font-bold uppercase text-xs tracking-wide">${title}</span>
+            <span class="text-gray-300 text-xs truncate">${body}</span>
+        </div>
+    `, { onClick: open });
+
+    if (!alertPrefs.browser || !('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        const notification = new Notification(title, { body, icon: match.league.logo, tag: `match-${id}-${title}` });
+        notification.onclick = () => {
+            window.focus();
+            open();
+        };
+    } catch (e) {
+        // Algunos navegadores móviles solo permiten notificaciones desde un service worker
+        console.warn('No se pudo mostrar la notificación:', e);
+    }
+};
+
+/**
+ * Marcador actual para los textos de los avisos
+ * @param {Object} m - Partido de la API
+ */
+const scoreLine = (m) =>
+    `${m.teams.home.name} ${m.goals.home ?? 0} - ${m.goals.away ?? 0} ${m.teams.away.name}`;
+
+/**
+ * Minuto de un evento (ej: "45+2'")
+ */
+const eventMinute = (e) => `${e.time.elapsed}${e.time.extra ? `+${e.time.extra}` : ''}'`;
+
+/**
+ * Quién hizo el evento (algunos eventos llegan sin nombre de jugador)
+ */
+const eventPlayer = (e) => e.player?.name || e.team.name;
+
+/**
+ * Avisos de un partido seguido que cambió
+ * @param {Object} change - { match, changed, previous } publicado por el módulo de vivo
+ */
+const handleFollowedChange = ({ match, changed, previous }) => {
+    // Sin estado previo no hay con qué comparar (primera vez que se ve el partido)
+    if (!previous) return;
+
+    // Eventos nuevos = los que no estaban en la foto anterior (sin eventos previos conocidos
+    // no se avisa ninguno: serían todos los del partido)
+    const known = previous.events ? new Set(previous.events) : null;
+    const newEvents = changed.includes('events') && known
+        ? (match.events || []).filter(e => !known.has(eventKey(e)))
+        : [];
+    const goals = newEvents.filter(e => e.type === 'Goal' && e.detail !== 'Missed Penalty' && e.comments !== 'Penalty Shootout');
+    const redCards = newEvents.filter(e => e.type === 'Card' && e.detail === 'Red Card');
+
+    if (alertPrefs.goals) {
+        goals.forEach(e => {
+            const own = e.detail === 'Own Goal' ? ' (en contra)' : '';
+            raiseAlert(match, `¡GOL de ${e.team.name}!`, `${eventPlayer(e)}${own} ${eventMinute(e)} · ${scoreLine(match)}`);
+        });
+        // El marcador subió pero el evento todavía no llegó: avisar igual (si bajó fue un gol anulado)
+        const [prevHome, prevAway] = previous.goals.split('-').map(n => parseInt(n) || 0);
+        const scoreWentUp = (match.goals.home ?? 0) + (match.goals.away ?? 0) > prevHome + prevAway;
+        if (goals.length === 0 && scoreWentUp) {
+            raiseAlert(match, '¡GOL!', scoreLine(match));
+        }
+    }
+
+    if (alertPrefs.redCards) {
+        redCards.forEach(e => {
+            raiseAlert(match, `Roja para ${e.team.name}`, `${eventPlayer(e)} ${eventMinute(e)} · ${scoreLine(match)}`);
+        });
+    }
+
+    if (changed.includes('status')) {
+        const status = match.fixture.status.short;
+        if (status === 'HT' && alertPrefs.halfTime) {
+            raiseAlert(match, 'Entretiempo', scoreLine(match));
+        } else if (FINISHED_STATUSES.includes(status) && alertPrefs.fullTime) {
+            raiseAlert(match, 'Final del partido', scoreLine(match));
+        }
+    }
+};
+
+/**
+ * Procesa los cambios en vivo quedándose con los partidos seguidos
+ * @param {Object} payload - { changes } publicado por el módulo de vivo
+ */
+const handleLiveChanges = ({ changes }) => {
+    changes
+        .filter(c => isFollowedMatch(c.fixtureId))
+        .forEach(handleFollowedChange);
+};
+
+/**
+ * Escucha el vivo solo mientras haya partidos seguidos
+ */
+const syncLiveSubscription = () => {
+    const hasFollowed = (followedMatches || []).length > 0;
+    if (hasFollowed && !unsubscribeLive) {
+        unsubscribeLive = subscribeLive(handleLiveChanges);
+    } else if (!hasFollowed && unsubscribeLive) {
+        unsubscribeLive();
+        unsubscribeLive = null;
+    }
+};
+
+// Al cambiar de usuario hay que volver a cargar sus partidos seguidos
+onPreferencesChange((key) => {
+    if (key !== null) return;
+    followedMatches = null;
+    alertPrefs = null;
+    loadFollowedMatches();
+});
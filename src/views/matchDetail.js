@@ -4,20 +4,66 @@
  * Propósito: Vista detallada de partido con tabs (timeline, lineups, stats, forum)
  * 
  * Exports:
- * - openDetail(params): Abre detalle de un partido desde router
- * - openMatchDetailWithTab(params): Abre con tab específico
- * - closeDetail(): Cierra vista de detalle
- * - switchTab(btn, targetId): Cambia entre tabs
+ * - openDetail(params): Abre detalle de un partido desde router (tab por path, ?tab= o #hash)
+ * - closeDetail(): Cierra vista de detalle (vuelve a la vista anterior)
+ * - leaveDetail(): Libera listeners del detalle al salir de la ruta
+ * - switchTab(btn, targetId): Cambia entre tabs (y actualiza la URL para compartirla)
  */
 
 import { fetchAPI } from '../core/api.js';
+import { wasServerRendered } from '../core/ssr.js';
+import { navigate, goBack, replacePath, updateQuery } from '../core/router.js';
+import { LIVE_STATUSES, subscribeLive, trackFixtures, applyLiveUpdate } from '../core/live.js';
 import { getMatches, updateMatchEvents } from './matches.js';
-import { initForum } from './forum.js';
+import { initForum, stopForum } from './forum.js';
+import { loadFollowedMatches, isFollowedMatch, followButtonIcon } from './matchAlerts.js';
+import { getRatingColors } from './ratings.js';
 
 // State
 let selectedMatch = null;
+let unsubscribeLiveDetail = null;
+
+// Tab → segmento de la URL (/partido/123/estadisticas). Cronología es el default (sin segmento).
+const TAB_SLUGS = {
+    timeline: 'cronologia',
+    lineups: 'alineaciones',
+    stats: 'estadisticas',
+    h2h: 'h2h',
+    forum: 'foro'
+};
+
+/**
+ * Resuelve el tab pedido en la URL: acepta el segmento en castellano ('estadisticas'),
+ * el nombre interno ('stats') o el id del contenedor ('tab-stats')
+ * @param {string} value
+ * @returns {string|null} Nombre interno del tab o null si no existe
+ */
+const resolveTab = (value) => {
+    if (!value) return null;
+    const key = String(value).toLowerCase().replace(/^tab-/, '');
+    if (TAB_SLUGS[key]) return key;
+    return Object.keys(TAB_SLUGS).find(k => TAB_SLUGS[k] === key) || null;
+};
+
+/**
+ * Path compartible de un partido en un tab
+ * @param {number|string} fixtureId
+ * @param {string} tab - Nombre interno del tab
+ * @returns {string}
+ */
+const detailPath = (fixtureId, tab) =>
+    tab && tab !== 'timeline' ? `/partido/${fixtureId}/${TAB_SLUGS[tab]}` : `/partido/${fixtureId}`;
 
 
+/**
+ * Nombre de un jugador que lleva a su ficha (/jugador/:id)
+ * @param {Object} player - { id, name } de un evento
+ * @param {string} className - Clases del texto
+ */
+const playerLink = (player, className) => player && player.id
+    ? `<span class="${className} cursor-pointer hover:underline" onclick="app.navigate('/jugador/${player.id}'); event.stopPropagation();">${player.name}</span>`
+    : `<span class="${className}">${player?.name || ''}</span>`;
+
 /**
  * Renderiza el timeline de eventos
  */
@@ -54,8 +100,8 @@ const renderTimeline = (m) => {
         if (e.type === 'subst') {
             content = `
                 <div class="flex flex-col gap-0.5">
-                    <span class="text-xs font-bold text-green-400 uppercase">Entra: ${e.assist.name}</span>
-                    <span class="text-[10px] font-bold text-red-400 uppercase opacity-70">Sale: ${e.player.name}</span>
+                    <span class="text-xs font-bold text-green-400 uppercase">Entra: ${playerLink(e.assist, '')}</span>
+                    <span class="text-[10px] font-bold text-red-400 uppercase opacity-70">Sale: ${playerLink(e.player, '')}</span>
                 </div>
             `;
         } else {
@@ -78,7 +124,7 @@ const renderTimeline = (m) => {
             }
 
             content = `
-                <span class="text-sm font-bold text-white">${e.player.name}</span>
+                ${playerLink(e.player, 'text-sm font-bold text-white')}
                 <span class="text-[9px] px-2 py-1 uppercase font-bold tracking-wider ${eventClass} flex items-center h-6 rounded">${eventLabel}</span>
             `;
         }
@@ -201,13 +247,13 @@ const renderTimeline = (m) => {
                 <div class="absolute left-1/2 -translate-x-1/2 text-xs font-mono font-bold text-gray-600">${scoreDisplay}</div>
                 
                 <div class="w-1/2 flex items-center gap-3 ${isHome ? 'justify-end pr-8' : 'hidden'}">
-                    <span class="text-sm font-bold text-white text-right">${e.player.name}</span>
+                    ${playerLink(e.player, 'text-sm font-bold text-white text-right')}
                     ${icon}
                 </div>
                 
                 <div class="w-1/2 flex items-center gap-3 ${!isHome ? 'justify-start pl-8' : 'hidden'} ml-auto">
                      ${icon}
-                    <span class="text-sm font-bold text-white text-left">${e.player.name}</span>
+                    ${playerLink(e.player, 'text-sm font-bold text-white text-left')}
                 </div>
             </div>
            `;
@@ -252,18 +298,6 @@ const renderTimeline = (m) => {
     c.innerHTML = html;
 };
 
-/**
- * Obtiene el color del borde del rating según la calificación
- * @param {number} rating - Calificación del jugador
- * @returns {object} { bg, text, border } - Colores CSS
- */
-const getRatingColors = (rating) => {
-    if (rating >= 8.0) return { bg: '#87CEEB', text: '#000', border: '#87CEEB' }; // Celeste
-    if (rating >= 7.0) return { bg: '#4CAF50', text: '#fff', border: '#4CAF50' }; // Verde
-    if (rating >= 6.0) return { bg: '#FF9800', text: '#000', border: '#FF9800' }; // Naranja
-    return { bg: '#F44336', text: '#fff', border: '#F44336' }; // Rojo
-};
-
 /**
  * Shows a detailed player modal with match stats
  */
@@ -358,6 +392,10 @@ const showPlayerModal = (player) => {
             <!-- Stats -->
             <div class="px-4 pb-5">
                 ${statsGrid}
+                <button onclick="document.getElementById('player-modal').classList.add('hidden'); app.navigate('/jugador/${player.id}')"
+                    class="w-full mt-4 py-2.5 border border-[#333] rounded-lg text-xs font-bold text-gray-300 uppercase tracking-widest hover:bg-[#111] hover:text-white transition-colors">
+                    Ver ficha completa
+                </button>
             </div>
         </div>
     `;
@@ -898,152 +936,28 @@ const renderHeadToHead = async (m) => {
 };
 
 /**
- * Abre el detalle de un partido desde el router
- * @param {Object|number} params - { id, tab } desde URL o ID directo
+ * Actualiza el detalle abierto con los cambios en vivo (marcador, estado y timeline)
+ * @param {Object} payload - { changes } publicado por el módulo de vivo
  */
-export const openDetail = async (params) => {
-    let id, initialTab;
-
-    // Manejar tanto params object como ID directo
-    if (typeof params === 'object' && params !== null) {
-        id = params.id;
-        initialTab = params.tab || 'timeline';
-    } else {
-        id = params;
-        initialTab = 'timeline';
-    }
-
-    const matches = getMatches();
-
-    let m = matches.find(x => String(x.fixture.id) === String(id));
-
-    // Si no está en el state local (ej: partido de otra fecha desde el calendario de standings),
-    // buscarlo directamente en la API
-    if (!m) {
-        try {
-            const data = await fetchAPI(`/fixtures?id=${id}`, true);
-            if (data.response && data.response.length > 0) {
-                m = data.response[0];
-            }
-        } catch (e) {
-            console.error('Error fetching match:', e);
-        }
-    }
-
-    if (!m) {
-        console.warn('Match not found:', id);
-        alert('Partido no encontrado. Intenta recargar la página.');
-        return;
-    }
-
-    selectedMatch = m;
-
+const handleDetailLiveChanges = ({ changes }) => {
     const detailView = document.getElementById('view-match-detail');
+    if (!selectedMatch || !detailView || detailView.classList.contains('hidden')) return;
 
-    // Resetear scroll del modal completamente antes de mostrarlo
-    detailView.scrollTo(0, 0);
-
-    // Mostrar el modal
-    detailView.classList.remove('hidden');
-
-    // Ocultar otras vistas para que no se solapen en Desktop
-    document.getElementById('view-match-list').classList.add('hidden');
-    document.getElementById('view-standings').classList.add('hidden');
-    document.getElementById('view-forum').classList.add('hidden');
-    const viewTeam = document.getElementById('view-team');
-    if (viewTeam) viewTeam.classList.add('hidden');
-    const viewLineup = document.getElementById('view-lineup-builder');
-    if (viewLineup) viewLineup.classList.add('hidden');
-
-    // Ocultar sidebar derecha (comunidad) para dar más espacio al detalle
-    const rightSidebar = document.getElementById('right-sidebar');
-    if (rightSidebar) {
-        rightSidebar.style.display = 'none';
-    }
-
-    // Ocultar fecha en mobile (en desktop ya está en sidebar/header o no molesta)
-    const dateNav = document.getElementById('date-nav');
-    if (dateNav) {
-        if (window.innerWidth < 1024) {
-            dateNav.style.display = 'none';
-        } else {
-            // En desktop ocultamos el date-nav porque el detalle ocupa su lugar
-            dateNav.classList.add('hidden');
-        }
-    }
-
-    // Ocultar header principal SOLO en móvil
-    const header = document.querySelector('header');
-    if (header && window.innerWidth < 1024) {
-        header.style.display = 'none';
-    }
-
-    // Ocultar bottom nav en móvil
-    const bottomNav = document.querySelector('nav.fixed.bottom-0');
-    if (bottomNav) {
-        bottomNav.style.display = 'none';
-    }
-
-    // Prevenir scroll del fondo SOLO en móvil
-    if (window.innerWidth < 1024) {
-        document.body.style.overflow = 'hidden';
-    }
-
-    // Asegurar que el modal inicia desde arriba
-    detailView.scrollTop = 0;
-
-    document.getElementById('detail-content-wrapper').classList.add('hidden');
-    document.getElementById('detail-loader').classList.remove('hidden');
-
-    document.getElementById('detail-home-logo').src = m.teams.home.logo;
-    document.getElementById('detail-away-logo').src = m.teams.away.logo;
-    const homeScore = m.goals.home ?? 0;
-    const awayScore = m.goals.away ?? 0;
-
-    // Check for penalties logic
-    const hasPenalties = m.score && m.score.penalty && (m.score.penalty.home !== null || m.score.penalty.away !== null);
+    const change = changes.find(c => c.fixtureId === selectedMatch.fixture.id);
+    if (!change) return;
 
-    // Populate Match Info Header (League, Ref, Stadium)
-    const infoContainer = document.getElementById('detail-match-info');
-    if (infoContainer) {
-        const leagueName = m.league.name;
-        const leagueLogo = m.league.logo;
-        const leagueRound = m.league.round; // e.g., "Regular Season - 1"
-        const referee = m.fixture.referee || 'Árbitro no asignado';
-        const venueName = m.fixture.venue.name || 'Estadio desconocido';
-        const venueCity = m.fixture.venue.city || '';
-
-        // Custom Whistle Icon
-        const whistleIcon = 'https://i.postimg.cc/LsXj3CWR/silbato.png';
-
-        // Stadium Icon from Profile
-        const stadiumIcon = 'https://i.postimg.cc/mrVjjgxJ/4905563-2.png';
-
-        infoContainer.innerHTML = `
-            <div class="flex items-center gap-6 text-xs text-gray-400 font-medium">
-                <div class="flex items-center gap-2">
-                    <img src="${leagueLogo}" class="w-4 h-4 object-contain opacity-80">
-                    <span class="uppercase tracking-wider hover:text-white transition-colors cursor-default">${leagueName} - ${leagueRound}</span>
-                </div>
-                
-                <div class="w-[1px] h-3 bg-[#333]"></div>
-
-                <div class="flex items-center gap-2">
-                    <img src="${whistleIcon}" class="h-3 w-auto object-contain opacity-60">
-                    <span>${referee}</span>
-                </div>
-
-                <div class="w-[1px] h-3 bg-[#333]"></div>
-
-                <div class="flex items-center gap-2">
-                    <img src="${stadiumIcon}" class="h-3 w-auto object-contain opacity-50">
-                    <span>${venueName}${venueCity ? `, ${venueCity}` : ''}</span>
-                </div>
-            </div>
-        `;
-    }
+    applyLiveUpdate(selectedMatch, change.match);
+    renderScoreboard(selectedMatch);
+    if (change.changed.includes('status')) renderFollowActions(selectedMatch);
+    if (change.changed.includes('events')) renderTimeline(selectedMatch);
+};
 
-    // Headers
+/**
+ * Renderiza el marcador del detalle (equipos, tarjetas rojas, resultado, estado y goleadores)
+ * Se usa al abrir el partido y en cada actualización en vivo.
+ * @param {Object} m - Partido
+ */
+const renderScoreboard = (m) => {
     // Red cards
     let homeRedCardsHTML = '';
     let awayRedCardsHTML = '';
@@ -1155,14 +1069,154 @@ export const openDetail = async (params) => {
             const container = isHome ? hList : aList;
             if (container) {
                 const min = g.time.elapsed + (g.time.extra ? `+${g.time.extra}` : '');
-                const player = g.player.name;
                 const div = document.createElement('div');
                 // Style for scorers: simplified
-                div.innerHTML = `${player} (${min}')`;
+                div.innerHTML = `${playerLink(g.player, '')} (${min}')`;
                 container.appendChild(div);
             }
         });
     }
+};
+
+/**
+ * Botones de seguir el partido y de configuración de avisos (arriba del marcador)
+ * Solo para partidos que todavía no terminaron.
+ */
+const renderFollowActions = async (m) => {
+    const container = document.getElementById('detail-follow-actions');
+    if (!container) return;
+    const status = m.fixture.status.short;
+    if (!['NS', 'TBD', ...LIVE_STATUSES].includes(status)) {
+        container.innerHTML = '';
+        return;
+    }
+
+    await loadFollowedMatches();
+    const isFollowed = isFollowedMatch(m.fixture.id);
+    container.innerHTML = `
+        <button onclick="app.openMatchAlertSettings()" class="p-2 rounded-full border border-[#333] hover:border-gray-500 transition-colors" title="Avisos">
+            <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                <path stroke-linecap="round" stroke-linejoin="round" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path stroke-linecap="round" stroke-linejoin="round" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+            </svg>
+        </button>
+        <button data-follow-match="${m.fixture.id}" data-icon-size="w-5 h-5" onclick="app.toggleFollowMatch(${m.fixture.id}, ${m.fixture.timestamp * 1000})" class="p-2 rounded-full border border-[#333] hover:border-yellow-500 transition-colors" title="${isFollowed ? 'Dejar de seguir' : 'Seguir partido'}">
+            ${followButtonIcon(isFollowed, 'w-5 h-5')}
+        </button>
+    `;
+};
+
+/**
+ * Abre el detalle de un partido desde el router
+ * @param {Object|number} params - { id, tab } desde URL o ID directo
+ */
+export const openDetail = async (params) => {
+    let id, initialTab;
+
+    // Manejar tanto params object como ID directo
+    if (typeof params === 'object' && params !== null) {
+        id = params.id;
+        initialTab = resolveTab(params.tab) || resolveTab(params.query?.tab) || resolveTab(params.hash) || 'timeline';
+    } else {
+        id = params;
+        initialTab = 'timeline';
+    }
+
+    // Dejar la URL en su forma canónica (/partido/123/estadisticas, sin ?tab= ni segmentos inválidos)
+    if (typeof params === 'object' && params !== null && (params.tab || params.query?.tab)) {
+        replacePath(detailPath(id, initialTab));
+        updateQuery({ tab: null });
+    }
+
+    const matches = getMatches();
+
+    let m = matches.find(x => String(x.fixture.id) === String(id));
+
+    // Si no está en el state local (ej: partido de otra fecha desde el calendario de standings),
+    // buscarlo directamente en la API
+    if (!m) {
+        try {
+            // Recién renderizado por el servidor: usar esa respuesta en vez de forzar la red
+            const endpoint = `/fixtures?id=${id}`;
+            const data = await fetchAPI(endpoint, !wasServerRendered(endpoint));
+            if (data.response && data.response.length > 0) {
+                m = data.response[0];
+            }
+        } catch (e) {
+            console.error('Error fetching match:', e);
+        }
+    }
+
+    if (!m) {
+        console.warn('Match not found:', id);
+        alert('Partido no encontrado. Intenta recargar la página.');
+        navigate('/', true);
+        return;
+    }
+
+    selectedMatch = m;
+
+    // Marcador en vivo mientras el detalle esté abierto
+    trackFixtures([m]);
+    if (!unsubscribeLiveDetail) unsubscribeLiveDetail = subscribeLive(handleDetailLiveChanges);
+
+    document.getElementById('detail-content-wrapper').classList.add('hidden');
+    document.getElementById('detail-loader').classList.remove('hidden');
+
+    document.getElementById('detail-home-logo').src = m.teams.home.logo;
+    document.getElementById('detail-away-logo').src = m.teams.away.logo;
+    const homeScore = m.goals.home ?? 0;
+    const awayScore = m.goals.away ?? 0;
+
+    // Check for penalties logic
+    const hasPenalties = m.score && m.score.penalty && (m.score.penalty.home !== null || m.score.penalty.away !== null);
+
+    // Populate Match Info Header (League, Ref, Stadium)
+    const infoContainer = document.getElementById('detail-match-info');
+    if (infoContainer) {
+        const leagueName = m.league.name;
+        const leagueLogo = m.league.logo;
+        const leagueRound = m.league.round; // e.g., "Regular Season - 1"
+        const referee = m.fixture.referee || 'Árbitro no asignado';
+        const venueName = m.fixture.venue.name || 'Estadio desconocido';
+        const venueCity = m.fixture.venue.city || '';
+
+        // Custom Whistle Icon
+        const whistleIcon = 'https://i.postimg.cc/LsXj3CWR/silbato.png';
+
+        // Stadium Icon from Profile
+        const stadiumIcon = 'https://i.postimg.cc/mrVjjgxJ/4905563-2.png';
+
+        infoContainer.innerHTML = `
+            <div class="flex items-center gap-6 text-xs text-gray-400 font-medium">
+                <div class="flex items-center gap-2">
+                    <img src="${leagueLogo}" class="w-4 h-4 object-contain opacity-80">
+                    <span class="uppercase tracking-wider hover:text-white transition-colors cursor-default">${leagueName} - ${leagueRound}</span>
+                </div>
+                
+                <div class="w-[1px] h-3 bg-[#333]"></div>
+
+                <div class="flex items-center gap-2">
+                    <img src="${whistleIcon}" class="h-3 w-auto object-contain opacity-60">
+                    <span>${referee}</span>
+                </div>
+
+                <div class="w-[1px] h-3 bg-[#333]"></div>
+
+                <div class="flex items-center gap-2">
+                    <img src="${stadiumIcon}" class="h-3 w-auto object-contain opacity-50">
+                    <span>${venueName}${venueCity ? `, ${venueCity}` : ''}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderScoreboard(m);
+    renderFollowActions(m);
+
+    const isFin = ['FT', 'AET', 'PEN', 'AWD', 'WO'].includes(m.fixture.status.short);
+    const hList = document.getElementById('detail-home-scorers-list');
+    const aList = document.getElementById('detail-away-scorers-list');
 
     try {
         const hasFullData = m.events && m.lineups && m.statistics;
@@ -1237,11 +1291,6 @@ export const openDetail = async (params) => {
     document.getElementById('detail-loader').classList.add('hidden');
     document.getElementById('detail-content-wrapper').classList.remove('hidden');
 
-    // Asegurar que después de cargar, el scroll está arriba
-    setTimeout(() => {
-        detailView.scrollTo(0, 0);
-    }, 100);
-
     // Determinar si el partido ha comenzado (para tabs)
     const tabNotStarted = ['NS', 'TBD', 'PST', 'CANC', 'ABD'].includes(m.fixture.status.short);
 
@@ -1261,12 +1310,12 @@ export const openDetail = async (params) => {
 
         // Forzar ir al tab de foro si el partido no ha comenzado (por defecto, pero usuario puede cambiar a H2H)
         if (forumTab && initialTab === 'timeline') {
-            forumTab.click();
+            switchTab(forumTab, 'tab-forum', { syncUrl: false });
         } else if (initialTab !== 'timeline') {
             // Si el usuario pidió un tab específico (ej: h2h), intentamos ir ahí
-            const tabId = initialTab.startsWith('tab-') ? initialTab : `tab-${initialTab}`;
+            const tabId = `tab-${initialTab}`;
             const btn = document.querySelector(`.tab-btn[data-target="${tabId}"]`);
-            if (btn) btn.click();
+            if (btn) switchTab(btn, tabId, { syncUrl: false });
         }
     } else {
         // Partido iniciado o finalizado: mostrar todos los tabs
@@ -1276,65 +1325,41 @@ export const openDetail = async (params) => {
         if (h2hTab) h2hTab.style.display = '';
 
         // Switch to requested tab
-        const tabId = initialTab.startsWith('tab-') ? initialTab : `tab-${initialTab}`;
+        const tabId = `tab-${initialTab}`;
         const btn = document.querySelector(`.tab-btn[data-target="${tabId}"]`);
         if (btn) {
-            btn.click();
+            switchTab(btn, tabId, { syncUrl: false });
         }
     }
 };
 
 /**
- * Wrapper para compatibilidad - abre detalle con tab específico
+ * Cierra la vista de detalle (botón volver): vuelve a la vista anterior o al listado
  */
-export const openMatchDetailWithTab = (params) => {
-    openDetail(params);
+export const closeDetail = () => {
+    goBack('/');
 };
 
 /**
-* Cierra la vista de detalle
-*/
-export const closeDetail = () => {
-    const detailView = document.getElementById('view-match-detail');
-    detailView.classList.add('hidden');
-
-    // Restaurar scroll del body
-    document.body.style.overflow = '';
-
-    // Restaurar elementos ocultos al abrir el detalle
-    const dateNav = document.getElementById('date-nav');
-    if (dateNav) {
-        dateNav.style.display = '';
-        dateNav.classList.remove('hidden');
-    }
-
-    // Restaurar header principal
-    const header = document.querySelector('header');
-    if (header) {
-        header.style.display = '';
-    }
-
-    // Restaurar bottom nav
-    const bottomNav = document.querySelector('nav.fixed.bottom-0');
-    if (bottomNav) {
-        bottomNav.style.display = '';
-    }
-
-    // Restaurar sidebar derecha (comunidad)
-    const rightSidebar = document.getElementById('right-sidebar');
-    if (rightSidebar) {
-        rightSidebar.style.display = '';
-    }
-
-    // Navegar de vuelta a matches
-    if (window.app && window.app.navigate) {
-        window.app.navigate('/');
+ * Salida de la ruta del detalle: deja de escuchar el vivo y el foro del partido
+ */
+export const leaveDetail = () => {
+    if (unsubscribeLiveDetail) {
+        unsubscribeLiveDetail();
+        unsubscribeLiveDetail = null;
     }
+    stopForum();
 };
 
 export const getSelectedMatch = () => selectedMatch;
 
-export const switchTab = (btn, targetId) => {
+/**
+ * Cambia entre tabs del detalle
+ * @param {HTMLElement} btn - Botón del tab
+ * @param {string} targetId - Contenedor a mostrar (ej: 'tab-stats')
+ * @param {Object} options - { syncUrl: false para no tocar la URL (aperturas desde el router) }
+ */
+export const switchTab = (btn, targetId, { syncUrl = true } = {}) => {
     // Update button states
     document.querySelectorAll('.tab-btn').forEach(b => {
         b.classList.remove('text-white', 'border-b-2', 'border-white');
@@ -1364,4 +1389,9 @@ export const switchTab = (btn, targetId) => {
     if (targetId === 'tab-h2h' && selectedMatch) {
         renderHeadToHead(selectedMatch);
     }
+
+    // Cambio hecho por el usuario: la URL apunta al tab para poder compartirlo
+    if (syncUrl && selectedMatch) {
+        replacePath(detailPath(selectedMatch.fixture.id, resolveTab(targetId)));
+    }
 };
@@ -12,20 +12,50 @@
  * - resetDate(): Volver a hoy
  * - renderCalendar(): Renderiza calendario
  * - toggleLiveFilter(): Toggle filtro en vivo
+ * - toggleFavoritesFilter(): Toggle filtro "mis equipos"
+ * - toggleAllLeagues(): Alterna entre "mis ligas" y "ver todas las ligas"
+ * - toggleFollowCompetition(leagueId): Sigue / deja de seguir una liga
+ * - moveFollowedCompetition(leagueId, direction): Reordena las ligas seguidas
+ * - resetFollowedCompetitions(): Vuelve a las ligas por defecto
+ * - openCompetitionPicker() / closeCompetitionPicker(): Panel para elegir ligas
+ * - resumeMatches() / pauseMatches(): Arranca / frena los timers del listado (ruta /)
+ * - applyListRoute(params): Aplica fecha y filtro en vivo de la URL (/fecha/2026-10-18?envivo=1)
+ * - listPath(date): Path del listado para un día ('/' hoy, '/fecha/YYYY-MM-DD' otro día)
  */
 
-import { fetchAPI } from '../core/api.js';
+import { fetchAPI, fetchAPIWithMeta, subscribeAPI } from '../core/api.js';
+import { getQueryParams, updateQuery, replacePath, createSlug } from '../core/router.js';
+import { formatUpdatedAgo } from '../core/dom.js';
+import { LIVE_STATUSES, subscribeLive, trackFixtures, applyLiveUpdate } from '../core/live.js';
+import { renderApiError } from './errorState.js';
+import { getPreference, setPreference, onPreferencesChange } from '../core/preferences.js';
+import { loadFavoriteTeams, getFavoriteTeamIds } from '../core/favorites.js';
+import { loadFollowedMatches, isFollowedMatch, followButtonIcon } from './matchAlerts.js';
+import { COMPETITIONS, getCompetition, getMatchListIds, getPriority } from '../data/competitions.js';
 import { db, collection, where, query, getCountFromServer, doc, getDoc, setDoc } from '../core/firebase.js';
 
 // State
 const state = {
     date: new Date(),
     matches: [],
+    allMatches: [], // Todo lo que devolvió la API para el día (sin filtrar)
+    followedLeagues: null, // Ligas elegidas por el usuario [{ id, name, logo }] (null = las por defecto)
+    showAllLeagues: false, // Modo "ver todas las ligas"
     liveOnly: false,
+    favoritesOnly: false, // Filtro "mis equipos"
     isViewingToday: true,
-    leagueOrder: [] // Custom league display order (array of league IDs)
+    leagueOrder: [], // Custom league display order (array of league IDs)
+    updatedAt: null // Timestamp del dato mostrado (para "actualizado hace X min")
 };
 
+// Suscripción stale-while-revalidate al endpoint del día mostrado
+let matchesEndpoint = null;
+let unsubscribeMatches = null;
+let loadingEndpoint = null;
+
+// Timers que solo corren con el listado a la vista (cambio de día, "actualizado hace")
+let listTimers = [];
+
 // Helpers
 const formatDate = (d) => {
     const year = d.getFullYear();
@@ -34,14 +64,115 @@ const formatDate = (d) => {
     return `${year}-${month}-${day}`;
 };
 
+/**
+ * Lee una fecha YYYY-MM-DD de la URL
+ * @param {string} value
+ * @returns {Date|null}
+ */
+const parseUrlDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const d = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    return formatDate(d) === value ? d : null; // Descarta fechas imposibles (ej: 2026-02-31)
+};
+
+/**
+ * Si la URL actual es la del listado ('/' o '/fecha/YYYY-MM-DD')
+ * @returns {boolean}
+ */
+const isListPath = () => {
+    const path = window.location.pathname;
+    return path === '/' || path.startsWith('/fecha/');
+};
+
+/**
+ * Path del listado para un día (hoy = '/' a secas)
+ * @param {Date} date
+ * @returns {string} - Ej: '/fecha/2026-10-18'
+ */
+export const listPath = (date) => {
+    const isToday = formatDate(date) === formatDate(new Date());
+    return isToday ? '/' : `/fecha/${formatDate(date)}`;
+};
+
+/**
+ * Endpoint de los partidos de un día
+ * @param {Date} date
+ * @returns {string}
+ */
+const dayEndpoint = (date) => `/fixtures?date=${formatDate(date)}&timezone=America/Argentina/Buenos_Aires`;
+
+/**
+ * Refleja la fecha y el filtro en vivo en la URL del listado para poder compartirla
+ * (/fecha/2026-10-18?envivo=1; hoy y sin filtro = '/' a secas)
+ */
+const syncListUrl = () => {
+    if (!isListPath()) return;
+    replacePath(listPath(state.date));
+    updateQuery({
+        fecha: null, // Formato viejo (/?fecha=): pasa a ser parte del path
+        envivo: state.liveOnly ? '1' : null
+    });
+};
+
+/**
+ * Aplica la fecha y el filtro en vivo pedidos en la URL (único lugar que los toma de ahí)
+ * Sin fecha se muestra hoy. También acepta el formato viejo /?fecha=YYYY-MM-DD.
+ * Una fecha inválida en el path (/fecha/cualquiera) vuelve a '/'.
+ * @param {Object} params - { date: 'YYYY-MM-DD', query: { fecha, envivo } }
+ */
+export const applyListRoute = ({ date: pathDate, query = {} } = {}) => {
+    const fromPath = parseUrlDate(pathDate);
+    if (pathDate && !fromPath) {
+        console.warn('Fecha inválida en la URL, mostrando hoy:', pathDate);
+        replacePath('/');
+    }
+
+    const date = fromPath || parseUrlDate(query.fecha) || new Date();
+    if (formatDate(date) !== formatDate(state.date)) {
+        state.date = date;
+        state.isViewingToday = formatDate(date) === formatDate(new Date());
+        renderCalendar();
+        loadMatches();
+    }
+
+    const liveOnly = query.envivo === '1';
+    const toggle = document.getElementById('live-toggle');
+    if (toggle) toggle.checked = liveOnly;
+    if (liveOnly !== state.liveOnly) {
+        state.liveOnly = liveOnly;
+        renderMatches();
+    }
+
+    syncListUrl();
+};
+
+/**
+ * Precarga en segundo plano los días anterior y siguiente al que se está mirando
+ * (la tira del calendario y las flechas los muestran al instante desde la caché)
+ */
+const prefetchAdjacentDays = () => {
+    if (!navigator.onLine) return;
+    [-1, 1].forEach(offset => {
+        const d = new Date(state.date);
+        d.setDate(d.getDate() + offset);
+        fetchAPI(dayEndpoint(d), false, { retry: 'background' })
+            .catch(e => console.warn('No se pudo precargar', formatDate(d), e));
+    });
+};
+
 const getDayName = (d) => d.toLocaleDateString('es-AR', { weekday: 'short' }).toUpperCase().replace('.', '');
 
+// Orden de ligas ya leído de Firebase en esta sesión (fecha YYYY-MM-DD → IDs)
+const leagueOrderByDate = new Map();
+
 /**
  * Guarda el orden de ligas en Firebase (por fecha)
  */
 const saveLeagueOrder = async () => {
     try {
         const dateKey = formatDate(state.date);
+        leagueOrderByDate.set(dateKey, [...state.leagueOrder]);
         const docRef = doc(db, 'settings', `leagueOrder_${dateKey}`);
         await setDoc(docRef, { order: state.leagueOrder, updatedAt: new Date().toISOString() });
     } catch (e) {
@@ -50,11 +181,15 @@ const saveLeagueOrder = async () => {
 };
 
 /**
- * Carga el orden de ligas desde Firebase (por fecha)
+ * Carga el orden de ligas desde Firebase (por fecha, una vez por sesión)
  */
 const loadLeagueOrder = async () => {
+    const dateKey = formatDate(state.date);
+    if (leagueOrderByDate.has(dateKey)) {
+        state.leagueOrder = [...leagueOrderByDate.get(dateKey)];
+        return;
+    }
     try {
-        const dateKey = formatDate(state.date);
         const docRef = doc(db, 'settings', `leagueOrder_${dateKey}`);
         const snap = await getDoc(docRef);
         if (snap.exists() && snap.data().order) {
@@ -62,6 +197,7 @@ const loadLeagueOrder = async () => {
         } else {
             state.leagueOrder = [];
         }
+        leagueOrderByDate.set(dateKey, [...state.leagueOrder]);
     } catch (e) {
         console.error('Error loading league order:', e);
         state.leagueOrder = [];
@@ -111,6 +247,7 @@ export const renderCalendar = () => {
         div.onclick = () => {
             state.date = d;
             state.isViewingToday = d.toDateString() === new Date().toDateString();
+            syncListUrl();
             renderCalendar();
             loadMatches();
         };
@@ -125,6 +262,7 @@ export const renderCalendar = () => {
 export const changeDate = (days) => {
     state.date.setDate(state.date.getDate() + days);
     state.isViewingToday = state.date.toDateString() === new Date().toDateString();
+    syncListUrl();
     renderCalendar();
     loadMatches();
 };
@@ -135,10 +273,277 @@ export const changeDate = (days) => {
 export const resetDate = () => {
     state.date = new Date();
     state.isViewingToday = true;
+    syncListUrl();
     renderCalendar();
     loadMatches();
 };
 
+/**
+ * Logo de una liga (CDN de API-Sports)
+ * @param {number} leagueId
+ */
+const leagueLogoUrl = (leagueId) => `https://media.api-sports.io/football/leagues/${leagueId}.png`;
+
+// Preferencias del listado ya leídas (Promise; null = hay que leerlas)
+let listPreferencesReady = null;
+
+/**
+ * Lee de las preferencias las ligas y equipos que sigue el usuario
+ * Una vez por sesión: se vuelven a leer solo cuando cambian (ver onPreferencesChange).
+ */
+const loadListPreferences = () => {
+    if (!listPreferencesReady) {
+        listPreferencesReady = (async () => {
+            state.followedLeagues = await getPreference('followedCompetitions', null);
+            state.showAllLeagues = await getPreference('showAllCompetitions', false);
+            await Promise.all([loadFavoriteTeams(), loadFollowedMatches()]);
+        })();
+        listPreferencesReady.catch(() => { listPreferencesReady = null; });
+    }
+    return listPreferencesReady;
+};
+
+/**
+ * Si juega alguno de los equipos favoritos
+ * @param {Object} m - Partido
+ * @returns {boolean}
+ */
+const isFavoriteMatch = (m) => {
+    const favoriteIds = getFavoriteTeamIds();
+    return favoriteIds.includes(m.teams.home.id) || favoriteIds.includes(m.teams.away.id);
+};
+
+/**
+ * IDs de las ligas seguidas, en el orden elegido por el usuario
+ * @returns {number[]}
+ */
+const getFollowedIds = () => state.followedLeagues
+    ? state.followedLeagues.map(l => l.id)
+    : getMatchListIds();
+
+/**
+ * Filtra y ordena los partidos del día según las ligas seguidas
+ * - Con selección propia: en el orden elegido por el usuario
+ * - Sin selección: prioridad del registro de competiciones
+ * - Modo "todas": las no seguidas van al final
+ * Los partidos de equipos favoritos se incluyen siempre (van fijados arriba).
+ * @returns {Array}
+ */
+const selectVisibleMatches = () => {
+    const followedIds = getFollowedIds();
+    const rank = (leagueId) => {
+        const idx = followedIds.indexOf(leagueId);
+        if (idx === -1) return 1000 + getPriority(leagueId);
+        return state.followedLeagues ? idx : getPriority(leagueId);
+    };
+
+    const matches = state.showAllLeagues
+        ? [...state.allMatches]
+        : state.allMatches.filter(m => followedIds.includes(m.league.id) || isFavoriteMatch(m));
+
+    matches.sort((a, b) => {
+        const rankDiff = rank(a.league.id) - rank(b.league.id);
+        if (rankDiff !== 0) return rankDiff;
+        return a.fixture.timestamp - b.fixture.timestamp;
+    });
+    return matches;
+};
+
+/**
+ * Recalcula la lista visible y la renderiza (tras cambiar las ligas seguidas)
+ */
+const refreshVisibleMatches = async () => {
+    state.matches = selectVisibleMatches();
+    renderMatches();
+    // Los partidos de vuelta que recién aparecen necesitan su global
+    await loadAggregateScores(state.matches.filter(m => !m._aggregate));
+    renderMatches();
+};
+
+/**
+ * Filtra, ordena y renderiza la respuesta de fixtures del día
+ * @param {Object} result - { data, meta } de fetchAPIWithMeta
+ */
+const applyMatchesData = async ({ data, meta }) => {
+    state.allMatches = data.response || [];
+    trackFixtures(state.allMatches);
+    await loadListPreferences();
+
+    const matches = selectVisibleMatches();
+    state.matches = matches;
+    state.updatedAt = meta.fetchedAt;
+
+    // Load saved league order for this date from Firebase
+    await loadLeagueOrder();
+
+    // Fetch aggregate scores for 2nd leg matches
+    await loadAggregateScores(matches);
+
+    renderMatches();
+    loadMessageCounts();
+};
+
+/**
+ * Guarda las ligas seguidas y re-renderiza
+ * @param {Array|null} followed - [{ id, name, logo }] o null para volver a las por defecto
+ */
+const saveFollowedLeagues = async (followed) => {
+    state.followedLeagues = followed;
+    await setPreference('followedCompetitions', followed);
+    await refreshVisibleMatches();
+    renderCompetitionPicker();
+};
+
+/**
+ * Alterna entre "mis ligas" y "ver todas las ligas"
+ */
+export const toggleAllLeagues = async () => {
+    state.showAllLeagues = !state.showAllLeagues;
+    await setPreference('showAllCompetitions', state.showAllLeagues);
+    await refreshVisibleMatches();
+};
+
+/**
+ * Sigue / deja de seguir una liga
+ * @param {number} leagueId - ID de la liga
+ */
+export const toggleFollowCompetition = async (leagueId) => {
+    const current = state.followedLeagues || getMatchListIds().map(describeLeague);
+    const followed = current.some(l => l.id === leagueId)
+        ? current.filter(l => l.id !== leagueId)
+        : [...current, describeLeague(leagueId)];
+    await saveFollowedLeagues(followed);
+};
+
+/**
+ * Sube o baja una liga seguida (cambia el orden del listado)
+ * @param {number} leagueId - ID de la liga
+ * @param {number} direction - -1 (arriba) o 1 (abajo)
+ */
+export const moveFollowedCompetition = async (leagueId, direction) => {
+    const followed = [...(state.followedLeagues || getMatchListIds().map(describeLeague))];
+    const idx = followed.findIndex(l => l.id === leagueId);
+    const newIdx = idx + direction;
+    if (idx === -1 || newIdx < 0 || newIdx >= followed.length) return;
+    [followed[idx], followed[newIdx]] = [followed[newIdx], followed[idx]];
+    await saveFollowedLeagues(followed);
+};
+
+/**
+ * Vuelve a las ligas por defecto
+ */
+export const resetFollowedCompetitions = async () => {
+    await saveFollowedLeagues(null);
+};
+
+/**
+ * Nombre y logo de una liga (registro, partidos del día o lo ya guardado)
+ * @param {number} leagueId
+ * @returns {Object} { id, name, logo }
+ */
+const describeLeague = (leagueId) => {
+    const saved = (state.followedLeagues || []).find(l => l.id === leagueId);
+    if (saved) return saved;
+    const fromMatches = state.allMatches.find(m => m.league.id === leagueId);
+    if (fromMatches) return { id: leagueId, name: fromMatches.league.name, logo: fromMatches.league.logo };
+    const competition = getCompetition(leagueId);
+    return { id: leagueId, name: competition ? competition.name : `Liga ${leagueId}`, logo: leagueLogoUrl(leagueId) };
+};
+
+/**
+ * Renderiza el contenido del panel de ligas seguidas
+ */
+const renderCompetitionPicker = () => {
+    const list = document.getElementById('competition-picker-list');
+    if (!list) return;
+
+    const followed = (state.followedLeagues || getMatchListIds().map(describeLeague));
+    const followedIds = followed.map(l => l.id);
+
+    // Disponibles: las del registro + las que juegan hoy, que no se sigan
+    const available = [];
+    const seen = new Set(followedIds);
+    const addAvailable = (league) => {
+        if (seen.has(league.id)) return;
+        seen.add(league.id);
+        available.push(league);
+    };
+    state.allMatches.forEach(m => addAvailable({ id: m.league.id, name: m.league.name, logo: m.league.logo, country: m.league.country }));
+    COMPETITIONS.forEach(c => addAvailable({ id: c.id, name: c.name, logo: leagueLogoUrl(c.id), country: c.country }));
+
+    const row = (league, actions) => `
+        <div class="flex items-center gap-3 px-4 py-2.5 border-b border-[#222] hover:bg-[#161616] transition-colors">
+            <img src="${league.logo}" class="w-5 h-5 object-contain shrink-0" onerror="this.style.visibility='hidden'">
+            <div class="flex-1 min-w-0">
+                <div class="text-xs font-bold text-white truncate">${league.name}</div>
+                ${league.country ? `<div class="text-[10px] text-gray-600 truncate">${league.country}</div>` : ''}
+            </div>
+            <div class="flex items-center gap-1 shrink-0">${actions}</div>
+        </div>`;
+
+    const iconBtn = (onclick, title, path, extra = '') => `
+        <button onclick="${onclick}" class="p-1 text-gray-500 hover:text-white transition-colors ${extra}" title="${title}">
+            <svg xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="${path}" /></svg>
+        </button>`;
+
+    list.innerHTML = `
+        <div class="px-4 pt-4 pb-2 text-[10px] font-bold text-gray-500 uppercase tracking-widest">Mis ligas (${followed.length})</div>
+        ${followed.length === 0 ? '<div class="px-4 py-3 text-xs text-gray-600">No seguís ninguna liga.</div>' : ''}
+        ${followed.map((l, i) => row(l, `
+            ${i > 0 ? iconBtn(`app.moveFollowedCompetition(${l.id}, -1)`, 'Subir', 'M5 15l7-7 7 7') : ''}
+            ${i < followed.length - 1 ? iconBtn(`app.moveFollowedCompetition(${l.id}, 1)`, 'Bajar', 'M19 9l-7 7-7-7') : ''}
+            ${iconBtn(`app.toggleFollowCompetition(${l.id})`, 'Dejar de seguir', 'M6 18L18 6M6 6l12 12', 'hover:text-red-500')}
+        `)).join('')}
+        <div class="px-4 pt-6 pb-2 text-[10px] font-bold text-gray-500 uppercase tracking-widest">Otras ligas</div>
+        ${available.map(l => row(l, iconBtn(`app.toggleFollowCompetition(${l.id})`, 'Seguir', 'M12 4v16m8-8H4', 'hover:text-green-500'))).join('')}
+    `;
+};
+
+/**
+ * Abre el panel para elegir las ligas seguidas
+ */
+export const openCompetitionPicker = () => {
+    const modal = document.getElementById('competition-picker-modal');
+    if (!modal) return;
+    renderCompetitionPicker();
+    modal.classList.remove('hidden');
+};
+
+/**
+ * Cierra el panel de ligas seguidas
+ */
+export const closeCompetitionPicker = () => {
+    const modal = document.getElementById('competition-picker-modal');
+    if (modal) modal.classList.add('hidden');
+};
+
+/**
+ * Se suscribe a las actualizaciones del endpoint del día mostrado
+ * (cuando la revalidación en background trae datos nuevos, se re-renderiza)
+ * @param {string} endpoint - Endpoint de fixtures del día
+ */
+const watchMatchesEndpoint = (endpoint) => {
+    if (endpoint === matchesEndpoint) return;
+    if (unsubscribeMatches) unsubscribeMatches();
+
+    matchesEndpoint = endpoint;
+    unsubscribeMatches = subscribeAPI(endpoint, (result) => {
+        // loadMatches ya aplica su propia respuesta
+        if (loadingEndpoint === endpoint) return;
+        applyMatchesData(result).catch(e => console.error('Error applying matches update:', e));
+    });
+};
+
+/**
+ * Actualiza el texto "actualizado hace X min" sin re-renderizar la lista
+ */
+const refreshUpdatedLabel = () => {
+    const label = document.getElementById('matches-updated-label');
+    if (label && state.updatedAt) {
+        label.innerText = formatUpdatedAgo(Date.now() - state.updatedAt);
+    }
+};
+
 /**
  * Carga partidos del día seleccionado
  * @param {boolean} silent - Si es true, no muestra loader
@@ -152,6 +557,7 @@ export const loadMatches = async (silent = false) => {
         if (currentStr !== newStr) {
             state.date = now;
             console.log("Auto-updating date to new day:", newStr);
+            syncListUrl();
             renderCalendar();
         }
     }
@@ -160,66 +566,37 @@ export const loadMatches = async (silent = false) => {
         document.getElementById('view-match-list').innerHTML = `<div class="flex justify-center py-20"><div class="loader"></div></div>`;
     }
 
-    const dateStr = formatDate(state.date);
-    const targetIds = [1, 128, 1032, 129, 130, 541, 39, 140, 78, 71, 13, 11, 135, 2, 3, 848, 143, 137];
+    const endpoint = dayEndpoint(state.date);
+    watchMatchesEndpoint(endpoint);
 
     try {
-        const data = await fetchAPI(`/fixtures?date=${dateStr}&timezone=America/Argentina/Buenos_Aires`, silent);
-
-        let matches = data.response.filter(m => targetIds.includes(m.league.id));
-        matches.sort((a, b) => {
-            const isArgA = [128, 1032, 130].includes(a.league.id);
-            const isArgB = [128, 1032, 130].includes(b.league.id);
-            if (isArgA && !isArgB) return -1;
-            if (!isArgA && isArgB) return 1;
-            return a.fixture.timestamp - b.fixture.timestamp;
-        });
-
-        state.matches = matches;
-
-        // Load saved league order for this date from Firebase
-        await loadLeagueOrder();
-
-        // Fetch aggregate scores for 2nd leg matches
-        await loadAggregateScores(matches);
+        // Refresco silencioso: forzar red. Carga normal: mostrar caché al instante y revalidar.
+        loadingEndpoint = endpoint;
+        let result;
+        try {
+            result = await fetchAPIWithMeta(endpoint, {
+                force: silent,
+                staleWhileRevalidate: !silent,
+                retry: silent ? 'background' : 'interactive'
+            });
+        } finally {
+            loadingEndpoint = null;
+        }
 
-        renderMatches();
-        loadMessageCounts();
+        await applyMatchesData(result);
+        prefetchAdjacentDays();
     } catch (e) {
         console.error("Full API Error:", e);
         const container = document.getElementById('view-match-list');
         container.style.overflow = 'hidden';
         container.style.height = '100%';
-        container.innerHTML = `
-            <div class="flex justify-center items-start pt-4 px-4 h-full">
-                <div class="max-w-md w-full bg-black p-8 text-center">
-                    <div class="mb-6">
-                        <h2 class="text-2xl font-black text-white mb-2">¡Estamos a tope! 🚀</h2>
-                    </div>
-                    <p class="text-gray-300 text-sm leading-relaxed mb-6">
-                        Nuestros servidores han alcanzado su límite por hoy debido a la gran cantidad de usuarios. 
-                        Estamos trabajando para ampliar nuestra capacidad.
-                    </p>
-                    <div class="border-t border-[#222] my-6"></div>
-                    <p class="text-gray-400 text-xs mb-4">
-                        Si te gustaría ayudarnos para que esto no vuelva a suceder, podrías considerar realizar un aporte en la sección donar.
-                    </p>
-                    <button 
-                        onclick="document.getElementById('donation-modal').classList.remove('hidden')"
-                        class="w-full bg-yellow-500 hover:bg-yellow-400 text-black font-bold py-3 px-6 uppercase tracking-widest text-sm transition-all duration-200 flex items-center justify-center gap-2 shadow-lg hover:shadow-yellow-500/50">
-                        <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <circle cx="12" cy="12" r="10"></circle>
-                            <path d="M16 8h-6a2 2 0 1 0 0 4h4a2 2 0 1 1 0 4H8"></path>
-                            <path d="M12 18V6"></path>
-                        </svg>
-                        Donar
-                    </button>
-                </div>
-            </div>
-        `;
+        renderApiError(container, e, 'app.loadMatches()', () => loadMatches());
     }
 };
 
+// Rondas eliminatorias (las únicas que pueden tener ida y vuelta)
+const KNOCKOUT_ROUND = /final|round|play-?off|knockout|qualifying|preliminary/i;
+
 /**
  * Carga scores agregados para partidos de vuelta (2nd Leg)
  * Busca el partido de ida y calcula el global
@@ -229,12 +606,15 @@ export const loadMatches = async (silent = false) => {
  * - CONMEBOL: "Qualifying Round 2 - 2" → "Qualifying Round 2 - 1"
  * - Alt: "Phase 2 - Leg 2" → "Phase 2 - Leg 1"
  * - Spanish: "Octavos de final - Vuelta" → "Octavos de final - Ida"
+ *
+ * Solo rondas eliminatorias: "Regular Season - 2" o "Group A - 2" son fechas, no vueltas.
  */
 const loadAggregateScores = async (matches) => {
     // Find 2nd leg matches with multiple pattern detection
     const secondLegMatches = matches.filter(m => {
         const round = (m.league.round || '');
         const roundLower = round.toLowerCase();
+        if (!KNOCKOUT_ROUND.test(round)) return false;
         return roundLower.includes('2nd leg') ||
             roundLower.includes('leg 2') ||
             /- 2$/.test(round.trim()) ||
@@ -262,10 +642,12 @@ const loadAggregateScores = async (matches) => {
                 firstLegRound = firstLegRound.replace(/Vuelta/i, 'Ida');
             }
 
-            // Fetch 1st leg fixtures for same league, season, and round (silent)
+            // Fetch 1st leg fixtures for same league, season, and round (silent).
+            // La ida ya se jugó: alcanza con la caché
             const data = await fetchAPI(
                 `/fixtures?league=${m.league.id}&season=${m.league.season}&round=${encodeURIComponent(firstLegRound)}`,
-                true
+                false,
+                { retry: 'background' }
             );
 
             if (data.response && data.response.length > 0) {
@@ -305,6 +687,162 @@ const loadAggregateScores = async (matches) => {
     await Promise.all(promises);
 };
 
+/**
+ * HTML de la fila de un partido
+ * @param {Object} m - Partido
+ * @param {boolean} isLast - Si es la última fila del grupo (sin borde inferior)
+ * @returns {string}
+ */
+const renderMatchRow = (m, isLast) => {
+    const s = m.fixture.status;
+    const isLive = ['1H', '2H', 'ET', 'P', 'LIVE'].includes(s.short);
+    const isHT = s.short === 'HT';
+    const isFin = ['FT', 'AET', 'PEN'].includes(s.short);
+    const notStarted = ['NS', 'TBD'].includes(s.short);
+    const canFollow = notStarted || LIVE_STATUSES.includes(s.short);
+
+    const timeDisplay = isLive
+        ? (s.short === 'P' ? '<span class="text-red-500 font-bold animate-pulse text-xs">PEN</span>' : `<span class="text-white font-bold animate-pulse text-xs">${s.elapsed ?? ''}'</span>`)
+        : (isHT ? '<span class="text-white font-bold text-xs">ET</span>'
+            : (isFin ? '' : new Date(m.fixture.date).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false })));
+
+    let homeOpacity = 'opacity-100';
+    let awayOpacity = 'opacity-100';
+    if (isFin) {
+        if ((m.goals.home ?? 0) > (m.goals.away ?? 0)) {
+            awayOpacity = 'opacity-50';
+        } else if ((m.goals.away ?? 0) > (m.goals.home ?? 0)) {
+            homeOpacity = 'opacity-50';
+        }
+    }
+
+    let hRedCards = '';
+    let aRedCards = '';
+
+    if (m.events && m.events.length > 0) {
+        const redCards = m.events.filter(e => e.type === 'Card' && e.detail === 'Red Card');
+        const hReds = redCards.filter(e => e.team.id == m.teams.home.id).length;
+        const aReds = redCards.filter(e => e.team.id == m.teams.away.id).length;
+        if (hReds > 0) hRedCards = `<div class="absolute -top-1 -left-2 flex gap-0.5 z-10">${'<div class="w-1.5 h-2 bg-red-600 rounded-[1px]"></div>'.repeat(hReds)}</div>`;
+        if (aReds > 0) aRedCards = `<div class="absolute -top-1 -right-2 flex gap-0.5 z-10">${'<div class="w-1.5 h-2 bg-red-600 rounded-[1px]"></div>'.repeat(aReds)}</div>`;
+    }
+
+    const clickableClass = 'clickable';
+    const clickAttr = `onclick="app.navigate('/partido/${m.fixture.id}'); event.preventDefault();"`;
+    const borderClass = isLast ? '' : 'border-b border-[#222]';
+
+    // Aggregate Score Logic (from _aggregate calculated by loadAggregateScores)
+    let aggHtml = '';
+    if (m._aggregate) {
+        aggHtml = `<div class="text-[10px] text-gray-400 font-bold tracking-wider">(${m._aggregate.home}-${m._aggregate.away})</div>`;
+    }
+
+    return `
+<div id="match-row-${m.fixture.id}" class="p-4 match-card ${clickableClass} relative hover:bg-[#111] transition-colors ${borderClass}" ${clickAttr}>
+    ${isLive ? '<div class="absolute top-3 right-3 flex items-center gap-1.5"><div class="w-1.5 h-1.5 rounded-full bg-red-500 animate-pulse"></div><span class="text-[9px] font-bold text-red-500 uppercase tracking-widest">EN VIVO</span></div>' : ''}
+
+    <!-- Forum/Chat Button (Absolute Right) -->
+    <div class="absolute right-3 top-1/2 -translate-y-1/2 z-20" onclick="app.navigate('/partido/${m.fixture.id}/foro'); event.stopPropagation(); event.preventDefault();">
+        <div class="w-8 h-8 rounded-full bg-[#161616] border border-[#333] flex items-center justify-center hover:bg-[#222] hover:border-gray-500 transition-colors group/chat relative shadow-lg">
+            <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4 text-gray-500 group-hover/chat:text-white transition-colors" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+            </svg>
+            <span id="msg-count-${m.fixture.id}" class="hidden absolute -top-1 -right-1 bg-blue-600 text-[8px] font-bold text-white px-1 min-w-[14px] h-[14px] flex items-center justify-center rounded-full border border-[#111]"></span>
+        </div>
+    </div>
+
+    ${!canFollow ? '' : `
+    <!-- Follow Button (Absolute Left) -->
+    <button data-follow-match="${m.fixture.id}" class="absolute left-3 top-1/2 -translate-y-1/2 z-20 p-1.5 rounded-full hover:bg-[#222] transition-colors" title="${isFollowedMatch(m.fixture.id) ? 'Dejar de seguir' : 'Seguir partido'}" onclick="app.toggleFollowMatch(${m.fixture.id}, ${m.fixture.timestamp * 1000}); event.stopPropagation(); event.preventDefault();">
+        ${followButtonIcon(isFollowedMatch(m.fixture.id))}
+    </button>`}
+
+    <!-- Row 1: Teams + Score (centered vertically) -->
+    <div class="flex items-center justify-center pl-8 pr-10">
+        <!-- HOME TEAM -->
+        <div class="flex-1 flex justify-end items-center gap-2 md:gap-3 text-right min-w-0">
+            <span class="font-bold text-white text-xs md:text-sm uppercase tracking-tight leading-none md:truncate text-wrap text-right">${m.teams.home.name}</span>
+            <img src="${m.teams.home.logo}" class="w-8 h-8 object-contain shrink-0">
+        </div>
+
+        <!-- SCORE / TIME (same height as crests) -->
+        <div class="px-2 md:px-3 flex items-center justify-center shrink-0 min-w-[80px]">
+            ${notStarted
+            ? `<span class="text-lg font-bold text-gray-600 score-font tracking-tighter">${timeDisplay}</span>`
+            : `<div class="flex items-center gap-1.5 justify-center">
+                            ${(m.score?.penalty?.home != null) ? `<span class="text-xs text-gray-400 font-bold">(${m.score.penalty.home})</span>` : ''}
+                            <div class="flex gap-2 text-xl md:text-2xl font-black text-white score-font tracking-widest">
+                             <span class="relative">
+                                ${hRedCards}
+                                <span class="${homeOpacity}">${m.goals.home ?? 0}</span>
+                             </span>
+                             <span class="text-gray-700">-</span>
+                             <span class="relative">
+                                <span class="${awayOpacity}">${m.goals.away ?? 0}</span>
+                                ${aRedCards}
+                             </span>
+                           </div>
+                           ${(m.score?.penalty?.away != null) ? `<span class="text-xs text-gray-400 font-bold">(${m.score.penalty.away})</span>` : ''}
+                           </div>`
+        }
+        </div>
+
+        <!-- AWAY TEAM -->
+        <div class="flex-1 flex justify-start items-center gap-2 md:gap-3 text-left min-w-0">
+            <img src="${m.teams.away.logo}" class="w-8 h-8 object-contain shrink-0">
+            <span class="font-bold text-white text-xs md:text-sm uppercase tracking-tight leading-none md:truncate text-wrap text-left">${m.teams.away.name}</span>
+        </div>
+    </div>
+
+    <!-- Row 2: Status + Aggregate (below, centered) -->
+    ${(isLive || isHT || aggHtml) ? `
+    <div class="flex flex-col items-center mt-1 pr-10">
+        ${isLive || isHT ? `<span class="text-[10px] font-bold uppercase text-green-500 tracking-widest text-center whitespace-nowrap">${timeDisplay}</span>` : ''}
+        ${aggHtml}
+    </div>` : ''}
+</div>`;
+};
+
+/**
+ * Reemplaza solo la fila de un partido (conserva el contador de mensajes)
+ * @param {Object} m - Partido ya actualizado
+ */
+const patchMatchRow = (m) => {
+    const row = document.getElementById(`match-row-${m.fixture.id}`);
+    if (!row) return;
+
+    const countEl = document.getElementById(`msg-count-${m.fixture.id}`);
+    const countHtml = countEl ? countEl.outerHTML : null;
+    const isLast = !row.classList.contains('border-b');
+
+    row.outerHTML = renderMatchRow(m, isLast);
+
+    if (countHtml) {
+        const newCountEl = document.getElementById(`msg-count-${m.fixture.id}`);
+        if (newCountEl) newCountEl.outerHTML = countHtml;
+    }
+};
+
+/**
+ * Aplica los cambios en vivo a los partidos del día
+ * @param {Object} payload - { changes } publicado por el módulo de vivo
+ */
+const handleLiveChanges = ({ changes }) => {
+    let needsFullRender = false;
+    changes.forEach(({ fixtureId, match, changed }) => {
+        const m = state.allMatches.find(x => x.fixture.id === fixtureId);
+        if (!m) return;
+        applyLiveUpdate(m, match);
+        // Con el filtro EN VIVO, un partido que empieza o termina entra/sale de la lista
+        if (state.liveOnly && changed.includes('status')) {
+            needsFullRender = true;
+            return;
+        }
+        patchMatchRow(m);
+    });
+    if (needsFullRender) renderMatches();
+};
+
 /**
  * Renderiza los partidos en el DOM
  */
@@ -319,8 +857,33 @@ export const renderMatches = async () => {
         list = list.filter(m => ['1H', 'HT', '2H', 'ET', 'P', 'LIVE'].includes(m.fixture.status.short));
     }
 
-    if (list.length === 0) {
-        container.innerHTML = `<div class="text-center py-20 text-gray-600 uppercase tracking-widest text-xs"><p>${state.liveOnly ? 'No hay partidos en vivo' : 'No hay partidos destacados'}</p></div>`;
+    // Mis equipos: partidos de los favoritos fijados arriba (y no repetidos en su liga)
+    const favoriteMatches = list.filter(isFavoriteMatch).sort((a, b) => a.fixture.timestamp - b.fixture.timestamp);
+    list = state.favoritesOnly ? [] : list.filter(m => !isFavoriteMatch(m));
+
+    // Barra de ligas: elegir ligas seguidas + "ver todas las ligas"
+    const toolbar = `
+        <div class="flex items-center justify-between gap-2 mb-2 px-1">
+            <div class="flex items-center gap-2">
+                <button onclick="app.openCompetitionPicker()" class="text-[10px] font-bold uppercase tracking-widest px-3 py-1.5 rounded-full border border-[#333] text-gray-400 hover:text-white hover:border-white transition-colors">
+                    Mis ligas
+                </button>
+                <button onclick="app.toggleAllLeagues()" class="text-[10px] font-bold uppercase tracking-widest px-3 py-1.5 rounded-full border transition-colors ${state.showAllLeagues ? 'bg-white text-black border-white' : 'border-[#333] text-gray-400 hover:text-white hover:border-white'}">
+                    Ver todas las ligas
+                </button>
+            </div>
+            ${state.updatedAt ? `<div id="matches-updated-label" class="text-[10px] text-gray-600 uppercase tracking-widest text-right">${formatUpdatedAgo(Date.now() - state.updatedAt)}</div>` : ''}
+        </div>`;
+
+    if (list.length === 0 && favoriteMatches.length === 0) {
+        let emptyText = state.showAllLeagues ? 'No hay partidos' : 'No hay partidos de tus ligas';
+        if (state.favoritesOnly) {
+            emptyText = getFavoriteTeamIds().length === 0
+                ? 'Todavía no elegiste equipos favoritos'
+                : 'Tus equipos no juegan hoy';
+        }
+        if (state.liveOnly) emptyText = 'No hay partidos en vivo';
+        container.innerHTML = `${toolbar}<div class="text-center py-20 text-gray-600 uppercase tracking-widest text-xs"><p>${emptyText}</p></div>`;
         return;
     }
 
@@ -336,8 +899,8 @@ export const renderMatches = async () => {
         groupsMap[m.league.id].matches.push(m);
     });
 
-    // Apply custom league order
-    if (state.leagueOrder.length > 0) {
+    // Apply custom league order (si el usuario eligió sus ligas, manda su orden)
+    if (!state.followedLeagues && state.leagueOrder.length > 0) {
         // Add any new leagues not in saved order
         groupsList.forEach(g => {
             if (!state.leagueOrder.includes(g.id)) {
@@ -352,7 +915,7 @@ export const renderMatches = async () => {
             const idxB = state.leagueOrder.indexOf(b.id);
             return idxA - idxB;
         });
-    } else {
+    } else if (!state.followedLeagues) {
         // Initialize order from current natural order
         state.leagueOrder = groupsList.map(g => g.id);
     }
@@ -362,134 +925,51 @@ export const renderMatches = async () => {
     try {
         const { getCurrentUserRole, whenRoleReady } = await import('./auth.js');
         await whenRoleReady();
-        isDev = getCurrentUserRole() === 'developer';
+        isDev = getCurrentUserRole() === 'developer' && !state.followedLeagues;
     } catch (e) { /* not logged in */ }
 
-    let html = '';
-    groupsList.forEach((g, gIndex) => {
+    const followedIds = getFollowedIds();
+
+    // Grupo fijo "Mis equipos" arriba de todo
+    const pinnedGroups = favoriteMatches.length > 0
+        ? [{ id: 'favorites', pinned: true, name: 'Mis equipos', logo: null, matches: favoriteMatches }]
+        : [];
+
+    let html = toolbar;
+    [...pinnedGroups, ...groupsList].forEach((g) => {
+        const gIndex = groupsList.indexOf(g);
         const isFirst = gIndex === 0;
         const isLast = gIndex === groupsList.length - 1;
-        const upBtn = (isDev && !isFirst) ? `<button onclick="event.stopPropagation(); app.moveLeague(${g.id}, -1)" class="p-1 text-gray-600 hover:text-white transition-colors" title="Subir"><svg xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M5 15l7-7 7 7" /></svg></button>` : '';
-        const downBtn = (isDev && !isLast) ? `<button onclick="event.stopPropagation(); app.moveLeague(${g.id}, 1)" class="p-1 text-gray-600 hover:text-white transition-colors" title="Bajar"><svg xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M19 9l-7 7-7-7" /></svg></button>` : '';
+        const upBtn = (isDev && !g.pinned && !isFirst) ? `<button onclick="event.stopPropagation(); app.moveLeague(${g.id}, -1)" class="p-1 text-gray-600 hover:text-white transition-colors" title="Subir"><svg xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M5 15l7-7 7 7" /></svg></button>` : '';
+        const downBtn = (isDev && !g.pinned && !isLast) ? `<button onclick="event.stopPropagation(); app.moveLeague(${g.id}, 1)" class="p-1 text-gray-600 hover:text-white transition-colors" title="Bajar"><svg xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2"><path stroke-linecap="round" stroke-linejoin="round" d="M19 9l-7 7-7-7" /></svg></button>` : '';
+        // En modo "todas": seguir la liga desde su encabezado
+        const followBtn = (state.showAllLeagues && !g.pinned && !followedIds.includes(g.id)) ? `<button onclick="event.stopPropagation(); app.toggleFollowCompetition(${g.id})" class="px-2 py-0.5 text-[9px] font-bold uppercase tracking-widest text-gray-500 border border-[#333] rounded-full hover:text-white hover:border-white transition-colors" title="Seguir liga">+ Seguir</button>` : '';
+
+        const pinnedHeader = `
+                    <div class="px-4 py-3 flex items-center gap-3 border-b border-[#222] bg-yellow-500/5">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5 text-yellow-500" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>
+                        <h3 class="text-xs font-black text-yellow-500 uppercase tracking-widest">${g.name}</h3>
+                    </div>`;
 
         html += `
             <div class="mb-6">
-                <div class="bg-[#0a0a0a] border border-[#222] rounded-lg overflow-hidden flex flex-col">
-                    <div class="px-4 py-3 flex items-center justify-between border-b border-[#222] cursor-pointer hover:bg-[#111] transition-colors group" onclick="app.showStandings({id: ${g.id}, name: '${g.name}'})">
+                <div class="bg-[#0a0a0a] border ${g.pinned ? 'border-yellow-500/30' : 'border-[#222]'} rounded-lg overflow-hidden flex flex-col">
+                    ${g.pinned ? pinnedHeader : `
+                    <div class="px-4 py-3 flex items-center justify-between border-b border-[#222] cursor-pointer hover:bg-[#111] transition-colors group" onclick="app.navigate('/liga/${g.id}/${createSlug(g.name)}')">
                         <div class="flex items-center gap-3">
                             <img src="${g.logo}" class="w-5 h-5 object-contain group-hover:scale-110 transition-transform">
                             <h3 class="text-xs font-black text-white uppercase tracking-widest group-hover:text-gray-200 transition-colors">${g.name}</h3>
                         </div>
                         <div class="flex items-center gap-1">
-                            ${upBtn}${downBtn}
+                            ${followBtn}${upBtn}${downBtn}
                             <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4 text-gray-500 group-hover:text-white transition-colors" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7" />
                             </svg>
                         </div>
-                    </div>`;
+                    </div>`}`;
 
         g.matches.forEach((m, index) => {
-            const s = m.fixture.status;
-            const isLive = ['1H', '2H', 'ET', 'P', 'LIVE'].includes(s.short);
-            const isHT = s.short === 'HT';
-            const isFin = ['FT', 'AET', 'PEN'].includes(s.short);
-            const notStarted = ['NS', 'TBD'].includes(s.short);
-
-            const timeDisplay = isLive
-                ? (s.short === 'P' ? '<span class="text-red-500 font-bold animate-pulse text-xs">PEN</span>' : `<span class="text-white font-bold animate-pulse text-xs">${s.elapsed ?? ''}'</span>`)
-                : (isHT ? '<span class="text-white font-bold text-xs">ET</span>'
-                    : (isFin ? '' : new Date(m.fixture.date).toLocaleTimeString('es-AR', { hour: '2-digit', minute: '2-digit', hour12: false })));
-
-            let homeOpacity = 'opacity-100';
-            let awayOpacity = 'opacity-100';
-            if (isFin) {
-                if ((m.goals.home ?? 0) > (m.goals.away ?? 0)) {
-                    awayOpacity = 'opacity-50';
-                } else if ((m.goals.away ?? 0) > (m.goals.home ?? 0)) {
-                    homeOpacity = 'opacity-50';
-                }
-            }
-
-            let hRedCards = '';
-            let aRedCards = '';
-
-            if (m.events && m.events.length > 0) {
-                const redCards = m.events.filter(e => e.type === 'Card' && e.detail === 'Red Card');
-                const hReds = redCards.filter(e => e.team.id == m.teams.home.id).length;
-                const aReds = redCards.filter(e => e.team.id == m.teams.away.id).length;
-                if (hReds > 0) hRedCards = `<div class="absolute -top-1 -left-2 flex gap-0.5 z-10">${'<div class="w-1.5 h-2 bg-red-600 rounded-[1px]"></div>'.repeat(hReds)}</div>`;
-                if (aReds > 0) aRedCards = `<div class="absolute -top-1 -right-2 flex gap-0.5 z-10">${'<div class="w-1.5 h-2 bg-red-600 rounded-[1px]"></div>'.repeat(aReds)}</div>`;
-            }
-
-            const clickableClass = 'clickable';
-            const clickAttr = `onclick="app.navigate('/partido/${m.fixture.id}'); event.preventDefault();"`;
-            const isLast = index === g.matches.length - 1;
-            const borderClass = isLast ? '' : 'border-b border-[#222]';
-
-            // Aggregate Score Logic (from _aggregate calculated by loadAggregateScores)
-            let aggHtml = '';
-            if (m._aggregate) {
-                aggHtml = `<div class="text-[10px] text-gray-400 font-bold tracking-wider">(${m._aggregate.home}-${m._aggregate.away})</div>`;
-            }
-
-            html += `
-        <div class="p-4 match-card ${clickableClass} relative hover:bg-[#111] transition-colors ${borderClass}" ${clickAttr}>
-            ${isLive ? '<div class="absolute top-3 right-3 flex items-center gap-1.5"><div class="w-1.5 h-1.5 rounded-full bg-red-500 animate-pulse"></div><span class="text-[9px] font-bold text-red-500 uppercase tracking-widest">EN VIVO</span></div>' : ''}
-
-            <!-- Forum/Chat Button (Absolute Right) -->
-            <div class="absolute right-3 top-1/2 -translate-y-1/2 z-20" onclick="app.openDetailWithTab(${m.fixture.id}, 'forum'); event.stopPropagation(); event.preventDefault();">
-                <div class="w-8 h-8 rounded-full bg-[#161616] border border-[#333] flex items-center justify-center hover:bg-[#222] hover:border-gray-500 transition-colors group/chat relative shadow-lg">
-                    <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4 text-gray-500 group-hover/chat:text-white transition-colors" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-                    </svg>
-                    <span id="msg-count-${m.fixture.id}" class="hidden absolute -top-1 -right-1 bg-blue-600 text-[8px] font-bold text-white px-1 min-w-[14px] h-[14px] flex items-center justify-center rounded-full border border-[#111]"></span>
-                </div>
-            </div>
-
-            <!-- Row 1: Teams + Score (centered vertically) -->
-            <div class="flex items-center justify-center pr-10">
-                <!-- HOME TEAM -->
-                <div class="flex-1 flex justify-end items-center gap-2 md:gap-3 text-right min-w-0">
-                    <span class="font-bold text-white text-xs md:text-sm uppercase tracking-tight leading-none md:truncate text-wrap text-right">${m.teams.home.name}</span>
-                    <img src="${m.teams.home.logo}" class="w-8 h-8 object-contain shrink-0">
-                </div>
-
-                <!-- SCORE / TIME (same height as crests) -->
-                <div class="px-2 md:px-3 flex items-center justify-center shrink-0 min-w-[80px]">
-                    ${notStarted
-                    ? `<span class="text-lg font-bold text-gray-600 score-font tracking-tighter">${timeDisplay}</span>`
-                    : `<div class="flex items-center gap-1.5 justify-center">
-                                    ${(m.score?.penalty?.home != null) ? `<span class="text-xs text-gray-400 font-bold">(${m.score.penalty.home})</span>` : ''}
-                                    <div class="flex gap-2 text-xl md:text-2xl font-black text-white score-font tracking-widest">
-                                     <span class="relative">
-                                        ${hRedCards}
-                                        <span class="${homeOpacity}">${m.goals.home ?? 0}</span>
-                                     </span>
-                                     <span class="text-gray-700">-</span>
-                                     <span class="relative">
-                                        <span class="${awayOpacity}">${m.goals.away ?? 0}</span>
-                                        ${aRedCards}
-                                     </span>
-                                   </div>
-                                   ${(m.score?.penalty?.away != null) ? `<span class="text-xs text-gray-400 font-bold">(${m.score.penalty.away})</span>` : ''}
-                                   </div>`
-                }
-                </div>
-
-                <!-- AWAY TEAM -->
-                <div class="flex-1 flex justify-start items-center gap-2 md:gap-3 text-left min-w-0">
-                    <img src="${m.teams.away.logo}" class="w-8 h-8 object-contain shrink-0">
-                    <span class="font-bold text-white text-xs md:text-sm uppercase tracking-tight leading-none md:truncate text-wrap text-left">${m.teams.away.name}</span>
-                </div>
-            </div>
-
-            <!-- Row 2: Status + Aggregate (below, centered) -->
-            ${(isLive || isHT || aggHtml) ? `
-            <div class="flex flex-col items-center mt-1 pr-10">
-                ${isLive || isHT ? `<span class="text-[10px] font-bold uppercase text-green-500 tracking-widest text-center whitespace-nowrap">${timeDisplay}</span>` : ''}
-                ${aggHtml}
-            </div>` : ''}
-        </div>`;
+            html += renderMatchRow(m, index === g.matches.length - 1);
         });
 
         html += `</div></div > `;
@@ -535,6 +1015,16 @@ export const loadMessageCounts = async () => {
 export const toggleLiveFilter = () => {
     const isChecked = document.getElementById('live-toggle').checked;
     state.liveOnly = isChecked;
+    syncListUrl();
+    renderMatches();
+};
+
+/**
+ * Toggle del filtro "mis equipos" (solo partidos de equipos favoritos)
+ * Se llama desde el switch al lado del de "en vivo".
+ */
+export const toggleFavoritesFilter = () => {
+    state.favoritesOnly = document.getElementById('favorites-toggle').checked;
     renderMatches();
 };
 
@@ -611,6 +1101,8 @@ const renderFullCalendar = () => {
         btn.innerText = i;
         btn.onclick = () => {
             state.date = currentDate;
+            state.isViewingToday = currentDate.toDateString() === new Date().toDateString();
+            syncListUrl();
             renderCalendar(); // Renderiza la tira horizontal
             loadMatches();
             toggleCalendar(); // Cierra el dropdown
@@ -619,15 +1111,61 @@ const renderFullCalendar = () => {
     }
 };
 
+/**
+ * Cambio de día: si se está mirando "hoy", pasar al nuevo día
+ */
+const checkDayChange = () => {
+    if (state.isViewingToday && formatDate(state.date) !== formatDate(new Date())) {
+        loadMatches(true);
+    }
+};
+
+/**
+ * Arranca los timers del listado (al entrar a la ruta /)
+ */
+export const resumeMatches = () => {
+    pauseMatches();
+    checkDayChange();
+    listTimers.push(setInterval(checkDayChange, 60000));
+
+    // Mantener al día el texto "actualizado hace X min"
+    refreshUpdatedLabel();
+    listTimers.push(setInterval(refreshUpdatedLabel, 30000));
+};
+
+/**
+ * Frena los timers del listado (al salir de la ruta /)
+ */
+export const pauseMatches = () => {
+    listTimers.forEach(clearInterval);
+    listTimers = [];
+};
+
 /**
  * Inicializa el módulo de matches
  */
 export const initMatches = () => {
+    // Fecha compartida por URL (/fecha/2026-10-18 o el viejo /?fecha=): cargar directamente ese día
+    const pathDate = window.location.pathname.startsWith('/fecha/') ? window.location.pathname.slice('/fecha/'.length) : null;
+    const sharedDate = isListPath() ? (parseUrlDate(pathDate) || parseUrlDate(getQueryParams().fecha)) : null;
+    if (sharedDate) {
+        state.date = sharedDate;
+        state.isViewingToday = formatDate(sharedDate) === formatDate(new Date());
+    }
+
     renderCalendar();
     loadMatches();
 
-    // Auto-refresh cada 2 minutos (antes era 1 min)
-    setInterval(() => loadMatches(true), 120000);
+    // Marcadores en vivo: solo se consultan los partidos en juego y se parchean sus filas
+    subscribeLive(handleLiveChanges);
+
+    // Al cambiar de usuario (login/logout) o de favoritos se usan sus ligas y equipos
+    onPreferencesChange((key) => {
+        if (key !== null && key !== 'favoriteTeams') return;
+        listPreferencesReady = null;
+        if (!state.updatedAt) return;
+        loadListPreferences().then(refreshVisibleMatches).catch(e => console.error('Error applying preferences:', e));
+    });
 
     // Cerrar calendario al hacer click fuera
     document.addEventListener('click', (e) => {
@@ -0,0 +1,410 @@
+/**
+ * Player View Module
+ *
+ * Propósito: Ficha de un jugador (/jugador/:id)
+ * - Datos personales y club actual
+ * - Estadísticas de la temporada actual por competición
+ * - Puntajes de los últimos partidos (a pedido: es una request por partido)
+ * - Trayectoria (clubes), transferencias y lesiones
+ *
+ * Exports:
+ * - showPlayer(params): Muestra la ficha de un jugador
+ * - loadRecentRatings(playerId, teamId): Carga los puntajes de los últimos partidos
+ */
+
+import { fetchAPI } from '../core/api.js';
+import { formatSeasonLabel } from '../core/seasons.js';
+import { createSlug } from '../core/router.js';
+import { renderApiError } from './errorState.js';
+import { getRatingColors } from './ratings.js';
+
+const TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+// Partidos del club actual en los que se buscan puntajes
+const RECENT_MATCHES = 5;
+
+// Máximo de lesiones listadas (la API devuelve una por partido perdido)
+const MAX_INJURIES = 10;
+
+const POSITION_LABELS = {
+    'Goalkeeper': 'Arquero', 'Defender': 'Defensor', 'Midfielder': 'Mediocampista', 'Attacker': 'Delantero'
+};
+
+// Jugador mostrado (para descartar cargas de una ficha anterior)
+let currentPlayerId = null;
+
+/**
+ * Fila "dato: valor" de la ficha
+ */
+const renderInfoRow = (label, value) => value ? `
+    <div class="flex items-center justify-between px-4 py-3">
+        <span class="text-[10px] font-bold text-gray-500 uppercase tracking-widest">${label}</span>
+        <span class="text-xs font-bold text-white text-right">${value}</span>
+    </div>
+` : '';
+
+/**
+ * Caja con título (mismo estilo que las del perfil de equipo)
+ */
+const renderSection = (title, body) => `
+    <div class="bg-[#0a0a0a] border border-[#222] rounded-xl overflow-hidden">
+        <div class="px-4 py-3 bg-[#111] border-b border-[#222]">
+            <h3 class="text-xs font-bold text-gray-400 uppercase tracking-widest">${title}</h3>
+        </div>
+        ${body}
+    </div>
+`;
+
+const renderEmpty = (text) => `<div class="text-center text-gray-600 py-6 text-xs">${text}</div>`;
+
+/**
+ * Fecha en formato argentino (dd/mm/aaaa)
+ * @param {string} date - 'YYYY-MM-DD' o ISO
+ */
+const formatDate = (date) => {
+    if (!date) return '';
+    const [year, month, day] = date.slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+};
+
+/**
+ * Chip de puntaje (mismos colores que las alineaciones)
+ */
+const renderRating = (rating) => {
+    if (rating === null || rating === undefined || isNaN(rating)) {
+        return '<span class="text-[10px] text-gray-600 font-mono">-</span>';
+    }
+    const colors = getRatingColors(rating);
+    return `<span class="text-[10px] font-bold px-1.5 py-0.5 rounded font-mono" style="background:${colors.bg}; color:${colors.text}">${rating.toFixed(1).replace('.', ',')}</span>`;
+};
+
+/**
+ * Label del tipo de transferencia (como en el perfil de equipo)
+ */
+const transferTypeLabel = (type) => {
+    const value = (type || '').trim();
+    if (!value || value === 'Free' || value === 'N/A') return { label: 'LIBRE', className: 'text-gray-500' };
+    if (value === 'Loan') return { label: 'PRÉSTAMO', className: 'text-yellow-500' };
+    if (value === 'Return from loan') return { label: 'FIN PRÉSTAMO', className: 'text-yellow-500' };
+    return { label: value, className: 'text-emerald-400' };
+};
+
+/**
+ * Estadísticas de la temporada: una fila por competición
+ * @param {Array} statistics - statistics[] de /players?id=&season=
+ * @param {number} season
+ */
+const renderSeasonStats = (statistics, season) => {
+    const rows = statistics.filter(s => s.games?.appearences || s.games?.minutes);
+    if (rows.length === 0) return renderEmpty('Sin partidos jugados esta temporada');
+
+    return `
+        <div class="overflow-x-auto">
+            <table class="w-full text-xs">
+                <thead>
+                    <tr class="text-[10px] text-gray-500 uppercase tracking-wider border-b border-[#222]">
+                        <th class="text-left font-bold px-4 py-2">Competición</th>
+                        <th class="font-bold px-2 py-2" title="Partidos jugados">PJ</th>
+                        <th class="font-bold px-2 py-2" title="Minutos">Min</th>
+                        <th class="font-bold px-2 py-2" title="Goles">G</th>
+                        <th class="font-bold px-2 py-2" title="Asistencias">A</th>
+                        <th class="font-bold px-2 py-2" title="Amarillas"><div class="w-2 h-3 bg-yellow-400 rounded-[1px] mx-auto"></div></th>
+                        <th class="font-bold px-2 py-2" title="Rojas"><div class="w-2 h-3 bg-red-600 rounded-[1px] mx-auto"></div></th>
+                        <th class="font-bold px-4 py-2" title="Puntaje promedio">Puntaje</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-[#1a1a1a]">
+                    ${rows.map(s => `
+                        <tr class="text-center text-gray-300 font-mono">
+                            <td class="text-left px-4 py-2.5 font-sans">
+                                <div class="flex items-center gap-2 min-w-[160px]">
+                                    <img src="${s.league.logo}" class="w-5 h-5 object-contain shrink-0" onerror="this.style.visibility='hidden'">
+                                    <div class="min-w-0">
+                                        <div class="text-xs font-bold text-white truncate cursor-pointer hover:underline" onclick="app.navigate('/liga/${s.league.id}/${createSlug(s.league.name)}')">${s.league.name}</div>
+                                        <div class="text-[10px] text-gray-600 truncate">${s.team.name} · ${formatSeasonLabel(season, s.league.id)}</div>
+                                    </div>
+                                </div>
+                            </td>
+                            <td class="px-2 py-2.5">${s.games.appearences ?? 0}</td>
+                            <td class="px-2 py-2.5">${s.games.minutes ?? 0}</td>
+                            <td class="px-2 py-2.5 text-white font-bold">${s.goals.total ?? 0}</td>
+                            <td class="px-2 py-2.5">${s.goals.assists ?? 0}</td>
+                            <td class="px-2 py-2.5">${s.cards.yellow ?? 0}</td>
+                            <td class="px-2 py-2.5">${(s.cards.red ?? 0) + (s.cards.yellowred ?? 0)}</td>
+                            <td class="px-4 py-2.5">${renderRating(s.games.rating ? parseFloat(s.games.rating) : null)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+};
+
+/**
+ * Trayectoria: clubes con el rango de temporadas (más reciente primero)
+ * @param {Array} clubs - response de /players/teams
+ */
+const renderCareer = (clubs) => {
+    if (clubs.length === 0) return renderEmpty('Sin trayectoria registrada');
+
+    const sorted = clubs
+        .map(c => ({ team: c.team, seasons: [...(c.seasons || [])].sort((a, b) => a - b) }))
+        .sort((a, b) => (b.seasons[b.seasons.length - 1] || 0) - (a.seasons[a.seasons.length - 1] || 0));
+
+    return `
+        <div class="divide-y divide-[#1a1a1a]">
+            ${sorted.map(({ team, seasons }) => {
+                const first = seasons[0];
+                const last = seasons[seasons.length - 1];
+                const range = first === last ? `${first}` : `${first} - ${last}`;
+                return `
+                    <div class="flex items-center gap-3 px-4 py-2.5 hover:bg-[#111] transition-colors cursor-pointer" onclick="app.navigate('/equipo/${team.id}')">
+                        <img src="${team.logo}" class="w-6 h-6 object-contain shrink-0" onerror="this.style.visibility='hidden'">
+                        <span class="text-xs font-bold text-gray-300 truncate flex-1">${team.name}</span>
+                        <span class="text-[10px] text-gray-600 font-mono shrink-0">${seasons.length ? range : ''}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+};
+
+/**
+ * Transferencias (más reciente primero)
+ * @param {Array} transfers - transfers[] de /transfers?player=
+ */
+const renderTransfers = (transfers) => {
+    if (transfers.length === 0) return renderEmpty('Sin transferencias registradas');
+
+    const sorted = [...transfers].sort((a, b) => new Date(b.date) - new Date(a.date));
+    return `
+        <div class="divide-y divide-[#1a1a1a] max-h-[320px] overflow-y-auto">
+            ${sorted.map(t => {
+                const { label, className } = transferTypeLabel(t.type);
+                return `
+                    <div class="flex items-center gap-2 px-3 py-2.5">
+                        <span class="text-[10px] text-gray-600 font-mono shrink-0 w-16">${formatDate(t.date)}</span>
+                        <div class="flex items-center gap-1.5 min-w-0 flex-1">
+                            <img src="${t.teams.out.logo || ''}" class="w-4 h-4 object-contain shrink-0 opacity-50" onerror="this.style.display='none'">
+                            <span class="text-[11px] text-gray-500 truncate">${t.teams.out.name || '-'}</span>
+                            <span class="text-gray-600 shrink-0">→</span>
+                            <img src="${t.teams.in.logo || ''}" class="w-4 h-4 object-contain shrink-0" onerror="this.style.display='none'">
+                            <span class="text-[11px] font-bold text-gray-300 truncate">${t.teams.in.name || '-'}</span>
+                        </div>
+                        <span class="text-[10px] font-bold ${className} shrink-0 uppercase tracking-wider">${label}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+};
+
+/**
+ * Lesiones y ausencias de la temporada (más reciente primero)
+ * @param {Array} injuries - response de /injuries?player=&season=
+ */
+const renderInjuries = (injuries) => {
+    if (injuries.length === 0) return renderEmpty('Sin lesiones registradas esta temporada');
+
+    const sorted = [...injuries]
+        .sort((a, b) => (b.fixture?.timestamp || 0) - (a.fixture?.timestamp || 0))
+        .slice(0, MAX_INJURIES);
+
+    return `
+        <div class="divide-y divide-[#1a1a1a]">
+            ${sorted.map(i => `
+                <div class="flex items-center gap-3 px-4 py-2.5">
+                    <span class="text-[10px] text-gray-600 font-mono shrink-0 w-16">${formatDate(i.fixture?.date)}</span>
+                    <div class="min-w-0 flex-1">
+                        <div class="text-xs font-bold text-gray-300 truncate">${i.player.reason || i.player.type || 'Ausente'}</div>
+                        <div class="text-[10px] text-gray-600 truncate">${i.league?.name || ''}</div>
+                    </div>
+                    <span class="text-[10px] font-bold ${i.player.type === 'Missing Fixture' ? 'text-red-500' : 'text-yellow-500'} shrink-0 uppercase tracking-wider">
+                        ${i.player.type === 'Missing Fixture' ? 'Baja' : 'Duda'}
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+};
+
+/**
+ * Carga y renderiza los puntajes de los últimos partidos del club actual
+ * @param {number} playerId
+ * @param {number} teamId - Club actual
+ */
+export const loadRecentRatings = async (playerId, teamId) => {
+    const container = document.getElementById('player-recent-ratings');
+    if (!container) return;
+    container.innerHTML = '<div class="flex justify-center py-6"><div class="loader"></div></div>';
+
+    try {
+        const fixturesData = await fetchAPI(`/fixtures?team=${teamId}&last=${RECENT_MATCHES}&timezone=${TIMEZONE}`);
+        const fixtures = fixturesData.response || [];
+
+        const rows = await Promise.all(fixtures.map(async (m) => {
+            const data = await fetchAPI(`/fixtures/players?fixture=${m.fixture.id}&team=${teamId}`).catch(() => null);
+            const entry = (data?.response?.[0]?.players || []).find(p => p.player.id === playerId);
+            const stats = entry?.statistics?.[0];
+            return { m, stats };
+        }));
+
+        // Se cambió de ficha mientras cargaba
+        if (currentPlayerId !== playerId) return;
+
+        if (rows.length === 0) {
+            container.innerHTML = renderEmpty('Sin partidos recientes');
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="divide-y divide-[#1a1a1a]">
+                ${rows.map(({ m, stats }) => {
+                    const isHome = m.teams.home.id === teamId;
+                    const opponent = isHome ? m.teams.away : m.teams.home;
+                    const minutes = stats?.games?.minutes;
+                    const rating = stats?.games?.rating ? parseFloat(stats.games.rating) : null;
+                    const goals = stats?.goals?.total || 0;
+                    const assists = stats?.goals?.assists || 0;
+                    return `
+                        <div class="flex items-center gap-3 px-4 py-2.5 hover:bg-[#111] transition-colors cursor-pointer" onclick="app.navigate('/partido/${m.fixture.id}')">
+                            <span class="text-[10px] text-gray-600 font-mono shrink-0 w-10">${formatDate(m.fixture.date).slice(0, 5)}</span>
+                            <img src="${opponent.logo}" class="w-5 h-5 object-contain shrink-0">
+                            <div class="min-w-0 flex-1">
+                                <div class="text-xs font-bold text-gray-300 truncate">${isHome ? 'vs' : 'en'} ${opponent.name}</div>
+                                <div class="text-[10px] text-gray-600 truncate">
+                                    ${m.goals.home ?? '-'}-${m.goals.away ?? '-'} · ${minutes ? `${minutes}'` : 'No jugó'}${goals ? ` · ${goals} G` : ''}${assists ? ` · ${assists} A` : ''}
+                                </div>
+                            </div>
+                            ${renderRating(rating)}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    } catch (e) {
+        console.error('Error loading player ratings:', e);
+        if (currentPlayerId === playerId) container.innerHTML = renderEmpty('No se pudieron cargar los puntajes');
+    }
+};
+
+/**
+ * Muestra la ficha de un jugador
+ * @param {Object|number} params - { id } desde router o ID directo
+ */
+export const showPlayer = async (params) => {
+    const playerId = parseInt(typeof params === 'object' && params !== null ? params.id : params);
+    const viewPlayer = document.getElementById('view-player');
+    currentPlayerId = playerId;
+
+    viewPlayer.innerHTML = `<div class="flex justify-center py-20"><div class="loader"></div></div>`;
+
+    try {
+        // Perfil, temporadas, clubes y transferencias en paralelo
+        const [profileData, seasonsData, teamsData, transfersData] = await Promise.all([
+            fetchAPI(`/players/profiles?player=${playerId}`),
+            fetchAPI(`/players/seasons?player=${playerId}`),
+            fetchAPI(`/players/teams?player=${playerId}`),
+            fetchAPI(`/transfers?player=${playerId}`)
+        ]);
+
+        const player = profileData.response?.[0]?.player;
+
+        if (!player) {
+            document.title = 'Jugador no encontrado - Real Futbol';
+            viewPlayer.innerHTML = `<div class="text-center text-gray-500 py-20 text-xs uppercase tracking-widest">Jugador no encontrado.</div>`;
+            return;
+        }
+
+        // Temporada actual = la más reciente en la que figura
+        const season = Math.max(...(seasonsData.response || []).filter(Number.isInteger), 0) || null;
+        const [statsData, injuriesData] = season ? await Promise.all([
+            fetchAPI(`/players?id=${playerId}&season=${season}`),
+            fetchAPI(`/injuries?player=${playerId}&season=${season}`).catch(() => ({ response: [] }))
+        ]) : [{ response: [] }, { response: [] }];
+
+        // Se cambió de ficha mientras cargaba
+        if (currentPlayerId !== playerId) return;
+
+        const statistics = statsData.response?.[0]?.statistics || [];
+        const injuries = injuriesData.response || [];
+        const clubs = teamsData.response || [];
+        const transfers = transfersData.response?.[0]?.transfers || [];
+
+        // Club actual: el de la competición con más minutos esta temporada
+        const mainStats = [...statistics].sort((a, b) => (b.games?.minutes || 0) - (a.games?.minutes || 0))[0];
+        const currentTeam = mainStats?.team || null;
+
+        document.title = `${player.name} - Real Futbol`;
+
+        const birth = player.birth || {};
+        const birthPlace = [birth.place, birth.country].filter(Boolean).join(', ');
+        const position = POSITION_LABELS[player.position] || player.position;
+
+        viewPlayer.innerHTML = `
+            <!-- Header -->
+            <div class="sticky top-0 z-20 bg-black/95 backdrop-blur py-2 border-b border-[#222] mb-6">
+                <div class="flex items-center gap-3 px-1">
+                    <button onclick="app.goBack('/')" class="bg-[#111] p-2 rounded hover:bg-[#222] border border-[#333] transition-colors group" title="Volver">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="w-4 h-4 text-gray-400 group-hover:text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+                        </svg>
+                    </button>
+                    <span class="text-xs font-bold text-gray-400 uppercase tracking-widest">Jugador</span>
+                </div>
+            </div>
+
+            <!-- Player Info Card -->
+            <div class="bg-[#0a0a0a] border border-[#222] rounded-xl p-6 mb-6 flex flex-col items-center text-center">
+                <img src="${player.photo || `https://media.api-sports.io/football/players/${player.id}.png`}" class="w-24 h-24 rounded-full object-cover bg-black border border-[#333] mb-4">
+                <h1 class="text-2xl font-bold text-white uppercase tracking-wider font-sport mb-1">${player.name}</h1>
+                ${position ? `<span class="text-xs font-bold text-gray-400 uppercase tracking-widest">${position}${player.number ? ` · #${player.number}` : ''}</span>` : ''}
+                ${currentTeam ? `
+                    <div class="flex items-center gap-2 mt-4 cursor-pointer hover:opacity-80 transition-opacity" onclick="app.navigate('/equipo/${currentTeam.id}')">
+                        <img src="${currentTeam.logo}" class="w-5 h-5 object-contain">
+                        <span class="text-xs font-bold text-gray-300 uppercase tracking-widest">${currentTeam.name}</span>
+                    </div>
+                ` : ''}
+            </div>
+
+            <div class="flex flex-col lg:flex-row gap-6">
+                <!-- Left Column: Temporada + últimos partidos -->
+                <div class="w-full lg:flex-1 min-w-0 space-y-6">
+                    ${renderSection(`Temporada ${season ? formatSeasonLabel(season, mainStats?.league?.id) : ''}`, renderSeasonStats(statistics, season))}
+                    ${renderSection('Últimos Partidos', `
+                        <div id="player-recent-ratings">
+                            ${currentTeam ? `
+                                <div class="flex justify-center py-4">
+                                    <button onclick="app.loadRecentRatings(${playerId}, ${currentTeam.id})" class="px-4 py-2 text-[10px] font-bold uppercase tracking-widest rounded-full border border-[#333] text-gray-400 hover:border-white hover:text-white transition-all">
+                                        Ver puntajes
+                                    </button>
+                                </div>
+                            ` : renderEmpty('Sin club actual')}
+                        </div>
+                    `)}
+                    ${renderSection('Transferencias', renderTransfers(transfers))}
+                </div>
+
+                <!-- Right Column: Datos, trayectoria y lesiones -->
+                <div class="w-full lg:w-80 shrink-0 space-y-6">
+                    ${renderSection('Datos', `
+                        <div class="divide-y divide-[#1a1a1a]">
+                            ${renderInfoRow('Nombre completo', [player.firstname, player.lastname].filter(Boolean).join(' '))}
+                            ${renderInfoRow('Edad', player.age ? `${player.age} años` : '')}
+                            ${renderInfoRow('Nacimiento', [formatDate(birth.date), birthPlace].filter(Boolean).join(' · '))}
+                            ${renderInfoRow('Nacionalidad', player.nationality)}
+                            ${renderInfoRow('Altura', player.height)}
+                            ${renderInfoRow('Peso', player.weight)}
+                        </div>
+                    `)}
+                    ${renderSection('Trayectoria', renderCareer(clubs))}
+                    ${renderSection('Lesiones', renderInjuries(injuries))}
+                </div>
+            </div>
+        `;
+    } catch (e) {
+        console.error('Error loading player:', e);
+        if (currentPlayerId !== playerId) return;
+        renderApiError(viewPlayer, e, `app.showPlayer(${playerId})`, () => showPlayer(playerId));
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * Ratings Module
+ *
+ * Propósito: Colores de los puntajes de jugadores (detalle del partido y ficha de jugador)
+ *
+ * Exports:
+ * - getRatingColors(rating): Colores del puntaje de un jugador
+ */
+
+/**
+ * Obtiene el color del borde del rating según la calificación
+ * @param {number} rating - Calificación del jugador
+ * @returns {object} { bg, text, border } - Colores CSS
+ */
+export const getRatingColors = (rating) => {
+    if (rating >= 8.0) return { bg: '#87CEEB', text: '#000', border: '#87CEEB' }; // Celeste
+    if (rating >= 7.0) return { bg: '#4CAF50', text: '#fff', border: '#4CAF50' }; // Verde
+    if (rating >= 6.0) return { bg: '#FF9800', text: '#000', border: '#FF9800' }; // Naranja
+    return { bg: '#F44336', text: '#fff', border: '#F44336' }; // Rojo
+};
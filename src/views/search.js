@@ -0,0 +1,336 @@
+/**
+ * Search Module
+ *
+ * Propósito: Búsqueda global del header (equipos, competiciones y jugadores)
+ * - Busca en /teams?search=, /leagues?search= y /players/profiles?search= en paralelo
+ * - Las competiciones que sigue la app (data/competitions.js) aparecen primero
+ * - Resultados cacheados por búsqueda (memoria + caché de fetchAPI)
+ * - Teclado: ↑/↓ para moverse, Enter para abrir, Escape para cerrar
+ * - Cada resultado lleva a /equipo/:id, /liga/:id/:name o /jugador/:id
+ *
+ * Exports:
+ * - initSearch(): Conecta el input del header (teclado, click afuera)
+ * - openSearch(): Abre el buscador (en mobile se despliega sobre el header)
+ * - closeSearch(): Cierra el buscador y limpia los resultados
+ * - selectSearchResult(index): Navega al resultado elegido
+ */
+
+import { fetchAPI } from '../core/api.js';
+import { navigate, createSlug } from '../core/router.js';
+import { COMPETITIONS } from '../data/competitions.js';
+
+// La API pide al menos 3 caracteres para ?search=
+const MIN_QUERY_LENGTH = 3;
+const DEBOUNCE_MS = 300;
+const MAX_RESULTS_PER_GROUP = 5;
+
+// Resultados ya armados por búsqueda normalizada (evita re-procesar al borrar / volver a tipear)
+const resultsCache = new Map();
+
+let searchTimeout = null;
+let latestQuery = '';
+let currentResults = [];
+let activeIndex = -1;
+
+/**
+ * Texto en minúsculas y sin acentos (para comparar)
+ */
+const normalize = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Deja solo letras, números y espacios (la API rechaza otros caracteres en ?search=)
+ */
+const sanitizeQuery = (query) => normalize(query)
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const getElements = () => ({
+    container: document.getElementById('global-search'),
+    input: document.getElementById('global-search-input'),
+    results: document.getElementById('global-search-results')
+});
+
+/**
+ * Competiciones del registro que coinciden con la búsqueda
+ */
+const searchLocalCompetitions = (query) => COMPETITIONS
+    .filter(c => normalize(c.name).includes(query) || normalize(c.country).includes(query))
+    .map(c => ({
+        type: 'competition',
+        id: c.id,
+        name: c.name,
+        subtitle: c.country,
+        logo: `https://media.api-sports.io/football/leagues/${c.id}.png`,
+        path: `/liga/${c.id}/${createSlug(c.name)}`
+    }));
+
+const mapTeam = ({ team }) => ({
+    type: 'team',
+    id: team.id,
+    name: team.name,
+    subtitle: team.country || '',
+    logo: team.logo,
+    path: `/equipo/${team.id}`
+});
+
+const mapCompetition = ({ league, country }) => ({
+    type: 'competition',
+    id: league.id,
+    name: league.name,
+    subtitle: country?.name || '',
+    logo: league.logo,
+    path: `/liga/${league.id}/${createSlug(league.name)}`
+});
+
+const mapPlayer = ({ player }) => ({
+    type: 'player',
+    id: player.id,
+    name: player.name,
+    subtitle: [player.position, player.nationality].filter(Boolean).join(' · '),
+    logo: player.photo || `https://media.api-sports.io/football/players/${player.id}.png`,
+    path: `/jugador/${player.id}`
+});
+
+/**
+ * Saca duplicados por ID y corta al máximo por grupo
+ */
+const uniqueById = (items) => {
+    const seen = new Set();
+    return items.filter(item => {
+        if (seen.has(item.id)) return false;
+        seen.add(item.id);
+        return true;
+    }).slice(0, MAX_RESULTS_PER_GROUP);
+};
+
+/**
+ * Busca en los tres endpoints a la vez
+ * @param {string} query - Búsqueda ya saneada
+ * @returns {Promise<Object>} { teams, competitions, players }
+ * @throws {Error} Si fallan las tres búsquedas
+ */
+const runSearch = async (query) => {
+    if (resultsCache.has(query)) return resultsCache.get(query);
+
+    const encoded = encodeURIComponent(query);
+    const [teams, leagues, players] = await Promise.allSettled([
+        fetchAPI(`/teams?search=${encoded}`),
+        fetchAPI(`/leagues?search=${encoded}`),
+        fetchAPI(`/players/profiles?search=${encoded}`)
+    ]);
+
+    if ([teams, leagues, players].every(r => r.status === 'rejected')) {
+        throw teams.reason;
+    }
+
+    const responseOf = (result) => (result.status === 'fulfilled' && result.value.response) || [];
+
+    const results = {
+        teams: uniqueById(responseOf(teams).map(mapTeam)),
+        competitions: uniqueById([...searchLocalCompetitions(query), ...responseOf(leagues).map(mapCompetition)]),
+        players: uniqueById(responseOf(players).map(mapPlayer))
+    };
+
+    // Una búsqueda con algún endpoint caído no se guarda (se reintenta la próxima vez)
+    if ([teams, leagues, players].every(r => r.status === 'fulfilled')) {
+        resultsCache.set(query, results);
+    }
+    return results;
+};
+
+const renderMessage = (text) => `<div class="px-4 py-6 text-center text-gray-600 text-xs uppercase tracking-widest">${text}</div>`;
+
+const renderItem = (item, index) => `
+    <div id="global-search-option-${index}" role="option" aria-selected="false" data-index="${index}"
+        onclick="app.selectSearchResult(${index})"
+        class="search-option flex items-center gap-3 px-4 py-2 cursor-pointer hover:bg-[#1a1a1a] transition-colors">
+        <img src="${item.logo}" class="w-7 h-7 object-contain shrink-0 ${item.type === 'player' ? 'rounded-full bg-[#111] object-cover' : ''}" loading="lazy" onerror="this.style.visibility='hidden'">
+        <div class="min-w-0">
+            <div class="text-sm font-bold text-white truncate">${item.name}</div>
+            ${item.subtitle ? `<div class="text-[10px] text-gray-500 uppercase tracking-wider truncate">${item.subtitle}</div>` : ''}
+        </div>
+    </div>
+`;
+
+/**
+ * Renderiza los resultados agrupados y arma la lista plana para el teclado
+ */
+const renderResults = (results) => {
+    const { results: resultsEl } = getElements();
+    if (!resultsEl) return;
+
+    const groups = [
+        { title: 'Equipos', items: results.teams },
+        { title: 'Competiciones', items: results.competitions },
+        { title: 'Jugadores', items: results.players }
+    ].filter(g => g.items.length > 0);
+
+    currentResults = groups.flatMap(g => g.items);
+    activeIndex = -1;
+
+    if (currentResults.length === 0) {
+        resultsEl.innerHTML = renderMessage('Sin resultados');
+        showResults(true);
+        return;
+    }
+
+    let index = 0;
+    resultsEl.innerHTML = groups.map(g => `
+        <div class="py-1">
+            <div class="px-4 pt-2 pb-1 text-[10px] font-bold text-gray-500 uppercase tracking-widest">${g.title}</div>
+            ${g.items.map(item => renderItem(item, index++)).join('')}
+        </div>
+    `).join('<div class="border-t border-[#1a1a1a]"></div>');
+    showResults(true);
+};
+
+const showResults = (visible) => {
+    const { input, results } = getElements();
+    if (!results) return;
+    results.classList.toggle('hidden', !visible);
+    if (input) input.setAttribute('aria-expanded', visible ? 'true' : 'false');
+};
+
+/**
+ * Marca un resultado como activo (teclado)
+ */
+const setActive = (index) => {
+    const { input, results } = getElements();
+    if (!results || currentResults.length === 0) return;
+
+    activeIndex = (index + currentResults.length) % currentResults.length;
+    results.querySelectorAll('.search-option').forEach(el => {
+        const isActive = parseInt(el.dataset.index) === activeIndex;
+        el.classList.toggle('bg-[#1a1a1a]', isActive);
+        el.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        if (isActive) el.scrollIntoView({ block: 'nearest' });
+    });
+    if (input) input.setAttribute('aria-activedescendant', `global-search-option-${activeIndex}`);
+};
+
+/**
+ * Maneja lo que se tipea (debounce)
+ */
+const handleInput = (value) => {
+    clearTimeout(searchTimeout);
+    const query = sanitizeQuery(value);
+    latestQuery = query;
+
+    if (query.length < MIN_QUERY_LENGTH) {
+        currentResults = [];
+        activeIndex = -1;
+        showResults(false);
+        return;
+    }
+
+    // Ya buscado: mostrar directo
+    if (resultsCache.has(query)) {
+        renderResults(resultsCache.get(query));
+        return;
+    }
+
+    const { results } = getElements();
+    results.innerHTML = '<div class="flex justify-center py-6"><div class="loader"></div></div>';
+    showResults(true);
+
+    searchTimeout = setTimeout(async () => {
+        try {
+            const data = await runSearch(query);
+            // Descartar respuestas de búsquedas viejas
+            if (query !== latestQuery) return;
+            renderResults(data);
+        } catch (e) {
+            console.error('Global search error:', e);
+            if (query !== latestQuery) return;
+            currentResults = [];
+            results.innerHTML = renderMessage('Error al buscar. Intenta nuevamente.');
+        }
+    }, DEBOUNCE_MS);
+};
+
+const handleKeydown = (e) => {
+    if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActive(activeIndex + 1);
+    } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(activeIndex - 1);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (currentResults.length > 0) selectSearchResult(Math.max(activeIndex, 0));
+    } else if (e.key === 'Escape') {
+        closeSearch();
+    }
+};
+
+/**
+ * Navega al resultado elegido
+ * @param {number} index - Posición en la lista de resultados
+ */
+export const selectSearchResult = (index) => {
+    const item = currentResults[index];
+    if (!item) return;
+    closeSearch();
+    navigate(item.path);
+};
+
+/**
+ * Abre el buscador y enfoca el input
+ */
+export const openSearch = () => {
+    const { container, input } = getElements();
+    if (!container) return;
+    container.classList.remove('hidden');
+    container.classList.add('flex');
+    if (input) input.focus();
+};
+
+/**
+ * Cierra el buscador (en desktop queda visible el input vacío)
+ */
+export const closeSearch = () => {
+    const { container, input } = getElements();
+    clearTimeout(searchTimeout);
+    latestQuery = '';
+    currentResults = [];
+    activeIndex = -1;
+    showResults(false);
+    if (input) {
+        input.value = '';
+        input.removeAttribute('aria-activedescendant');
+        input.blur();
+    }
+    if (container) {
+        container.classList.add('hidden');
+        container.classList.remove('flex');
+    }
+};
+
+/**
+ * Conecta el input del header
+ */
+export const initSearch = () => {
+    const { container, input } = getElements();
+    if (!container || !input) return;
+
+    input.addEventListener('input', (e) => handleInput(e.target.value));
+    input.addEventListener('keydown', handleKeydown);
+
+    // Volver a mostrar los resultados al re-enfocar
+    input.addEventListener('focus', () => {
+        if (currentResults.length > 0) showResults(true);
+    });
+
+    // Cerrar al hacer click fuera
+    document.addEventListener('click', (e) => {
+        const trigger = document.getElementById('global-search-btn');
+        if (container.contains(e.target) || (trigger && trigger.contains(e.target))) return;
+        showResults(false);
+        // En mobile el buscador es un overlay: se cierra entero
+        if (container.classList.contains('flex') && window.innerWidth < 1024) closeSearch();
+    });
+};
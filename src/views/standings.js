@@ -3,81 +3,270 @@
  * 
  * Propósito: Manejar vista de tabla de posiciones con layout dividido
  * 
+ * Con partidos en vivo la tabla se reordena con los criterios de desempate de la
+ * competición (core/tiebreakers.js) y marca con flechas la posición provisoria.
+ * La Liga Profesional suma la pestaña PROMEDIOS de las últimas tres temporadas (core/promedios.js).
+ *
  * Exports:
  * - showStandings(id, name): Muestra tabla de una liga y calendario
+ * - leaveStandings(): Deja de escuchar los partidos en vivo (al salir de la vista)
  * - changeSeason(year): Cambia la temporada
  * - processStandings(data): Procesa datos de standings
  * - renderTable(groupIndex): Renderiza tabla específica
+ * - setTableMode(mode) / setTableSplit(split) / sortTable(key): Modo, local / visitante y orden de la tabla
  * - changeRound(round): Cambia la fecha del calendario
  * - toggleSidebarInLeague(): Muestra/oculta sidebar de ligas
+ * - switchLeagueTab(tab): Cambia entre la tabla, la evolución y los rankings de jugadores (?tab= en la URL)
  */
 
-import { fetchAPI } from '../core/api.js';
-import { showOnly, hideView } from '../core/dom.js';
+import { fetchAPI, fetchAPIWithMeta, subscribeAPI } from '../core/api.js';
+import { showOnly, hideView, formatUpdatedAgo } from '../core/dom.js';
+import { updateQuery } from '../core/router.js';
+import { subscribeLive, trackFixtures, applyLiveUpdate } from '../core/live.js';
+import { renderApiError } from './errorState.js';
+import { getCurrentSeason, formatSeasonLabel } from '../core/seasons.js';
+import { isCup, isGroupsKnockout, getTiebreakers, getHeadToHeadLegs } from '../data/competitions.js';
+import { rankStandings, fairPlayPoints } from '../core/tiebreakers.js';
+import { PROMEDIOS_LEAGUE_ID, RELEGATED_BY_PROMEDIOS, loadPromediosHistory, buildPromediosTable, sortPromedios } from '../core/promedios.js';
+import { loadFavoriteTeams, isFavoriteTeam } from '../core/favorites.js';
+import { renderEvolution } from './standingsEvolution.js';
 
 // State extended for fixtures
 const state = {
     selectedLeague: null,
     season: 2024,
+    currentSeason: 2024,
     standingsData: null,
     rounds: [],
     currentRound: null,
     fixtures: [],
-    liveFixtures: []
+    liveFixtures: [],
+    activeGroup: 0,
+    standingsUpdatedAt: null,
+    leagueTab: 'tabla',
+    tableMode: null, // 'compact' | 'detailed' (null = según el ancho de pantalla)
+    tableSplit: 'all',
+    tableSort: { key: 'rank', dir: 'asc' },
+    seasonFixtures: null, // Partidos terminados de la temporada (para el desempate entre sí)
+    fairPlay: new Map(), // teamId → puntos de fair play (para el desempate por tarjetas)
+    standingsSource: null, // standings tal como llegaron de la API (sin la tabla de promedios)
+    promedios: null // { season, history } de core/promedios.js (Liga Profesional)
 };
 
-// IDs de ligas europeas (para formato de temporada)
-const EUROPEAN_LEAGUES = [39, 140, 78, 135, 61, 2, 3, 143, 137]; // PL, LaLiga, Bundesliga, SerieA, Ligue1, UCL, UEL, CopaRey, CoppaItalia
-// IDs de Copas (para vista de Bracket)
-const CUP_LEAGUES = [130, 137, 143]; // Copa Argentina, Coppa Italia, Copa del Rey
-// IDs de Mundiales (Grupos + Eliminatorias)
-const WORLD_CUP_LEAGUES = [1]; // FIFA World Cup
+// Datos de desempate pedidos y todavía sin respuesta
+let loadingSeasonFixtures = false;
+const loadingFairPlay = new Set();
+
+// Rankings de jugadores de la vista de liga (key = valor de ?tab=)
+const LEADERBOARDS = {
+    goleadores: { endpoint: 'topscorers', label: 'Goleadores', valueLabel: 'Goles', value: s => s.goals.total ?? 0 },
+    asistencias: { endpoint: 'topassists', label: 'Asistencias', valueLabel: 'Asist', value: s => s.goals.assists ?? 0 },
+    amarillas: { endpoint: 'topyellowcards', label: 'Amarillas', valueLabel: 'TA', value: s => s.cards.yellow ?? 0 },
+    rojas: { endpoint: 'topredcards', label: 'Rojas', valueLabel: 'TR', value: s => (s.cards.red ?? 0) + (s.cards.yellowred ?? 0) }
+};
+
+// Pestañas de la vista de liga que no son rankings
+const EVOLUTION_TAB = 'evolucion';
+const isLeagueTab = (tab) => tab === 'tabla' || tab === EVOLUTION_TAB || !!LEADERBOARDS[tab];
+
+// Marca de equipo favorito en las tablas
+const FAVORITE_STAR = '<svg xmlns="http://www.w3.org/2000/svg" class="w-3 h-3 text-yellow-500 shrink-0" viewBox="0 0 24 24" fill="currentColor"><title>Mis equipos</title><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>';
+
+// Suscripción stale-while-revalidate a la tabla mostrada
+let unsubscribeStandings = null;
+let loadingStandingsEndpoint = null;
+
+// Suscripción a los partidos en vivo (solo mientras la vista está abierta)
+let unsubscribeLiveStandings = null;
 
 /**
- * Determina la temporada actual para una liga
- * @param {number} leagueId 
+ * Aplica los cambios en vivo: tabla en vivo y partidos de la fecha mostrada
+ * @param {Object} payload - { changes, liveFixtures } publicado por el módulo de vivo
  */
-const determineCurrentSeason = (leagueId) => {
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const month = now.getMonth() + 1; // 1-12
-
-    if (EUROPEAN_LEAGUES.includes(parseInt(leagueId))) {
-        // En Europa, si estamos en la segunda mitad del año (Agosto+), es el inicio de temporada (ej: 2025 para 25/26)
-        // Si estamos en la primera mitad (Enero-Julio), es el final de la temporada que empezó el año anterior (ej: 2024 para 24/25)
-        if (month >= 7) {
-            return currentYear;
-        } else {
-            return currentYear - 1;
+const handleStandingsLiveChanges = ({ changes, liveFixtures }) => {
+    const viewStandings = document.getElementById('view-standings');
+    if (!state.selectedLeague || !viewStandings || viewStandings.classList.contains('hidden')) return;
+
+    const leagueId = parseInt(state.selectedLeague.id);
+    state.liveFixtures = liveFixtures;
+
+    // Solo re-renderizar si cambió algo de esta liga
+    const leagueChanges = changes.filter(c => c.match.league.id === leagueId);
+    if (leagueChanges.length === 0) return;
+
+    let fixturesChanged = false;
+    leagueChanges.forEach(({ fixtureId, match }) => {
+        const fixture = (state.fixtures || []).find(f => f.fixture.id === fixtureId);
+        if (fixture) {
+            applyLiveUpdate(fixture, match);
+            fixturesChanged = true;
         }
-    } else {
-        // En América (anual), la temporada es simplemente el año actual
-        return currentYear;
+    });
+
+    if (fixturesChanged && document.getElementById('fixtures-list')) renderFixtures();
+    if (state.standingsData && document.getElementById('standings-table-container') && !isGroupsKnockout(leagueId)) {
+        renderTable(state.activeGroup);
     }
 };
 
 /**
- * Formatea el label de la temporada
- * @param {number} seasonYear 
- * @param {number} leagueId 
+ * Deja de escuchar los partidos en vivo (al salir de la ruta /liga)
  */
-const formatSeasonLabel = (seasonYear, leagueId) => {
-    if (EUROPEAN_LEAGUES.includes(parseInt(leagueId))) {
-        const nextYear = (seasonYear + 1).toString().slice(-2);
-        const current = seasonYear.toString().slice(-2);
-        return `${current}/${nextYear}`;
+export const leaveStandings = () => {
+    if (unsubscribeLiveStandings) {
+        unsubscribeLiveStandings();
+        unsubscribeLiveStandings = null;
     }
-    return seasonYear.toString();
 };
 
+
 /**
  * Cambia la temporada
  * @param {number|string} year - Año de la temporada
  */
 export const changeSeason = (year) => {
-    state.season = parseInt(year);
     if (state.selectedLeague) {
-        showStandings(state.selectedLeague.id, state.selectedLeague.name);
+        showStandings({ ...state.selectedLeague, season: parseInt(year), tab: state.leagueTab });
+    }
+};
+
+/**
+ * Barra de tabs de la vista de liga (tabla + evolución + rankings)
+ */
+const renderLeagueTabs = () => {
+    const tabs = [['tabla', 'Tabla'], [EVOLUTION_TAB, 'Evolución'], ...Object.entries(LEADERBOARDS).map(([key, board]) => [key, board.label])];
+    return `
+        <div id="league-tabs" class="flex border-b border-[#222] overflow-x-auto no-scrollbar mb-4">
+            ${tabs.map(([key, label]) => `
+                <button data-league-tab="${key}" onclick="app.switchLeagueTab('${key}')"
+                    class="league-tab-btn flex-1 py-3 px-4 text-xs font-bold text-gray-500 hover:text-gray-300 whitespace-nowrap uppercase">
+                    ${label}
+                </button>
+            `).join('')}
+        </div>
+    `;
+};
+
+/**
+ * Cambia entre la tabla, la evolución y los rankings de jugadores
+ * @param {string} tab - 'tabla', 'evolucion' o una key de LEADERBOARDS
+ * @param {Object} options - { syncUrl: false para no tocar la URL (carga inicial) }
+ */
+export const switchLeagueTab = (tab, { syncUrl = true } = {}) => {
+    const activeTab = isLeagueTab(tab) ? tab : 'tabla';
+    state.leagueTab = activeTab;
+
+    document.querySelectorAll('.league-tab-btn').forEach(btn => {
+        const isActive = btn.dataset.leagueTab === activeTab;
+        btn.classList.toggle('text-white', isActive);
+        btn.classList.toggle('border-b-2', isActive);
+        btn.classList.toggle('border-white', isActive);
+        btn.classList.toggle('text-gray-500', !isActive);
+    });
+
+    const tableContent = document.getElementById('league-table-content');
+    const leadersContent = document.getElementById('league-leaders-content');
+    const evolutionContent = document.getElementById('league-evolution-content');
+    if (tableContent) tableContent.classList.toggle('hidden', activeTab !== 'tabla');
+    if (leadersContent) leadersContent.classList.toggle('hidden', !LEADERBOARDS[activeTab]);
+    if (evolutionContent) evolutionContent.classList.toggle('hidden', activeTab !== EVOLUTION_TAB);
+
+    if (LEADERBOARDS[activeTab]) loadLeaderboard(activeTab);
+    if (activeTab === EVOLUTION_TAB && evolutionContent && state.selectedLeague) {
+        renderEvolution(evolutionContent, parseInt(state.selectedLeague.id), state.season, fetchSeasonFixtures);
+    }
+
+    // La URL apunta al tab para poder compartirlo
+    if (syncUrl) updateQuery({ tab: activeTab === 'tabla' ? null : activeTab });
+};
+
+/**
+ * Carga y renderiza un ranking de jugadores de la liga y temporada mostradas
+ * @param {string} tab - Key de LEADERBOARDS
+ */
+const loadLeaderboard = async (tab) => {
+    const container = document.getElementById('league-leaders-content');
+    if (!container || !state.selectedLeague) return;
+
+    const board = LEADERBOARDS[tab];
+    const leagueId = parseInt(state.selectedLeague.id);
+    const season = state.season;
+    const isCurrent = () => state.leagueTab === tab && state.season === season &&
+        state.selectedLeague && parseInt(state.selectedLeague.id) === leagueId;
+
+    container.innerHTML = `<div class="flex justify-center py-20"><div class="loader"></div></div>`;
+
+    try {
+        const data = await fetchAPI(`/players/${board.endpoint}?league=${leagueId}&season=${season}`);
+        if (!isCurrent()) return;
+
+        const rows = (data.response || []).map(item => {
+            const stats = item.statistics.find(s => s.league.id === leagueId) || item.statistics[0];
+            return { player: item.player, stats, value: board.value(stats) };
+        }).filter(r => r.value > 0);
+
+        if (rows.length === 0) {
+            container.innerHTML = `<div class="text-center text-gray-500 py-20 text-xs uppercase tracking-widest">Sin datos para esta temporada.</div>`;
+            return;
+        }
+
+        // Mismo valor = mismo puesto
+        rows.sort((a, b) => b.value - a.value);
+        rows.forEach((r, i) => {
+            r.rank = i > 0 && rows[i - 1].value === r.value ? rows[i - 1].rank : i + 1;
+        });
+
+        container.innerHTML = `
+            <div class="bg-[#0a0a0a] border border-[#222] overflow-hidden rounded-lg mx-2 mb-3 md:mx-3">
+                <div class="px-4 py-3 bg-[#111] border-b border-[#222]">
+                    <h3 class="text-xs font-bold text-gray-400 uppercase tracking-widest">${board.label} ${formatSeasonLabel(season, leagueId)}</h3>
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="w-full text-left text-gray-400">
+                        <thead class="text-[9px] md:text-[10px] text-gray-500 uppercase bg-[#0f0f0f] border-b border-[#222] tracking-widest">
+                            <tr>
+                                <th class="px-2 py-2 md:px-3 md:py-3 text-center w-6 md:w-8">#</th>
+                                <th class="px-2 py-2 md:px-3 md:py-3">Jugador</th>
+                                <th class="px-2 py-2 md:px-3 md:py-3 hidden md:table-cell">Equipo</th>
+                                <th class="px-1 py-2 md:px-2 md:py-3 text-center">PJ</th>
+                                <th class="px-1 py-2 md:px-2 md:py-3 text-center text-white">${board.valueLabel}</th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y divide-[#1a1a1a]">
+                            ${rows.map(({ player, stats, value, rank }) => `
+                                <tr class="${isFavoriteTeam(stats.team.id) ? 'bg-yellow-500/5' : ''} hover:bg-[#111] transition-colors">
+                                    <td class="px-2 py-2 md:px-3 md:py-3 text-center text-gray-500 border-r border-[#222] text-[10px] md:text-xs">${rank}</td>
+                                    <td class="px-2 py-2 md:px-3 md:py-3">
+                                        <div class="flex items-center gap-2 md:gap-3 min-w-0">
+                                            <img src="${player.photo}" class="w-6 h-6 md:w-8 md:h-8 rounded-full object-cover bg-[#111] border border-[#333] shrink-0 cursor-pointer" onclick="app.navigate('/jugador/${player.id}')">
+                                            <div class="min-w-0">
+                                                <div class="font-bold text-gray-300 uppercase text-[10px] md:text-xs truncate cursor-pointer hover:text-white transition-colors" onclick="app.navigate('/jugador/${player.id}')">${player.name}</div>
+                                                <div class="md:hidden flex items-center gap-1 text-[10px] text-gray-600 truncate cursor-pointer hover:text-gray-400" onclick="app.navigate('/equipo/${stats.team.id}')">
+                                                    <img src="${stats.team.logo}" class="w-3 h-3 object-contain"> ${stats.team.name}
+                                                </div>
+                                            </div>
+                                        </div>
+                                    </td>
+                                    <td class="px-2 py-2 md:px-3 md:py-3 hidden md:table-cell">
+                                        <div class="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase whitespace-nowrap cursor-pointer hover:text-white transition-colors" onclick="app.navigate('/equipo/${stats.team.id}')">
+                                            <img src="${stats.team.logo}" class="w-5 h-5 object-contain">
+                                            ${stats.team.name}
+                                            ${isFavoriteTeam(stats.team.id) ? FAVORITE_STAR : ''}
+                                        </div>
+                                    </td>
+                                    <td class="px-1 py-2 md:px-2 md:py-3 text-center font-mono text-[10px] md:text-xs">${stats.games.appearences ?? '-'}</td>
+                                    <td class="px-1 py-2 md:px-2 md:py-3 text-center font-bold text-white bg-[#111]/50 text-[10px] md:text-xs">${value}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    } catch (e) {
+        console.error(`Error loading ${board.endpoint}:`, e);
+        if (!isCurrent()) return;
+        renderApiError(container, e, `app.switchLeagueTab('${tab}')`, () => loadLeaderboard(tab));
     }
 };
 
@@ -118,6 +307,7 @@ const fetchFixturesByRound = async (leagueId, season, round) => {
 
         const data = await fetchAPI(`/fixtures?league=${leagueId}&season=${season}&round=${round}&timezone=America/Argentina/Buenos_Aires`);
         state.fixtures = data.response;
+        trackFixtures(state.fixtures);
         renderFixtures();
     } catch (e) {
         console.error("Error fetching fixtures:", e);
@@ -214,7 +404,7 @@ const renderFixtures = () => {
         const scoreAway = m.goals.away ?? '-';
 
         return `
-            <div class="bg-[#1a1a1a] border border-[#333] rounded p-3 hover:bg-[#222] transition-colors cursor-pointer" onclick="app.openDetailWithTab(${m.fixture.id}, 'forum')">
+            <div class="bg-[#1a1a1a] border border-[#333] rounded p-3 hover:bg-[#222] transition-colors cursor-pointer" onclick="app.navigate('/partido/${m.fixture.id}/foro')">
                 <div class="flex justify-between items-center mb-2 text-[10px] text-gray-500 font-bold uppercase tracking-widest">
                     <span>${dayName}</span>
                     <span class="${isLive ? 'text-red-500 animate-pulse' : ''}">${isLive ? `${m.fixture.status.elapsed}'` : (status === 'PEN' ? 'PEN' : (isFin ? 'FINAL' : time))}</span>
@@ -292,7 +482,7 @@ const renderAllWorldCupGroups = () => {
             // So actually 1st and 2nd are Green. 3rd might be Yellow.
 
             return `
-                                    <tr class="hover:bg-[#111] transition-colors relative">
+                                    <tr class="${isFavoriteTeam(t.team.id) ? 'bg-yellow-500/5' : ''} hover:bg-[#111] transition-colors relative">
                                         <td class="px-2 py-2 md:px-3 md:py-3 text-center text-gray-500 border-r border-[#222] text-[10px] md:text-xs relative">
                                             ${indicatorClass ? `<div class="absolute left-0 top-2 bottom-2 w-[3px] ${indicatorClass} rounded-r"></div>` : ''}
                                             ${rank}
@@ -300,6 +490,7 @@ const renderAllWorldCupGroups = () => {
                                         <td class="px-2 py-2 md:px-3 md:py-3 font-bold text-gray-300 flex items-center gap-2 md:gap-3 whitespace-nowrap uppercase text-[10px] md:text-xs cursor-pointer hover:text-white transition-colors" onclick="event.stopPropagation(); app.navigate('/equipo/${t.team.id}')">
                                             <img src="${t.team.logo}" class="w-4 h-4 md:w-6 md:h-6 object-contain">
                                             ${t.team.name}
+                                            ${isFavoriteTeam(t.team.id) ? FAVORITE_STAR : ''}
                                         </td>
                                         <td class="px-1 py-2 md:px-2 md:py-3 text-center font-bold text-white bg-[#111]/50 text-[10px] md:text-xs">${t.points}</td>
                                         <td class="px-1 py-2 md:px-2 md:py-3 text-center font-mono text-[10px] md:text-xs">${t.all.played}</td>
@@ -325,89 +516,428 @@ const renderAllWorldCupGroups = () => {
 
 };
 
+/**
+ * Zonas de la tabla según el campo `description` de la API (por puesto)
+ * El orden importa: el primer patrón que coincide define el color.
+ */
+const ZONE_RULES = [
+    { pattern: /^relegation/i, className: 'bg-red-600', label: 'Descenso' },
+    { pattern: /relegation/i, className: 'bg-yellow-500', label: 'Promoción / Descenso' },
+    { pattern: /libertadores.*(qualif|preliminar)/i, className: 'bg-yellow-500', label: 'Libertadores (fase previa)' },
+    { pattern: /libertadores/i, className: 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]', label: 'Copa Libertadores' },
+    { pattern: /sudamericana/i, className: 'bg-blue-600', label: 'Copa Sudamericana' },
+    { pattern: /champions league.*(qualif|play)/i, className: 'bg-cyan-500', label: 'Champions League (fase previa)' },
+    { pattern: /champions league/i, className: 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]', label: 'Champions League' },
+    { pattern: /europa league/i, className: 'bg-blue-600', label: 'Europa League' },
+    { pattern: /conference league/i, className: 'bg-cyan-500', label: 'Conference League' },
+    { pattern: /promotion|play-?offs?|final series|next round|qualif/i, className: 'bg-green-500', label: null }
+];
+
+// Columnas ordenables de la tabla detallada (key → label)
+const SORTABLE_COLUMNS = {
+    points: 'Pts', played: 'PJ', win: 'G', draw: 'E', lose: 'P', goalsFor: 'GF', goalsAgainst: 'GC', diff: 'DG'
+};
+
+// Breakpoint `lg` de Tailwind: debajo, la tabla compacta es la default
+const DETAILED_TABLE_MIN_WIDTH = 1024;
+
+// Zona de descenso de la tabla de promedios (últimos RELEGATED_BY_PROMEDIOS)
+const PROMEDIOS_RELEGATION_ZONE = { className: 'bg-red-600', label: 'Descenso por promedios' };
+
+/**
+ * Zona de un puesto según `description` (null si no hay regla)
+ * @param {string} description
+ * @returns {Object|null} { className, label }
+ */
+const zoneFromDescription = (description) => {
+    if (!description) return null;
+    const rule = ZONE_RULES.find(r => r.pattern.test(description));
+    return rule ? { className: rule.className, label: rule.label || description } : null;
+};
+
+/**
+ * Zonas por liga cuando la API no informa `description`
+ */
+const legacyZoneClass = (leagueId, rank, totalTeams, group) => {
+    let indicatorClass = '';
+
+    // BRASILEIRAO (71)
+    if (leagueId === 71) {
+        if (rank >= 1 && rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]'; // Lib
+        else if (rank === 5) indicatorClass = 'bg-yellow-500'; // Repechaje Lib
+        else if (rank >= 6 && rank <= 11) indicatorClass = 'bg-blue-600'; // Sudamericana
+        else if (rank >= 17) indicatorClass = 'bg-red-600'; // Descenso (User said 18-20, usually 17-20 is 4 teams)
+    }
+    // ARGENTINA (128)
+    else if (leagueId === 128) {
+        if (group.includes('Group') || group.includes('ZONA')) {
+            // Zona A/B: 1-8 Clasifican
+            if (rank <= 8) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
+        } else {
+            // Annual Table
+            if (rank === 1) indicatorClass = 'bg-orange-500 shadow-[0_0_8px_rgba(249,115,22,0.5)]'; // Campeon
+            else if (rank >= 2 && rank <= 3) indicatorClass = 'bg-green-500'; // Lib
+            else if (rank >= 4 && rank <= 9) indicatorClass = 'bg-blue-600'; // Sudamericana
+            else if (rank === totalTeams) indicatorClass = 'bg-red-600'; // Descenso
+        }
+    }
+    // PREMIER LEAGUE (39)
+    else if (leagueId === 39) {
+        if (rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
+        else if (rank === 5) indicatorClass = 'bg-blue-600';
+        else if (rank >= 18) indicatorClass = 'bg-red-600';
+    }
+    // LA LIGA (140)
+    else if (leagueId === 140) {
+        if (rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
+        else if (rank === 5) indicatorClass = 'bg-blue-600';
+        else if (rank === 6) indicatorClass = 'bg-cyan-500';
+        else if (rank >= 18) indicatorClass = 'bg-red-600';
+    }
+    // BUNDESLIGA (78)
+    else if (leagueId === 78) {
+        if (rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
+        else if (rank === 5) indicatorClass = 'bg-blue-600';
+        else if (rank === 6) indicatorClass = 'bg-cyan-500';
+        else if (rank === 16) indicatorClass = 'bg-yellow-500'; // Repechaje
+        else if (rank >= 17) indicatorClass = 'bg-red-600';
+    }
+
+    return indicatorClass;
+};
+
+/**
+ * Fila de la tabla con los números del bloque elegido (all / home / away)
+ * @param {Object} t - Equipo de la API (con liveMatch si juega ahora)
+ * @param {string} split - 'all' | 'home' | 'away'
+ */
+const buildTableRow = (t, split) => {
+    const block = t[split] || t.all;
+    const goalsFor = block.goals.for ?? 0;
+    const goalsAgainst = block.goals.against ?? 0;
+    return {
+        team: t.team,
+        rank: t.rank,
+        group: t.group || '',
+        form: t.form,
+        liveMatch: t.liveMatch,
+        officialRank: t.officialRank,
+        seasonPoints: t.seasonPoints,
+        played: block.played ?? 0,
+        win: block.win ?? 0,
+        draw: block.draw ?? 0,
+        lose: block.lose ?? 0,
+        goalsFor,
+        goalsAgainst,
+        diff: split === 'all' ? t.goalsDiff : goalsFor - goalsAgainst,
+        points: split === 'all' ? t.points : (block.win ?? 0) * 3 + (block.draw ?? 0)
+    };
+};
+
+/**
+ * Pide los datos que faltan para desempatar y vuelve a renderizar la tabla
+ * - Partidos terminados de la temporada (desempate entre sí)
+ * - Tarjetas de los equipos que siguen empatados (fair play)
+ * Si un pedido falla se guarda vacío / en 0 para no reintentar en cada render.
+ * @param {Object} missing - { headToHead, fairPlayTeams } devuelto por rankStandings
+ */
+const loadTiebreakData = (missing) => {
+    if (!state.selectedLeague) return;
+    const leagueId = parseInt(state.selectedLeague.id);
+    const season = state.season;
+    const isCurrent = () => state.selectedLeague && parseInt(state.selectedLeague.id) === leagueId && state.season === season;
+    const rerender = () => {
+        if (isCurrent() && state.standingsData && document.getElementById('standings-table-container')) {
+            renderTable(state.activeGroup);
+        }
+    };
+
+    if (missing.headToHead && !loadingSeasonFixtures) {
+        loadingSeasonFixtures = true;
+        fetchAPI(`/fixtures?league=${leagueId}&season=${season}&status=FT-AET-PEN`)
+            .then(data => { if (isCurrent()) state.seasonFixtures = data.response || []; })
+            .catch(e => {
+                console.error('Error fetching season fixtures for tiebreakers:', e);
+                if (isCurrent()) state.seasonFixtures = [];
+            })
+            .finally(() => {
+                loadingSeasonFixtures = false;
+                rerender();
+            });
+    }
+
+    const pendingTeams = missing.fairPlayTeams.filter(id => !loadingFairPlay.has(id));
+    if (pendingTeams.length > 0) {
+        pendingTeams.forEach(id => loadingFairPlay.add(id));
+        Promise.all(pendingTeams.map(teamId =>
+            fetchAPI(`/teams/statistics?league=${leagueId}&season=${season}&team=${teamId}`)
+                .then(data => fairPlayPoints(data.response?.cards))
+                .catch(e => {
+                    console.error('Error fetching team cards for tiebreakers:', e);
+                    return 0;
+                })
+                .then(points => {
+                    loadingFairPlay.delete(teamId);
+                    if (isCurrent()) state.fairPlay.set(teamId, points);
+                })
+        )).then(rerender);
+    }
+};
+
+/**
+ * Cambia el modo de la tabla: compacta / detallada
+ * @param {string} mode - 'compact' | 'detailed'
+ */
+export const setTableMode = (mode) => {
+    state.tableMode = mode === 'detailed' ? 'detailed' : 'compact';
+    renderTable(state.activeGroup);
+};
+
+/**
+ * Cambia los números de la tabla: total / local / visitante
+ * @param {string} split - 'all' | 'home' | 'away'
+ */
+export const setTableSplit = (split) => {
+    state.tableSplit = ['home', 'away'].includes(split) ? split : 'all';
+    renderTable(state.activeGroup);
+};
+
+/**
+ * Ordena la tabla detallada por una columna (segundo click invierte; '#' vuelve al orden oficial)
+ * @param {string} key - Key de SORTABLE_COLUMNS o 'rank'
+ */
+export const sortTable = (key) => {
+    if (!SORTABLE_COLUMNS[key]) {
+        state.tableSort = { key: 'rank', dir: 'asc' };
+    } else if (state.tableSort.key === key) {
+        state.tableSort = { key, dir: state.tableSort.dir === 'desc' ? 'asc' : 'desc' };
+    } else {
+        // Goles en contra: menos es mejor
+        state.tableSort = { key, dir: key === 'goalsAgainst' || key === 'lose' ? 'asc' : 'desc' };
+    }
+    renderTable(state.activeGroup);
+};
+
+/**
+ * Botonera de la tabla (modo y local / visitante)
+ */
+const renderTableControls = (isDetailed) => {
+    const pill = (active) => active
+        ? 'bg-white text-black border-white'
+        : 'bg-transparent text-gray-400 border-[#333] hover:border-white hover:text-white';
+    const splits = [['all', 'Total'], ['home', 'Local'], ['away', 'Visitante']];
+
+    return `
+        <div class="flex items-center gap-1">
+            ${splits.map(([key, label]) => `
+                <button onclick="app.setTableSplit('${key}')" class="px-2.5 py-1 text-[10px] font-bold uppercase tracking-widest rounded-full border transition-all ${pill(state.tableSplit === key)}">${label}</button>
+            `).join('')}
+        </div>
+        <button onclick="app.setTableMode('${isDetailed ? 'compact' : 'detailed'}')" class="px-2.5 py-1 text-[10px] font-bold uppercase tracking-widest rounded-full border transition-all ${pill(false)}" title="${isDetailed ? 'Ver tabla compacta' : 'Ver todas las columnas'}">
+            ${isDetailed ? 'Compacta' : 'Detallada'}
+        </button>
+    `;
+};
+
 /**
  * Renderiza una tabla específica (para ligas con grupos)
  * @param {number} groupIndex - Índice del grupo a renderizar
  */
 export const renderTable = (groupIndex) => {
+    state.activeGroup = groupIndex;
     // Clone table to safely mutate/sort
     let table = JSON.parse(JSON.stringify(state.standingsData[groupIndex]));
     const container = document.getElementById('standings-table-container');
 
     if (!container || !table || table.length === 0) return;
 
-    // --- LIVE SORTING LOGIC ---
-    if (state.liveFixtures && state.liveFixtures.length > 0) {
+    // Zonas por puesto oficial (antes de reordenar por los partidos en vivo)
+    const zonesByRank = new Map(table.map(t => [t.rank, zoneFromDescription(t.description)]));
+    const hasDescriptions = [...zonesByRank.values()].some(Boolean);
+
+    // --- POSICIONES PROVISORIAS (partidos en vivo de esta liga) ---
+    const leagueId = state.selectedLeague ? parseInt(state.selectedLeague.id) : 0;
+    const leagueLive = (state.liveFixtures || []).filter(m => m.league.id === leagueId);
+    const isPromedios = table[0].group && (table[0].group.includes('Promedio') || table[0].group === 'PROMEDIOS');
+    let isProvisional = false;
+    // Equipos con resultado en vivo: los empates entre los demás quedan como en la tabla oficial
+    const liveTeams = new Set();
+
+    if (leagueLive.length > 0) {
         table.forEach(t => {
-            const match = state.liveFixtures.find(m => m.teams.home.id === t.team.id || m.teams.away.id === t.team.id);
-            // Attach match for rendering later
+            const match = leagueLive.find(m => m.teams.home.id === t.team.id || m.teams.away.id === t.team.id);
             t.liveMatch = match;
-
-            if (match) {
-                const isHome = match.teams.home.id === t.team.id;
-                const myScore = isHome ? (match.goals.home ?? 0) : (match.goals.away ?? 0);
-                const oppScore = isHome ? (match.goals.away ?? 0) : (match.goals.home ?? 0);
-
-                // Update Stats for Sorting
-                t.all.played += 1; // Live match counts as played
-                t.goalsDiff += (myScore - oppScore);
-                t.all.goals.for += myScore;
-
-                // Update Points
-                if (myScore > oppScore) {
-                    t.points += 3;
-                } else if (myScore === oppScore) {
-                    t.points += 1;
-                }
+            t.officialRank = t.rank;
+            if (!match) return;
+            isProvisional = true;
+            liveTeams.add(t.team.id);
+
+            const isHome = match.teams.home.id === t.team.id;
+            const myScore = isHome ? (match.goals.home ?? 0) : (match.goals.away ?? 0);
+            const oppScore = isHome ? (match.goals.away ?? 0) : (match.goals.home ?? 0);
+            const result = myScore > oppScore ? 'win' : (myScore === oppScore ? 'draw' : 'lose');
+
+            // Total y el bloque local / visitante del partido (el partido en vivo cuenta como jugado)
+            [t.all, isHome ? t.home : t.away].forEach(block => {
+                if (!block) return;
+                block.played += 1;
+                block[result] += 1;
+                block.goals.for += myScore;
+                block.goals.against += oppScore;
+            });
+            t.goalsDiff += (myScore - oppScore);
+            const earned = result === 'win' ? 3 : (result === 'draw' ? 1 : 0);
+            t.points += earned;
+
+            // Promedios: la temporada actual es la última columna
+            const currentSeason = t.seasonPoints && t.seasonPoints[t.seasonPoints.length - 1];
+            if (currentSeason) {
+                currentSeason.points += earned;
+                currentSeason.played += 1;
             }
         });
+    }
 
-        // Re-Sort based on updated valid props
-        const isPromediosSort = table[0].group && (table[0].group.includes('Promedio') || table[0].group === 'PROMEDIOS');
-
-        if (isPromediosSort) {
-            table.sort((a, b) => {
-                const avgA = a.all.played > 0 ? (a.points / a.all.played) : 0;
-                const avgB = b.all.played > 0 ? (b.points / b.all.played) : 0;
-                return avgB - avgA;
-            });
+    if (isProvisional) {
+        if (isPromedios) {
+            sortPromedios(table);
         } else {
-            table.sort((a, b) => {
-                if (a.points !== b.points) return b.points - a.points;
-                if (a.goalsDiff !== b.goalsDiff) return b.goalsDiff - a.goalsDiff;
-                return b.all.goals.for - a.all.goals.for;
+            const { table: ranked, missing } = rankStandings(table, getTiebreakers(leagueId), {
+                fixtures: state.seasonFixtures && [...state.seasonFixtures, ...leagueLive],
+                fairPlay: state.fairPlay,
+                h2hLegs: getHeadToHeadLegs(leagueId),
+                changedTeams: liveTeams
             });
+            table = ranked;
+            loadTiebreakData(missing);
         }
-
-        // Re-Rank
-        table.forEach((t, i) => t.rank = i + 1);
     }
     // --------------------------
 
-    const isPromedios = table[0].group && (table[0].group.includes('Promedio') || table[0].group === 'PROMEDIOS');
     const ptsLabel = isPromedios ? 'PROM' : 'Pts';
 
+    // Promedios solo tiene sentido sobre el total y en la vista compacta
+    if (!state.tableMode) state.tableMode = window.innerWidth >= DETAILED_TABLE_MIN_WIDTH ? 'detailed' : 'compact';
+    const isDetailed = !isPromedios && state.tableMode === 'detailed';
+    const split = isPromedios ? 'all' : state.tableSplit;
+
+    let rows = table.map(t => buildTableRow(t, split));
+
+    // Local / visitante: posiciones propias de ese bloque
+    if (split !== 'all') {
+        rows.sort((a, b) => b.points - a.points || b.diff - a.diff || b.goalsFor - a.goalsFor);
+        rows.forEach((r, i) => r.rank = i + 1);
+    }
+
+    // Orden por columna (la posición mostrada sigue siendo la de la tabla)
+    const { key: sortKey, dir: sortDir } = state.tableSort;
+    if (isDetailed && SORTABLE_COLUMNS[sortKey]) {
+        rows.sort((a, b) => (sortDir === 'desc' ? b[sortKey] - a[sortKey] : a[sortKey] - b[sortKey]) || a.rank - b.rank);
+    }
+
+    const totalTeams = rows.length;
+    // Promedios: puestos por debajo de la línea de descenso (se mueve con los partidos en vivo)
+    const relegationRank = totalTeams - RELEGATED_BY_PROMEDIOS;
+    const promediosSeasons = isPromedios && table[0].seasonPoints && state.promedios ? state.promedios.history.seasons : null;
+
+    // Zonas: solo en la tabla total (local / visitante no definen clasificación)
+    const zoneOf = (row) => {
+        if (split !== 'all') return null;
+        if (isPromedios) return row.rank > relegationRank ? PROMEDIOS_RELEGATION_ZONE : null;
+        if (hasDescriptions) return zonesByRank.get(row.rank) || null;
+        const className = legacyZoneClass(leagueId, row.rank, totalTeams, row.group);
+        return className ? { className, label: null } : null;
+    };
+
+    // Referencias de colores (las que vienen de la API)
+    const legend = [];
+    if (isPromedios) {
+        legend.push(PROMEDIOS_RELEGATION_ZONE);
+    } else if (hasDescriptions && split === 'all') {
+        [...zonesByRank.entries()].sort((a, b) => a[0] - b[0]).forEach(([, zone]) => {
+            if (zone && !legend.some(l => l.label === zone.label)) legend.push(zone);
+        });
+    }
+
+    const updatedLabel = `
+        <div class="flex items-center gap-3">
+            ${state.standingsUpdatedAt ? `<div class="text-[10px] text-gray-600 uppercase tracking-widest">${formatUpdatedAgo(Date.now() - state.standingsUpdatedAt)}</div>` : ''}
+            ${isProvisional ? '<div class="text-[10px] text-red-500 font-bold uppercase tracking-widest" title="Posiciones con los partidos en vivo">Posición provisoria</div>' : ''}
+        </div>`;
+
+    // Flecha de posición provisoria (solo en la tabla total, contra el puesto oficial)
+    const movementArrow = (row) => {
+        if (split !== 'all' || !row.officialRank || row.officialRank === row.rank) return '';
+        const up = row.rank < row.officialRank;
+        return `<span class="block text-[8px] leading-none ${up ? 'text-green-500' : 'text-red-500'}" title="Posición provisoria (oficial: ${row.officialRank}°)">${up ? '▲' : '▼'}${Math.abs(row.officialRank - row.rank)}</span>`;
+    };
+
+    const th = 'px-1 py-2 md:px-2 md:py-3 text-center';
+    const td = 'px-1 py-2 md:px-2 md:py-3 text-center font-mono text-[10px] md:text-xs';
+    const sortableHeader = (key) => {
+        const active = sortKey === key;
+        const arrow = active ? (sortDir === 'desc' ? '▼' : '▲') : '';
+        return `<th class="${th} cursor-pointer select-none hover:text-white ${active ? 'text-white' : ''} ${key === 'points' ? 'text-white' : ''}" onclick="app.sortTable('${key}')">${SORTABLE_COLUMNS[key]}${arrow ? `<span class="ml-0.5 text-[8px]">${arrow}</span>` : ''}</th>`;
+    };
+
+    const promediosHeaderCells = promediosSeasons && `
+            <th class="${th} text-white">${ptsLabel}</th>
+            ${promediosSeasons.map(year => `<th class="${th} hidden md:table-cell">${formatSeasonLabel(year, leagueId)}</th>`).join('')}
+            <th class="${th}">Pts</th>
+            <th class="${th}">PJ</th>
+        `;
+
+    const headerCells = promediosHeaderCells || (isDetailed
+        ? `
+            ${sortableHeader('played')}
+            ${sortableHeader('win')}
+            ${sortableHeader('draw')}
+            ${sortableHeader('lose')}
+            ${sortableHeader('goalsFor')}
+            ${sortableHeader('goalsAgainst')}
+            ${sortableHeader('diff')}
+            ${sortableHeader('points')}
+            <th class="${th} hidden md:table-cell">Forma</th>
+        `
+        : `
+            <th class="${th} text-white">${ptsLabel}</th>
+            <th class="${th}">PJ</th>
+            <th class="${th} font-mono">DG</th>
+            <th class="${th} hidden md:table-cell">Forma</th>
+        `);
+
+    const formCell = (form) => `
+        <td class="px-2 py-3 text-center hidden md:table-cell">
+            <div class="flex justify-center gap-0.5">
+                ${form ? form.split('').slice(-5).map(f => `<div class="w-1.5 h-1.5 rounded-full ${f === 'W' ? 'bg-green-500' : (f === 'D' ? 'bg-gray-500' : 'bg-red-500')}"></div>`).join('') : '-'}
+            </div>
+        </td>
+    `;
+
+    const diffCell = (diff) => `<td class="${td} ${diff > 0 ? 'text-white' : 'text-gray-600'}">${diff > 0 ? '+' : ''}${diff}</td>`;
+
     container.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-2 px-3 py-2">
+            ${updatedLabel}
+            ${isPromedios ? '' : `<div class="flex items-center gap-2">${renderTableControls(isDetailed)}</div>`}
+        </div>
         <div class="bg-[#0a0a0a] border border-[#222] overflow-hidden rounded-lg mx-2 mb-3 md:mx-3">
             <div class="overflow-x-auto">
                 <table class="w-full text-left text-gray-400">
                     <thead class="text-[9px] md:text-[10px] text-gray-500 uppercase bg-[#111] border-b border-[#222] tracking-widest">
                         <tr>
-                            <th class="px-2 py-2 md:px-3 md:py-3 text-center w-6 md:w-8">#</th>
+                            <th class="px-2 py-2 md:px-3 md:py-3 text-center w-6 md:w-8 ${isDetailed ? 'cursor-pointer hover:text-white' : ''}" ${isDetailed ? `onclick="app.sortTable('rank')" title="Orden de la tabla"` : ''}>#</th>
                             <th class="px-2 py-2 md:px-3 md:py-3">Equipo</th>
-                            <th class="px-1 py-2 md:px-2 md:py-3 text-center text-white">${ptsLabel}</th>
-                            <th class="px-1 py-2 md:px-2 md:py-3 text-center">PJ</th>
-                            <th class="px-1 py-2 md:px-2 md:py-3 text-center font-mono">DG</th>
-                            <th class="px-1 py-2 md:px-2 md:py-3 text-center hidden md:table-cell">Forma</th>
+                            ${headerCells}
                         </tr>
                     </thead>
                     <tbody class="divide-y divide-[#1a1a1a]">
-                        ${table.map(t => {
+                        ${rows.map(r => {
         let badgeHtml = '';
-        const liveMatch = t.liveMatch;
+        const liveMatch = r.liveMatch;
 
         if (liveMatch) {
-            const isHome = liveMatch.teams.home.id === t.team.id;
+            const isHome = liveMatch.teams.home.id === r.team.id;
             const myScore = isHome ? (liveMatch.goals.home ?? 0) : (liveMatch.goals.away ?? 0);
             const oppScore = isHome ? (liveMatch.goals.away ?? 0) : (liveMatch.goals.home ?? 0);
 
@@ -419,92 +949,94 @@ export const renderTable = (groupIndex) => {
         }
 
         const pointsDisplay = isPromedios
-            ? (t.all.played > 0 ? (t.points / t.all.played).toFixed(3) : '0.000')
-            : t.points;
-
-        // --- INDICATOR COLOR LOGIC ---
-        let indicatorClass = '';
-        const leagueId = state.selectedLeague ? parseInt(state.selectedLeague.id) : 0;
-        const rank = t.rank;
-        const totalTeams = table.length;
-        const group = t.group || '';
-
-        // BRASILEIRAO (71)
-        if (leagueId === 71) {
-            if (rank >= 1 && rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]'; // Lib
-            else if (rank === 5) indicatorClass = 'bg-yellow-500'; // Repechaje Lib
-            else if (rank >= 6 && rank <= 11) indicatorClass = 'bg-blue-600'; // Sudamericana
-            else if (rank >= 17) indicatorClass = 'bg-red-600'; // Descenso (User said 18-20, usually 17-20 is 4 teams)
-        }
-        // ARGENTINA (128)
-        else if (leagueId === 128) {
-            if (group.includes('Group') || group.includes('ZONA')) {
-                // Zona A/B: 1-8 Clasifican
-                if (rank <= 8) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
-            } else if (isPromedios) {
-                if (rank === totalTeams) indicatorClass = 'bg-red-600';
-            } else {
-                // Annual Table
-                if (rank === 1) indicatorClass = 'bg-orange-500 shadow-[0_0_8px_rgba(249,115,22,0.5)]'; // Campeon
-                else if (rank >= 2 && rank <= 3) indicatorClass = 'bg-green-500'; // Lib
-                else if (rank >= 4 && rank <= 9) indicatorClass = 'bg-blue-600'; // Sudamericana
-                else if (rank === totalTeams) indicatorClass = 'bg-red-600'; // Descenso
-            }
-        }
-        // PREMIER LEAGUE (39)
-        else if (leagueId === 39) {
-            if (rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
-            else if (rank === 5) indicatorClass = 'bg-blue-600';
-            else if (rank >= 18) indicatorClass = 'bg-red-600';
-        }
-        // LA LIGA (140)
-        else if (leagueId === 140) {
-            if (rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
-            else if (rank === 5) indicatorClass = 'bg-blue-600';
-            else if (rank === 6) indicatorClass = 'bg-cyan-500';
-            else if (rank >= 18) indicatorClass = 'bg-red-600';
-        }
-        // BUNDESLIGA (78)
-        else if (leagueId === 78) {
-            if (rank <= 4) indicatorClass = 'bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.5)]';
-            else if (rank === 5) indicatorClass = 'bg-blue-600';
-            else if (rank === 6) indicatorClass = 'bg-cyan-500';
-            else if (rank === 16) indicatorClass = 'bg-yellow-500'; // Repechaje
-            else if (rank >= 17) indicatorClass = 'bg-red-600';
-        }
+            ? (r.played > 0 ? (r.points / r.played).toFixed(3) : '0.000')
+            : r.points;
+
+        const zone = zoneOf(r);
+
+        const promediosCells = promediosSeasons && `
+                                <td class="px-1 py-2 md:px-2 md:py-3 text-center font-bold text-white bg-[#111]/50 text-[10px] md:text-xs">${pointsDisplay}</td>
+                                ${(r.seasonPoints || []).map(sp => `<td class="${td} hidden md:table-cell" ${sp ? `title="${sp.played} PJ"` : 'title="No jugó en Primera"'}>${sp ? sp.points : '-'}</td>`).join('')}
+                                <td class="${td}">${r.points}</td>
+                                <td class="${td}">${r.played}</td>
+            `;
+
+        const statCells = promediosCells || (isDetailed
+            ? `
+                                <td class="${td}">${r.played}</td>
+                                <td class="${td}">${r.win}</td>
+                                <td class="${td}">${r.draw}</td>
+                                <td class="${td}">${r.lose}</td>
+                                <td class="${td}">${r.goalsFor}</td>
+                                <td class="${td}">${r.goalsAgainst}</td>
+                                ${diffCell(r.diff)}
+                                <td class="px-1 py-2 md:px-2 md:py-3 text-center font-bold text-white bg-[#111]/50 text-[10px] md:text-xs">${r.points}</td>
+                                ${formCell(r.form)}
+            `
+            : `
+                                <td class="px-1 py-2 md:px-2 md:py-3 text-center font-bold text-white bg-[#111]/50 text-[10px] md:text-xs">${pointsDisplay}</td>
+                                <td class="${td}">${r.played}</td>
+                                ${diffCell(r.diff)}
+                                ${formCell(r.form)}
+            `);
+
+        // Línea de descenso arriba del primer puesto que desciende
+        const relegationLine = isPromedios && r.rank === relegationRank + 1 ? 'border-t-2 border-red-600/70' : '';
 
         return `
-                            <tr class="hover:bg-[#111] transition-colors relative">
-                                <td class="px-2 py-2 md:px-3 md:py-3 text-center text-gray-500 border-r border-[#222] text-[10px] md:text-xs relative">
-                                    ${indicatorClass ? `<div class="absolute left-0 top-2 bottom-2 w-[3px] ${indicatorClass} rounded-r"></div>` : ''}
-                                    ${t.rank}
+                            <tr class="${isFavoriteTeam(r.team.id) ? 'bg-yellow-500/5' : ''} ${relegationLine} hover:bg-[#111] transition-colors relative" ${relegationLine ? 'title="Línea de descenso"' : ''}>
+                                <td class="px-2 py-2 md:px-3 md:py-3 text-center text-gray-500 border-r border-[#222] text-[10px] md:text-xs relative" ${zone && zone.label ? `title="${zone.label}"` : ''}>
+                                    ${zone ? `<div class="absolute left-0 top-2 bottom-2 w-[3px] ${zone.className} rounded-r"></div>` : ''}
+                                    ${r.rank}
+                                    ${movementArrow(r)}
                                 </td>
-                                <td class="px-2 py-2 md:px-3 md:py-3 font-bold text-gray-300 flex items-center gap-2 md:gap-3 whitespace-nowrap uppercase text-[10px] md:text-xs cursor-pointer hover:text-white transition-colors" onclick="event.stopPropagation(); app.navigate('/equipo/${t.team.id}')">
-                                    <img src="${t.team.logo}" class="w-4 h-4 md:w-6 md:h-6 object-contain">
-                                    ${t.team.name}
+                                <td class="px-2 py-2 md:px-3 md:py-3 font-bold text-gray-300 flex items-center gap-2 md:gap-3 whitespace-nowrap uppercase text-[10px] md:text-xs cursor-pointer hover:text-white transition-colors" onclick="event.stopPropagation(); app.navigate('/equipo/${r.team.id}')">
+                                    <img src="${r.team.logo}" class="w-4 h-4 md:w-6 md:h-6 object-contain">
+                                    ${r.team.name}
+                                    ${isFavoriteTeam(r.team.id) ? FAVORITE_STAR : ''}
                                     ${badgeHtml}
                                 </td>
-                                <td class="px-1 py-2 md:px-2 md:py-3 text-center font-bold text-white bg-[#111]/50 text-[10px] md:text-xs">${pointsDisplay}</td>
-                                <td class="px-1 py-2 md:px-2 md:py-3 text-center font-mono text-[10px] md:text-xs">${t.all.played + (liveMatch ? 1 : 0)}</td>
-                                <td class="px-1 py-2 md:px-2 md:py-3 text-center font-mono text-[10px] md:text-xs ${t.goalsDiff > 0 ? 'text-white' : 'text-gray-600'}">${t.goalsDiff > 0 ? '+' : ''}${t.goalsDiff}</td>
-                                <td class="px-2 py-3 text-center hidden md:table-cell">
-                                    <div class="flex justify-center gap-0.5">
-                                        ${t.form ? t.form.split('').slice(-5).map(f => `<div class="w-1.5 h-1.5 rounded-full ${f === 'W' ? 'bg-green-500' : (f === 'D' ? 'bg-gray-500' : 'bg-red-500')}"></div>`).join('') : '-'}
-                                    </div>
-                                </td>
+                                ${statCells}
                             </tr>
                         `}).join('')}
                     </tbody>
                 </table>
             </div>
-        </div>`;
+        </div>
+        ${legend.length > 0 ? `
+            <div class="flex flex-wrap gap-x-4 gap-y-1.5 px-4 pb-4">
+                ${legend.map(l => `
+                    <div class="flex items-center gap-1.5 text-[10px] text-gray-500 uppercase tracking-wider">
+                        <div class="w-[3px] h-3 ${l.className} rounded"></div>${l.label}
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}`;
+};
+
+/**
+ * Pide el historial de promedios y vuelve a procesar la tabla cuando llega
+ * (la pestaña PROMEDIOS aparece recién con los datos)
+ * @param {Array} source - standings con los que se pidió (para descartar respuestas viejas)
+ */
+const loadPromedios = (source) => {
+    const season = state.season;
+    loadPromediosHistory(season)
+        .then(history => {
+            if (state.standingsSource !== source || state.season !== season) return;
+            state.promedios = { season, history };
+            if (document.getElementById('standings-table-container')) processStandings(source, state.activeGroup);
+        })
+        .catch(e => console.error('Error loading promedios:', e));
 };
 
 /**
  * Procesa los datos de standings (maneja grupos si existen)
  * @param {Array} standingsData - Datos de standings de la API
+ * @param {number} groupIndex - Grupo a mostrar (para conservar el tab al refrescar)
  */
-export const processStandings = (standingsData) => {
+export const processStandings = (standingsData, groupIndex = 0) => {
+
     // El container de tabs ahora es diferente
     const tabsContainer = document.getElementById('standings-tabs-container');
 
@@ -519,43 +1051,27 @@ export const processStandings = (standingsData) => {
         return rawName.toUpperCase();
     };
 
-    // Ensure we have Promedios if user wants it (ONLY FOR ARGENTINA - ID 128)
-    // If we have 3 tables (Zone A, Zone B, Annual), generate Promedios from Annual
-    if (standingsData.length > 0 && state.selectedLeague && parseInt(state.selectedLeague.id) === 128) {
-        // Check if Promedios exists
+    // Liga Profesional: tabla de promedios de las últimas tres temporadas (si la API no la trae)
+    state.standingsSource = standingsData;
+    standingsData = [...standingsData];
+    if (standingsData.length > 0 && state.selectedLeague && parseInt(state.selectedLeague.id) === PROMEDIOS_LEAGUE_ID) {
         const hasPromedios = standingsData.some(g => g[0] && g[0].group && g[0].group.includes('Promedio'));
-
         if (!hasPromedios) {
-            // Find Annual or take the last one (usually Overall)
-            const annualIndex = standingsData.findIndex(g => g[0].group.includes('Overall') || g[0].group.includes('Table') || g[0].group.includes('Anual'));
-            const sourceTable = annualIndex >= 0 ? standingsData[annualIndex] : standingsData[standingsData.length - 1];
-
-            if (sourceTable) {
-                // Clone and sort by average
-                const promediosTable = JSON.parse(JSON.stringify(sourceTable));
-                // Hack: Rename the group in the first item so our renderer knows
-                promediosTable.forEach(t => t.group = 'PROMEDIOS');
-
-                // Sort by Avg (Points / Played)
-                promediosTable.sort((a, b) => {
-                    const avgA = a.all.played > 0 ? (a.points / a.all.played) : 0;
-                    const avgB = b.all.played > 0 ? (b.points / b.all.played) : 0;
-                    return avgB - avgA;
-                });
-
-                // Re-rank
-                promediosTable.forEach((t, i) => t.rank = i + 1);
-
-                standingsData.push(promediosTable);
+            if (state.promedios && state.promedios.season === state.season) {
+                standingsData.push(buildPromediosTable(state.standingsSource, state.promedios.history));
+            } else {
+                loadPromedios(state.standingsSource);
             }
         }
     }
 
+    const initialGroup = groupIndex < standingsData.length ? groupIndex : 0;
+
     if (standingsData.length > 1) {
         state.standingsData = standingsData;
 
         // Special case for World Cup: Stack all groups vertically
-        if (state.selectedLeague && WORLD_CUP_LEAGUES.includes(parseInt(state.selectedLeague.id))) {
+        if (state.selectedLeague && isGroupsKnockout(state.selectedLeague.id)) {
             if (tabsContainer) tabsContainer.innerHTML = ''; // No tabs
             renderAllWorldCupGroups();
         } else {
@@ -570,7 +1086,7 @@ export const processStandings = (standingsData) => {
                     </button>
                 `}).join('');
             }
-            renderTable(0);
+            renderTable(initialGroup);
         }
     } else {
         // Un solo grupo
@@ -632,6 +1148,31 @@ export const switchWorldCupTab = (tab) => {
     }
 };
 
+/**
+ * Se suscribe a las actualizaciones de la tabla mostrada: cuando la revalidación
+ * en background trae datos nuevos, se re-renderiza conservando el tab activo
+ * @param {string} endpoint - Endpoint de standings
+ * @param {number|string} leagueId - Liga mostrada
+ * @param {number} season - Temporada mostrada
+ */
+const watchStandingsEndpoint = (endpoint, leagueId, season) => {
+    if (unsubscribeStandings) unsubscribeStandings();
+
+    unsubscribeStandings = subscribeAPI(endpoint, ({ data, meta }) => {
+        // showStandings ya aplica su propia respuesta
+        if (loadingStandingsEndpoint === endpoint) return;
+
+        const stillVisible = state.selectedLeague &&
+            String(state.selectedLeague.id) === String(leagueId) &&
+            state.season === season &&
+            document.getElementById('standings-table-container');
+        if (!stillVisible || !data.response || data.response.length === 0) return;
+
+        state.standingsUpdatedAt = meta.fetchedAt;
+        processStandings(data.response[0].league.standings, state.activeGroup);
+    });
+};
+
 /**
  * Muestra la tabla de posiciones de una liga en el nuevo layout
  * Puede recibir params del router o argumentos legacy
@@ -640,12 +1181,14 @@ export const switchWorldCupTab = (tab) => {
  */
 export const showStandings = async (idOrParams, name) => {
     wcKnockoutLoaded = false; // Reset for fresh load
-    let id, leagueName;
+    let id, leagueName, requestedSeason = null, requestedTab = null;
 
     if (typeof idOrParams === 'object') {
-        // Llamado desde router con params
+        // Llamado desde router con params (o desde changeSeason con season y tab)
         id = idOrParams.id;
         leagueName = idOrParams.name || '';
+        requestedSeason = idOrParams.season || null;
+        requestedTab = idOrParams.tab || idOrParams.query?.tab || null;
     } else {
         // Llamado legacy con (id, name)
         id = idOrParams;
@@ -653,46 +1196,19 @@ export const showStandings = async (idOrParams, name) => {
     }
 
     state.selectedLeague = { id, name: leagueName };
-    // Determinar temporada automática si no se ha seteado explícitamente en el state (o siempre al abrir)
-    // Para simplificar, recalculamos al abrir
-    const calculatedSeason = determineCurrentSeason(id);
-    state.season = calculatedSeason;
+    state.leagueTab = isLeagueTab(requestedTab) ? requestedTab : 'tabla';
+    state.seasonFixtures = null;
+    state.fairPlay = new Map();
 
-    // Validar si estamos en la vista correcta, si no, resetear containers
-    const viewStandings = document.getElementById('view-standings');
     const container = document.getElementById('standings-container'); // This will now hold the split layout
 
-    // Update UI Visibility
-    document.getElementById('view-match-list').classList.add('hidden');
-    document.getElementById('date-nav').classList.add('hidden');
-    document.getElementById('view-match-detail').classList.add('hidden');
-    document.getElementById('view-forum').classList.add('hidden');
-    const viewTeam = document.getElementById('view-team');
-    if (viewTeam) viewTeam.classList.add('hidden'); // Ensure Team view is hidden
-    const viewLineup = document.getElementById('view-lineup-builder');
-    if (viewLineup) viewLineup.classList.add('hidden');
-
-    viewStandings.classList.remove('hidden');
-
-    // START: Layout Modification
-    // Ocultar sidebars globales
-    const sidebar = document.getElementById('sidebar');
-    const rightSidebar = document.getElementById('right-sidebar');
-
-    // Keep Left Sidebar (Leagues) visible
-    sidebar.classList.remove('hidden');
-    sidebar.classList.add('lg:flex');
-
-    // Hide Right Sidebar (Community)
-    rightSidebar.classList.add('hidden');
-    rightSidebar.classList.remove('lg:flex'); // Ensure it's hidden on desktop too
-
-    // Allow main to expand
-    document.querySelector('main').classList.remove('lg:w-auto');
+    // Temporada activa según la API (o la elegida en el selector)
+    state.currentSeason = await getCurrentSeason(id);
+    if (!state.selectedLeague || state.selectedLeague.id !== id) return; // Se cambió de liga mientras tanto
+    state.season = requestedSeason || state.currentSeason;
 
     // Season Select Options
     const seasonLabel = formatSeasonLabel(state.season, id);
-    const prevSeasonLabel = formatSeasonLabel(state.season - 1, id);
 
     // Update Header
     document.getElementById('standings-title').innerHTML = `
@@ -714,8 +1230,8 @@ export const showStandings = async (idOrParams, name) => {
         const oldSelector = document.getElementById('season-selector');
         if (oldSelector) {
             oldSelector.innerHTML = `
-                <option value="${state.season}" selected>${seasonLabel}</option>
-                <option value="${state.season - 1}">${prevSeasonLabel}</option>
+                <option value="${state.currentSeason}" ${state.season === state.currentSeason ? 'selected' : ''}>${formatSeasonLabel(state.currentSeason, id)}</option>
+                <option value="${state.currentSeason - 1}" ${state.season === state.currentSeason - 1 ? 'selected' : ''}>${formatSeasonLabel(state.currentSeason - 1, id)}</option>
             `;
         }
     }
@@ -724,16 +1240,26 @@ export const showStandings = async (idOrParams, name) => {
     const oldTabs = document.getElementById('standings-tabs');
     if (oldTabs) oldTabs.classList.add('hidden');
 
+    // Tabs: tabla (o cuadro) + evolución + rankings de jugadores
+    container.innerHTML = `
+        ${renderLeagueTabs()}
+        <div id="league-table-content"></div>
+        <div id="league-evolution-content" class="hidden"></div>
+        <div id="league-leaders-content" class="hidden"></div>
+    `;
+    const tableContent = document.getElementById('league-table-content');
+    switchLeagueTab(state.leagueTab, { syncUrl: false });
+
     // Setup Split Views Layout
 
     // Check if Cup for Bracket View
-    if (CUP_LEAGUES.includes(parseInt(id))) {
-        renderCupView(id, state.season, container);
+    if (isCup(id)) {
+        renderCupView(id, state.season, tableContent);
         return;
     }
 
     // Check if World Cup (Groups + Knockout)
-    const isWorldCup = WORLD_CUP_LEAGUES.includes(parseInt(id));
+    const isWorldCup = isGroupsKnockout(id);
     const worldCupToggle = isWorldCup ? `
         <div class="flex justify-center gap-2 mb-4">
             <button id="wc-tab-grupos" onclick="app.switchWorldCupTab('grupos')" 
@@ -747,7 +1273,7 @@ export const showStandings = async (idOrParams, name) => {
         </div>
     ` : '';
 
-    container.innerHTML = `
+    tableContent.innerHTML = `
         ${worldCupToggle}
         <div id="wc-grupos-content">
         <div class="flex flex-col lg:flex-row h-auto lg:h-[calc(100vh-140px)] gap-6 lg:overflow-hidden pb-20 lg:pb-0">
@@ -808,17 +1334,32 @@ export const showStandings = async (idOrParams, name) => {
 
     // Fetch Data
     try {
-        const [standingsData, roundsData, liveData] = await Promise.all([
-            fetchAPI(`/standings?league=${id}&season=${state.season}`),
-            fetchRounds(id, state.season),
-            fetchAPI('/fixtures?live=all')
-        ]);
+        const standingsEndpoint = `/standings?league=${id}&season=${state.season}`;
+        watchStandingsEndpoint(standingsEndpoint, id, state.season);
+
+        loadingStandingsEndpoint = standingsEndpoint;
+        let standingsResult, roundsData, liveData;
+        try {
+            [standingsResult, roundsData, liveData] = await Promise.all([
+                fetchAPIWithMeta(standingsEndpoint, { staleWhileRevalidate: true }),
+                fetchRounds(id, state.season),
+                fetchAPI('/fixtures?live=all'),
+                loadFavoriteTeams()
+            ]);
+        } finally {
+            loadingStandingsEndpoint = null;
+        }
+        const standingsData = standingsResult.data;
+        state.standingsUpdatedAt = standingsResult.meta.fetchedAt;
 
         if (liveData && liveData.response) {
             state.liveFixtures = liveData.response;
         } else {
             state.liveFixtures = [];
         }
+        // Los partidos en vivo de la liga marcan el ritmo de las consultas mientras se ve la tabla
+        trackFixtures(state.liveFixtures.filter(m => m.league.id === parseInt(id)));
+        if (!unsubscribeLiveStandings) unsubscribeLiveStandings = subscribeLive(handleStandingsLiveChanges);
 
         // Process Standings
         if (standingsData.response && standingsData.response.length > 0) {
@@ -850,12 +1391,23 @@ export const showStandings = async (idOrParams, name) => {
 
     } catch (e) {
         console.error(e);
-        container.innerHTML = `<div class="text-center text-gray-500 py-10 text-xs uppercase tracking-widest">Error al cargar datos.</div>`;
+        renderApiError(tableContent, e, `app.changeSeason(${state.season})`, () => showStandings({ id, name: leagueName, season: state.season, tab: state.leagueTab }));
     }
 };
 
 export const getStandingsState = () => state;
 
+/**
+ * Todos los partidos de la temporada (el cuadro de copas y la pestaña Evolución
+ * comparten el pedido, así queda una sola entrada en la caché de fetchAPI)
+ * @param {number|string} leagueId
+ * @param {number} season
+ */
+const fetchSeasonFixtures = async (leagueId, season) => {
+    const data = await fetchAPI(`/fixtures?league=${leagueId}&season=${season}&timezone=America/Argentina/Buenos_Aires`);
+    return data.response || [];
+};
+
 /**
  * Renderiza la vista de Bracket para Copas (Agrupación de Series - Layout Flex Recursivo Robusto)
  */
@@ -863,10 +1415,9 @@ const renderCupView = async (leagueId, season, container) => {
     container.innerHTML = `<div class="flex justify-center items-center h-96"><div class="loader"></div></div>`;
 
     try {
-        const data = await fetchAPI(`/fixtures?league=${leagueId}&season=${season}&timezone=America/Argentina/Buenos_Aires`);
-        const fixtures = data.response;
+        const fixtures = await fetchSeasonFixtures(leagueId, season);
 
-        if (!fixtures || fixtures.length === 0) {
+        if (fixtures.length === 0) {
             container.innerHTML = `<div class="text-center text-gray-500 py-20 text-sm">No hay datos disponibles para el cuadro de esta copa.</div>`;
             return;
         }
@@ -0,0 +1,310 @@
+/**
+ * Standings Evolution Module
+ *
+ * Propósito: Pestaña "Evolución" de la vista de liga.
+ * Rearma la tabla fecha por fecha con los partidos terminados de la temporada y
+ * dibuja la posición de cada equipo elegido en un gráfico de líneas (SVG).
+ * - Posiciones con los criterios de desempate de la competición (core/tiebreakers.js)
+ * - Ligas con zonas: se elige la zona (cada equipo suma todos sus partidos de la fase regular)
+ * - Por defecto se muestran los favoritos de la tabla (o el top 3)
+ *
+ * Exports:
+ * - renderEvolution(container, leagueId, season, loadFixtures): Carga y dibuja el panel
+ * - toggleEvolutionTeam(teamId): Agrega / saca un equipo del gráfico
+ * - setEvolutionGroup(index): Cambia la zona del gráfico
+ */
+
+import { fetchAPI } from '../core/api.js';
+import { formatSeasonLabel } from '../core/seasons.js';
+import { getTiebreakers, getHeadToHeadLegs } from '../data/competitions.js';
+import { rankStandings } from '../core/tiebreakers.js';
+import { renderApiError } from './errorState.js';
+import { isFavoriteTeam } from '../core/favorites.js';
+
+// Estados de partido terminado (los únicos que suman a la tabla)
+const FINISHED_STATUSES = ['FT', 'AET', 'PEN'];
+
+// Colores de las líneas (un equipo por color)
+const LINE_COLORS = ['#22c55e', '#3b82f6', '#f97316', '#eab308', '#a855f7', '#ef4444'];
+const MAX_TEAMS = LINE_COLORS.length;
+const DEFAULT_TEAMS = 3;
+
+// Las eliminatorias no cuentan para la tabla
+const KNOCKOUT_ROUND = /final|round of|play-?off|knockout/i;
+
+// Medidas del gráfico (unidades del viewBox)
+const CHART = { width: 800, rowHeight: 18, top: 16, bottom: 28, left: 28, right: 12 };
+
+const state = {
+    leagueId: null,
+    season: null,
+    container: null,
+    groups: [], // [{ name, teams: [{ id, name, logo }], rounds: [label], positions: Map teamId → number[] }]
+    groupIndex: 0,
+    selected: []
+};
+
+/**
+ * Etiqueta corta de una fecha ("Regular Season - 12" → "12")
+ */
+const roundLabel = (round, index) => {
+    const match = String(round).match(/(\d+)\s*$/);
+    return match ? match[1] : String(index + 1);
+};
+
+/**
+ * Fila vacía con el formato de /standings (lo que usa rankStandings)
+ */
+const emptyRow = (team, rank) => ({
+    rank,
+    team,
+    points: 0,
+    goalsDiff: 0,
+    all: { played: 0, win: 0, draw: 0, lose: 0, goals: { for: 0, against: 0 } },
+    away: { played: 0, win: 0, draw: 0, lose: 0, goals: { for: 0, against: 0 } }
+});
+
+/**
+ * Suma un partido a la fila de un equipo
+ */
+const addResult = (row, goalsFor, goalsAgainst, isAway) => {
+    const result = goalsFor > goalsAgainst ? 'win' : (goalsFor === goalsAgainst ? 'draw' : 'lose');
+    [row.all, ...(isAway ? [row.away] : [])].forEach(block => {
+        block.played += 1;
+        block[result] += 1;
+        block.goals.for += goalsFor;
+        block.goals.against += goalsAgainst;
+    });
+    row.goalsDiff += goalsFor - goalsAgainst;
+    if (result === 'win') row.points += 3;
+    else if (result === 'draw') row.points += 1;
+};
+
+/**
+ * Posiciones de un grupo al terminar cada fecha
+ * @param {Object[]} table - Tabla oficial del grupo (define los equipos y el orden de los empates)
+ * @param {Array<[string, Object[]]>} rounds - Fechas en orden con sus partidos
+ * @param {string[]} criteria - Criterios de desempate
+ * @param {number} h2hLegs - Partidos por cruce (para el desempate entre sí)
+ * @returns {Map<number, number[]>} teamId → posición después de cada fecha
+ */
+const buildPositions = (table, rounds, criteria, h2hLegs) => {
+    const rows = new Map(table.map(t => [t.team.id, emptyRow(t.team, t.rank)]));
+    const played = [];
+    const positions = new Map(table.map(t => [t.team.id, []]));
+
+    rounds.forEach(([, fixtures]) => {
+        fixtures.forEach(m => {
+            const home = rows.get(m.teams.home.id);
+            const away = rows.get(m.teams.away.id);
+            if (home) addResult(home, m.goals.home, m.goals.away, false);
+            if (away) addResult(away, m.goals.away, m.goals.home, true);
+            played.push(m);
+        });
+
+        // rankStandings reescribe rank: se ordena una copia con el orden oficial de desempate
+        const snapshot = table.map(t => ({ ...rows.get(t.team.id), rank: t.rank }));
+        rankStandings(snapshot, criteria, { fixtures: played, h2hLegs }).table
+            .forEach(t => positions.get(t.team.id).push(t.rank));
+    });
+    return positions;
+};
+
+/**
+ * Arma los grupos del gráfico a partir de la tabla y los partidos terminados
+ */
+const buildGroups = (standings, fixtures, leagueId) => {
+    // Fechas de la fase regular, ordenadas por el primer partido de cada una
+    const byRound = new Map();
+    fixtures
+        .filter(m => !KNOCKOUT_ROUND.test(m.league.round) && m.goals.home !== null && m.goals.away !== null)
+        .forEach(m => {
+            if (!byRound.has(m.league.round)) byRound.set(m.league.round, []);
+            byRound.get(m.league.round).push(m);
+        });
+    const firstKickoff = (list) => Math.min(...list.map(m => m.fixture.timestamp));
+    const rounds = [...byRound.entries()].sort((a, b) => firstKickoff(a[1]) - firstKickoff(b[1]));
+    const criteria = getTiebreakers(leagueId);
+    const h2hLegs = getHeadToHeadLegs(leagueId);
+
+    return standings
+        .filter(table => table.length > 0 && !(table[0].group || '').includes('Promedio'))
+        .map((table, i) => ({
+            name: table[0].group || `Grupo ${i + 1}`,
+            teams: table.map(t => t.team),
+            rounds: rounds.map(([round], index) => roundLabel(round, index)),
+            positions: buildPositions(table, rounds, criteria, h2hLegs)
+        }));
+};
+
+/**
+ * Equipos elegidos por defecto: favoritos del grupo o los primeros de la tabla
+ */
+const defaultSelection = (group) => {
+    const favorites = group.teams.filter(t => isFavoriteTeam(t.id)).map(t => t.id);
+    return (favorites.length > 0 ? favorites : group.teams.slice(0, DEFAULT_TEAMS).map(t => t.id)).slice(0, MAX_TEAMS);
+};
+
+/**
+ * Gráfico de posiciones (1° arriba)
+ */
+const renderChart = (group) => {
+    const teamsCount = group.teams.length;
+    const roundsCount = group.rounds.length;
+    const height = CHART.top + CHART.bottom + (teamsCount - 1) * CHART.rowHeight;
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const x = (i) => CHART.left + (roundsCount > 1 ? (i / (roundsCount - 1)) * plotWidth : plotWidth / 2);
+    const y = (position) => CHART.top + (position - 1) * CHART.rowHeight;
+    // Con muchas fechas se muestra una etiqueta cada tanto
+    const labelEvery = Math.ceil(roundsCount / 19);
+
+    const gridLines = Array.from({ length: teamsCount }, (_, i) => `
+        <line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y(i + 1)}" y2="${y(i + 1)}" stroke="#1a1a1a" stroke-width="1" />
+        <text x="${CHART.left - 8}" y="${y(i + 1) + 3}" fill="#6b7280" font-size="9" text-anchor="end">${i + 1}</text>
+    `).join('');
+
+    const roundLabels = group.rounds.map((label, i) => i % labelEvery === 0 || i === roundsCount - 1
+        ? `<text x="${x(i)}" y="${height - 10}" fill="#6b7280" font-size="9" text-anchor="middle">${label}</text>`
+        : '').join('');
+
+    const lines = state.selected.map((teamId, index) => {
+        const team = group.teams.find(t => t.id === teamId);
+        const positions = group.positions.get(teamId);
+        if (!team || !positions) return '';
+        const color = LINE_COLORS[index % LINE_COLORS.length];
+        const points = positions.map((p, i) => `${x(i)},${y(p)}`).join(' ');
+        return `
+            <polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round" />
+            ${positions.map((p, i) => `
+                <circle cx="${x(i)}" cy="${y(p)}" r="3" fill="${color}"><title>${team.name} · Fecha ${group.rounds[i]}: ${p}°</title></circle>
+            `).join('')}
+        `;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${CHART.width} ${height}" class="w-full h-auto" role="img" aria-label="Evolución de posiciones por fecha">
+            ${gridLines}
+            ${roundLabels}
+            ${lines}
+        </svg>
+    `;
+};
+
+/**
+ * Dibuja el panel con los datos ya cargados
+ */
+const renderPanel = () => {
+    const { container } = state;
+    if (!container) return;
+    const group = state.groups[state.groupIndex];
+
+    if (!group || group.rounds.length === 0) {
+        container.innerHTML = `<div class="text-center text-gray-500 py-20 text-xs uppercase tracking-widest">Sin partidos jugados en esta temporada.</div>`;
+        return;
+    }
+
+    const colorOf = (teamId) => {
+        const index = state.selected.indexOf(teamId);
+        return index >= 0 ? LINE_COLORS[index % LINE_COLORS.length] : null;
+    };
+
+    container.innerHTML = `
+        <div class="bg-[#0a0a0a] border border-[#222] overflow-hidden rounded-lg mx-2 mb-3 md:mx-3">
+            <div class="px-4 py-3 bg-[#111] border-b border-[#222] flex flex-wrap items-center justify-between gap-2">
+                <h3 class="text-xs font-bold text-gray-400 uppercase tracking-widest">Evolución ${formatSeasonLabel(state.season, state.leagueId)}</h3>
+                ${state.groups.length > 1 ? `
+                    <div class="flex flex-wrap gap-1.5">
+                        ${state.groups.map((g, i) => `
+                            <button onclick="app.setEvolutionGroup(${i})" class="px-2.5 py-1 text-[10px] font-bold uppercase tracking-widest rounded-full border transition-all ${i === state.groupIndex ? 'bg-white text-black border-white' : 'text-gray-500 border-[#333] hover:text-white'}">${g.name}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="px-2 py-3 md:px-4">
+                ${renderChart(group)}
+            </div>
+            <div class="flex flex-wrap gap-1.5 px-3 pb-4 md:px-4">
+                ${group.teams.map(team => {
+        const color = colorOf(team.id);
+        return `
+                    <button onclick="app.toggleEvolutionTeam(${team.id})" title="${team.name}"
+                        class="flex items-center gap-1.5 px-2 py-1 rounded-full border text-[10px] font-bold uppercase transition-all ${color ? 'text-white' : 'text-gray-500 border-[#333] hover:text-white'}"
+                        ${color ? `style="border-color: ${color}; background-color: ${color}22;"` : ''}>
+                        <img src="${team.logo}" class="w-3.5 h-3.5 object-contain">
+                        <span class="max-w-[90px] truncate">${team.name}</span>
+                    </button>
+                `;
+    }).join('')}
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Agrega / saca un equipo del gráfico
+ * @param {number} teamId
+ */
+export const toggleEvolutionTeam = (teamId) => {
+    const id = parseInt(teamId);
+    if (state.selected.includes(id)) {
+        state.selected = state.selected.filter(t => t !== id);
+    } else {
+        // Con el máximo de líneas se reemplaza la más vieja
+        state.selected = [...state.selected, id].slice(-MAX_TEAMS);
+    }
+    renderPanel();
+};
+
+/**
+ * Cambia la zona / grupo del gráfico
+ * @param {number} index
+ */
+export const setEvolutionGroup = (index) => {
+    if (!state.groups[index]) return;
+    state.groupIndex = index;
+    state.selected = defaultSelection(state.groups[index]);
+    renderPanel();
+};
+
+/**
+ * Carga los partidos de la temporada y dibuja el panel
+ * (los datos se reusan mientras no cambie la liga o la temporada)
+ * @param {HTMLElement} container
+ * @param {number} leagueId
+ * @param {number} season
+ * @param {Function} loadFixtures - (leagueId, season) => Promise con todos los partidos de la temporada (los que ya usa la vista de liga)
+ */
+export const renderEvolution = async (container, leagueId, season, loadFixtures) => {
+    state.container = container;
+    if (state.leagueId === leagueId && state.season === season && state.groups.length > 0) {
+        renderPanel();
+        return;
+    }
+
+    state.leagueId = leagueId;
+    state.season = season;
+    state.groups = [];
+    const isCurrent = () => state.leagueId === leagueId && state.season === season && state.container === container;
+
+    container.innerHTML = `<div class="flex justify-center py-20"><div class="loader"></div></div>`;
+
+    try {
+        const [standingsData, fixtures] = await Promise.all([
+            fetchAPI(`/standings?league=${leagueId}&season=${season}`),
+            loadFixtures(leagueId, season)
+        ]);
+        if (!isCurrent()) return;
+
+        const standings = standingsData.response?.[0]?.league?.standings || [];
+        const finished = fixtures.filter(m => FINISHED_STATUSES.includes(m.fixture.status.short));
+        state.groups = buildGroups(standings, finished, leagueId);
+        state.groupIndex = 0;
+        state.selected = state.groups[0] ? defaultSelection(state.groups[0]) : [];
+        renderPanel();
+    } catch (e) {
+        console.error('Error loading standings evolution:', e);
+        if (!isCurrent()) return;
+        state.leagueId = null; // Reintentar en la próxima carga
+        renderApiError(container, e, `app.switchLeagueTab('evolucion')`, () => renderEvolution(container, leagueId, season, loadFixtures));
+    }
+};
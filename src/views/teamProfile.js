@@ -7,30 +7,39 @@
  * - showTeamProfile(params): Muestra perfil de un equipo
  * - showHistory(teamId, country): Muestra la vista de selección de rival
  * - loadHeadToHead(teamId1, teamId2): Carga y muestra el historial vs
+ * - toggleFavoriteCurrentTeam(): Agrega / quita el equipo mostrado de "Mis equipos"
  */
 
 import { fetchAPI } from '../core/api.js';
 import { navigate } from '../core/router.js';
+import { renderApiError } from './errorState.js';
+import { getCurrentSeason } from '../core/seasons.js';
+import { isDomesticLeague } from '../data/competitions.js';
+import { loadFavoriteTeams, isFavoriteTeam, toggleFavoriteTeam } from '../core/favorites.js';
 
-// IDs de ligas europeas (para formato de temporada)
-const EUROPEAN_LEAGUES = [39, 140, 78, 135, 61, 2, 3, 143, 137];
+
+let currentTeamContext = null;
 
 /**
- * Determina la temporada actual para una liga
+ * Ícono de estrella del botón "Mis equipos"
+ * @param {boolean} isFavorite
  */
-const determineCurrentSeason = (leagueId) => {
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const month = now.getMonth() + 1;
+const favoriteButtonIcon = (isFavorite) => `
+    <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5 ${isFavorite ? 'text-yellow-500' : 'text-gray-500'}" viewBox="0 0 24 24" fill="${isFavorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+        <path stroke-linejoin="round" d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+    </svg>
+`;
 
-    if (EUROPEAN_LEAGUES.includes(parseInt(leagueId))) {
-        return month >= 7 ? currentYear : currentYear - 1;
-    }
-    return currentYear;
+/**
+ * Agrega / quita el equipo mostrado de "Mis equipos"
+ */
+export const toggleFavoriteCurrentTeam = async () => {
+    if (!currentTeamContext) return;
+    const isFavorite = await toggleFavoriteTeam(currentTeamContext);
+    const btn = document.getElementById('favorite-team-btn');
+    if (btn) btn.innerHTML = favoriteButtonIcon(isFavorite);
 };
 
-let currentTeamContext = null;
-
 /**
  * Muestra el perfil de un equipo
  * @param {Object|number} params - { id } desde router o ID directo
@@ -43,30 +52,7 @@ export const showTeamProfile = async (params) => {
         teamId = params;
     }
 
-    // Setup layout: sidebar izq visible, sidebar der oculto
-    document.getElementById('view-match-list').classList.add('hidden');
-    document.getElementById('view-standings').classList.add('hidden');
-    document.getElementById('view-forum').classList.add('hidden');
-    document.getElementById('view-match-detail').classList.add('hidden');
-    const viewLineup = document.getElementById('view-lineup-builder');
-    if (viewLineup) viewLineup.classList.add('hidden');
-    document.getElementById('date-nav').classList.add('hidden');
-
     const viewTeam = document.getElementById('view-team');
-    viewTeam.classList.remove('hidden');
-
-    const sidebar = document.getElementById('sidebar');
-    sidebar.classList.remove('hidden');
-    sidebar.classList.add('lg:flex');
-
-    const rightSidebar = document.getElementById('right-sidebar');
-    rightSidebar.classList.add('hidden');
-    rightSidebar.classList.remove('lg:flex');
-
-    document.querySelector('main').classList.remove('lg:w-auto');
-
-    // Scroll to top
-    document.getElementById('main-content').scrollTo(0, 0);
 
     // Show loader
     viewTeam.innerHTML = `<div class="flex justify-center py-20"><div class="loader"></div></div>`;
@@ -77,7 +63,8 @@ export const showTeamProfile = async (params) => {
             fetchAPI(`/teams?id=${teamId}`),
             fetchAPI(`/fixtures?team=${teamId}&last=5&timezone=America/Argentina/Buenos_Aires`),
             fetchAPI(`/fixtures?team=${teamId}&next=5&timezone=America/Argentina/Buenos_Aires`),
-            fetchAPI(`/transfers?team=${teamId}`)
+            fetchAPI(`/transfers?team=${teamId}`),
+            loadFavoriteTeams()
         ]);
 
         const team = teamData.response?.[0]?.team;
@@ -147,10 +134,7 @@ export const showTeamProfile = async (params) => {
         const allMatches = [...last5, ...next5];
         if (allMatches.length > 0) {
             // Prefer a league match (not cup)
-            const leagueMatch = allMatches.find(m => {
-                const lid = m.league.id;
-                return [128, 1032, 129, 71, 39, 140, 78, 135, 61].includes(lid);
-            }) || allMatches[0];
+            const leagueMatch = allMatches.find(m => isDomesticLeague(m.league.id)) || allMatches[0];
             leagueId = leagueMatch.league.id;
             leagueName = leagueMatch.league.name;
         }
@@ -177,6 +161,9 @@ export const showTeamProfile = async (params) => {
 
             <!-- Team Info Card -->
             <div class="bg-[#0a0a0a] border border-[#222] rounded-xl p-6 mb-6 flex flex-col items-center text-center relative">
+                <button id="favorite-team-btn" onclick="app.toggleFavoriteCurrentTeam()" class="absolute top-4 right-4 p-2 rounded-full border border-[#333] hover:border-yellow-500 transition-colors" title="Mis equipos">
+                    ${favoriteButtonIcon(isFavoriteTeam(team.id))}
+                </button>
                 <img src="${team.logo}" class="w-24 h-24 object-contain mb-4">
                 <h1 class="text-2xl font-bold text-white uppercase tracking-wider font-sport mb-2">${team.name}</h1>
                 ${venue ? `
@@ -262,7 +249,7 @@ export const showTeamProfile = async (params) => {
 
     } catch (e) {
         console.error('Error loading team profile:', e);
-        viewTeam.innerHTML = `<div class="text-center text-gray-500 py-20 text-xs uppercase tracking-widest">Error al cargar datos del equipo.</div>`;
+        renderApiError(viewTeam, e, `app.showTeamProfile(${parseInt(teamId)})`, () => showTeamProfile(teamId));
     }
 };
 
@@ -672,7 +659,7 @@ const renderTransferRow = (t, direction) => {
     }
 
     return `
-        <div class="flex items-center gap-2 px-3 py-2.5 hover:bg-[#111] transition-colors">
+        <div class="flex items-center gap-2 px-3 py-2.5 hover:bg-[#111] transition-colors cursor-pointer" onclick="app.navigate('/jugador/${t.player.id}')">
             <img src="${fromTo.logo || ''}" class="w-5 h-5 object-contain shrink-0 opacity-50" onerror="this.style.display='none'">
             <div class="min-w-0 flex-1">
                 <div class="text-xs font-bold text-gray-300 truncate">${t.player.name}</div>
@@ -691,7 +678,7 @@ const loadTeamStandings = async (leagueId, teamId) => {
     if (!container) return;
 
     try {
-        const season = determineCurrentSeason(leagueId);
+        const season = await getCurrentSeason(leagueId);
         const data = await fetchAPI(`/standings?league=${leagueId}&season=${season}`);
 
         if (!data.response || data.response.length === 0) {
@@ -734,12 +721,13 @@ const loadTeamStandings = async (leagueId, teamId) => {
                     <tbody class="divide-y divide-[#1a1a1a]">
                         ${targetTable.map(t => {
             const isSelected = t.team.id === teamId;
+            const isFavorite = !isSelected && isFavoriteTeam(t.team.id);
             return `
-                                <tr class="${isSelected ? 'bg-white/5 border-l-2 border-white' : 'hover:bg-[#111]'} transition-colors cursor-pointer" onclick="app.navigate('/equipo/${t.team.id}')">
+                                <tr class="${isSelected ? 'bg-white/5 border-l-2 border-white' : (isFavorite ? 'bg-yellow-500/5 hover:bg-[#111]' : 'hover:bg-[#111]')} transition-colors cursor-pointer" onclick="app.navigate('/equipo/${t.team.id}')">
                                     <td class="px-2 py-1.5 text-center text-[10px] ${isSelected ? 'text-white font-bold' : 'text-gray-500'}">${t.rank}</td>
                                     <td class="px-2 py-1.5 flex items-center gap-2 whitespace-nowrap">
                                         <img src="${t.team.logo}" class="w-4 h-4 object-contain">
-                                        <span class="text-[10px] font-bold ${isSelected ? 'text-white' : 'text-gray-400'} uppercase truncate">${t.team.name}</span>
+                                        <span class="text-[10px] font-bold ${isSelected ? 'text-white' : (isFavorite ? 'text-yellow-500' : 'text-gray-400')} uppercase truncate">${t.team.name}</span>
                                     </td>
                                     <td class="px-1 py-1.5 text-center font-bold ${isSelected ? 'text-white' : 'text-gray-400'} text-[10px]">${t.points}</td>
                                     <td class="px-1 py-1.5 text-center text-[10px] font-mono text-gray-500">${t.all.played}</td>
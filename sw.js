@@ -0,0 +1,231 @@
+/**
+ * Service Worker
+ *
+ * Propósito: Que la app abra y muestre los últimos datos con mala señal (o sin señal).
+ * - Shell (index.html, src/, assets/): precacheado al instalar
+ * - Módulos de src/: red primero y caché si falla (con conexión todos los módulos de
+ *   una página, incluidos los import() diferidos, son de la misma versión)
+ * - Assets y manifest: caché y actualización en segundo plano (stale-while-revalidate)
+ * - Navegaciones a rutas de la SPA (/liga/128, /equipo/451...): red primero y, si falla,
+ *   el index.html cacheado (el router resuelve la ruta como siempre). Las páginas que
+ *   renderiza api/render.js no reemplazan al index.html cacheado.
+ * - Datos de partidos, tablas y equipos del proxy: red primero, caché si falla
+ * - Librerías de CDN, fuentes y escudos: stale-while-revalidate
+ *
+ * Convive con las reescrituras de _redirects / vercel.json / .htaccess: las rutas
+ * que esos archivos mandan a otro lado (/api/*, páginas legales) no pasan por el shell.
+ *
+ * Una versión nueva del worker no toma el control de las pestañas abiertas: queda
+ * esperando hasta que el usuario acepta recargar (ver core/pwa.js).
+ *
+ * CACHE_VERSION solo hace falta subirlo para descartar las cachés viejas enteras.
+ */
+
+const CACHE_VERSION = 'v9';
+const SHELL_CACHE = `rf-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `rf-data-${CACHE_VERSION}`;
+const CDN_CACHE = `rf-cdn-${CACHE_VERSION}`;
+
+// Mismo origen que API_BASE en src/core/api.js
+const API_ORIGIN = 'https://api-proxy.giannirodbol07.workers.dev';
+
+// Endpoints del proxy que se guardan para usar sin conexión (partidos, tablas, equipos, jugadores)
+const OFFLINE_DATA_PATHS = ['/api/fixtures', '/api/standings', '/api/teams', '/api/leagues', '/api/transfers', '/api/players'];
+
+// Orígenes de librerías, fuentes e imágenes que usa el shell
+const CDN_ORIGINS = [
+    'https://cdn.tailwindcss.com',
+    'https://unpkg.com',
+    'https://www.gstatic.com',
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://media.api-sports.io',
+    'https://i.postimg.cc'
+];
+
+// Máximo de respuestas guardadas por caché de runtime
+const MAX_DATA_ENTRIES = 200;
+const MAX_CDN_ENTRIES = 400;
+
+// Páginas que las reescrituras sirven como HTML propio (no son rutas de la SPA)
+const STATIC_PAGES = ['/sobre-nosotros', '/terminos-y-condiciones', '/politica-de-privacidad'];
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/assets/cancha.png',
+    '/assets/icon-192.png',
+    '/assets/icon-512.png',
+    '/assets/lineup-icon.png',
+    '/src/main.js?v=2',
+    '/src/core/api.js',
+    '/src/core/cache.js',
+    '/src/core/dom.js',
+    '/src/core/errors.js',
+    '/src/core/favorites.js',
+    '/src/core/firebase.js',
+    '/src/core/live.js',
+    '/src/core/preferences.js',
+    '/src/core/promedios.js',
+    '/src/core/providers.js',
+    '/src/core/pwa.js',
+    '/src/core/recaptcha.js',
+    '/src/core/router.js',
+    '/src/core/seasons.js',
+    '/src/core/ssr.js',
+    '/src/core/tiebreakers.js',
+    '/src/data/competitions.js',
+    '/src/data/teams.js',
+    '/src/views/analytics.js',
+    '/src/views/auth.js',
+    '/src/views/errorState.js',
+    '/src/views/featured_match.js',
+    '/src/views/forum.js',
+    '/src/views/lineupBuilder.js',
+    '/src/views/matchAlerts.js',
+    '/src/views/matchDetail.js',
+    '/src/views/matches.js',
+    '/src/views/moderation.js',
+    '/src/views/player.js',
+    '/src/views/ratings.js',
+    '/src/views/search.js',
+    '/src/views/standings.js',
+    '/src/views/standingsEvolution.js',
+    '/src/views/suggestions.js',
+    '/src/views/teamProfile.js',
+    '/src/views/user_stats.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+// La página pide activar la versión nueva cuando el usuario acepta recargar
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => !current.includes(k)).map(k => caches.delete(k))))
+    );
+});
+
+/**
+ * Descarta las entradas más viejas de una caché de runtime
+ * @param {string} cacheName
+ * @param {number} maxEntries
+ */
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    if (keys.length <= maxEntries) return;
+    await Promise.all(keys.slice(0, keys.length - maxEntries).map(k => cache.delete(k)));
+};
+
+/**
+ * Guarda una respuesta si sirve para reusarla (las opacas de CDN también)
+ */
+const putInCache = async (cacheName, request, response, maxEntries) => {
+    if (!response || (!response.ok && response.type !== 'opaque')) return;
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+    if (maxEntries) trimCache(cacheName, maxEntries);
+};
+
+/**
+ * Red primero; si falla, lo último guardado
+ */
+const networkFirst = async (request, cacheName, maxEntries) => {
+    try {
+        const response = await fetch(request);
+        putInCache(cacheName, request, response.clone(), maxEntries);
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName });
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+/**
+ * Caché primero y se actualiza en segundo plano
+ */
+const staleWhileRevalidate = async (event, cacheName, maxEntries) => {
+    const { request } = event;
+    const cached = await caches.match(request, { cacheName });
+    const network = fetch(request)
+        .then(response => {
+            putInCache(cacheName, request, response.clone(), maxEntries);
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => { /* sin red: queda la copia cacheada */ }));
+        return cached;
+    }
+    return network;
+};
+
+/**
+ * Navegación a una ruta de la SPA: red primero, index.html cacheado si no hay conexión
+ */
+const handleNavigation = async (request) => {
+    try {
+        const response = await fetch(request);
+        // Las páginas renderizadas en el servidor (api/render.js) son de un partido/liga/equipo:
+        // no sirven como shell genérico
+        if (response.ok && !response.headers.has('X-RF-SSR')) putInCache(SHELL_CACHE, '/index.html', response.clone());
+        return response;
+    } catch (error) {
+        const shell = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+        if (shell) return shell;
+        throw error;
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Proxy de la API: solo partidos, tablas y equipos (el resto va directo a la red)
+    if (url.origin === API_ORIGIN) {
+        if (OFFLINE_DATA_PATHS.some(p => url.pathname.startsWith(p))) {
+            event.respondWith(networkFirst(request, DATA_CACHE, MAX_DATA_ENTRIES));
+        }
+        return;
+    }
+
+    if (CDN_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(event, CDN_CACHE, MAX_CDN_ENTRIES));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    // Funciones serverless, JSON grabados del modo replay y páginas legales: sin tocar
+    if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/mocks/')) return;
+    if (STATIC_PAGES.includes(url.pathname) || (url.pathname.endsWith('.html') && url.pathname !== '/index.html')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    if (url.pathname.startsWith('/src/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    if (url.pathname.startsWith('/assets/') || url.pathname === '/manifest.webmanifest') {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});